@@ -0,0 +1,16 @@
+const mysql = require('mysql2/promise');
+
+// MySQL 연결 풀 생성 (서버와 마이그레이션 CLI에서 공유)
+const pool = mysql.createPool({
+  host: process.env.DB_HOST || 'mysql',
+  port: process.env.DB_PORT || 3306,
+  user: process.env.DB_USER || 'myuser',
+  password: process.env.DB_PASSWORD || 'mypass123',
+  database: process.env.DB_NAME || 'mydb',
+  charset: 'utf8mb4', // UTF-8 완전 지원 (이모지 포함)
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0
+});
+
+module.exports = { pool };
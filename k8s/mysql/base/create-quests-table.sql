@@ -1,5 +1,6 @@
 -- quests 테이블 및 데이터 생성 스크립트
 -- 이미 실행 중인 MySQL에 수동으로 실행하기 위한 스크립트
+-- 기준(001-baseline) 스키마이므로 실행 후 backend의 마이그레이션을 적용 (node migrate.js up)
 
 USE mydb;
 
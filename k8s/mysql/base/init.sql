@@ -1,4 +1,5 @@
 -- Static DB 초기화 스크립트 --
+-- 최초 DB 생성 시에만 실행되는 기준(001-baseline) 스키마. 이후 스키마 변경은 backend의 migrations/에서 관리 (node migrate.js up)
 CREATE DATABASE IF NOT EXISTS mydb;
 USE mydb;
 
@@ -1,5 +1,6 @@
 -- 지역 기반 퀘스트 문제 데이터
 -- 이 파일은 별도로 마운트하거나 init.sql에 포함시킬 수 있습니다
+-- 기준(001-baseline) 스키마이므로 실행 후 backend의 마이그레이션을 적용 (node migrate.js up)
 
 USE mydb;
 
@@ -0,0 +1,138 @@
+// 스키마 마이그레이션 실행기
+// migrations/ 폴더의 NNN-설명.js 파일을 번호 순서대로 적용하고 schema_migrations 테이블에 기록
+//
+// 사용법:
+//   node migrate.js up [개수]     - 적용되지 않은 마이그레이션 적용 (기본: 전체)
+//   node migrate.js down [개수]   - 마지막으로 적용된 마이그레이션 되돌리기 (기본: 1개)
+//   node migrate.js status        - 적용/미적용 목록 출력
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-[\w-]+\.js$/;
+const MIGRATION_LOCK_NAME = 'schema_migrations_lock';
+const MIGRATION_LOCK_TIMEOUT = 60; // 초
+
+// migrations/ 폴더의 마이그레이션 목록 (버전 순 정렬)
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => ({
+      version: path.basename(file, '.js'),
+      file: path.join(MIGRATIONS_DIR, file)
+    }));
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY COMMENT '마이그레이션 파일명 (확장자 제외)',
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '적용 시간'
+    ) COMMENT='적용된 스키마 마이그레이션 기록'
+  `);
+}
+
+async function getAppliedVersions(conn) {
+  const [rows] = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+// 적용/미적용 마이그레이션 조회
+async function getMigrationStatus(pool) {
+  const conn = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(conn);
+    const applied = await getAppliedVersions(conn);
+    const migrations = listMigrations();
+    
+    return {
+      applied,
+      pending: migrations.filter(m => !applied.includes(m.version)).map(m => m.version),
+      // 파일이 삭제되었거나 다른 브랜치에서 적용된 버전 (DB가 코드보다 앞선 상태)
+      unknown: applied.filter(version => !migrations.some(m => m.version === version))
+    };
+  } finally {
+    conn.release();
+  }
+}
+
+// 마이그레이션 적용/되돌리기 (여러 인스턴스가 동시에 실행하지 않도록 GET_LOCK 사용)
+// MySQL DDL은 암묵적으로 커밋되므로 마이그레이션 단위로 기록
+async function runMigrations(pool, direction, steps) {
+  const conn = await pool.getConnection();
+  try {
+    const [[lock]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT]);
+    if (lock.acquired !== 1) {
+      throw new Error('Could not acquire migration lock (another migration is running)');
+    }
+    
+    try {
+      await ensureMigrationsTable(conn);
+      const applied = await getAppliedVersions(conn);
+      const migrations = listMigrations();
+      
+      let targets;
+      if (direction === 'up') {
+        targets = migrations.filter(m => !applied.includes(m.version));
+        if (steps) targets = targets.slice(0, steps);
+      } else {
+        targets = migrations.filter(m => applied.includes(m.version)).reverse().slice(0, steps || 1);
+      }
+      
+      for (const migration of targets) {
+        const { up, down } = require(migration.file);
+        console.log(`[마이그레이션] ${direction} ${migration.version} 시작`);
+        
+        if (direction === 'up') {
+          await up(conn);
+          await conn.query('INSERT INTO schema_migrations (version) VALUES (?)', [migration.version]);
+        } else {
+          await down(conn);
+          await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        
+        console.log(`[마이그레이션] ${direction} ${migration.version} 완료`);
+      }
+      
+      return targets.map(m => m.version);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = { getMigrationStatus, runMigrations };
+
+// CLI 실행
+if (require.main === module) {
+  const { pool } = require('./db');
+  const [command = 'status', stepsArg] = process.argv.slice(2);
+  const steps = stepsArg ? parseInt(stepsArg, 10) : undefined;
+  
+  (async () => {
+    try {
+      if (command === 'up' || command === 'down') {
+        const versions = await runMigrations(pool, command, steps);
+        console.log(versions.length > 0
+          ? `[마이그레이션] ${command}: ${versions.join(', ')}`
+          : '[마이그레이션] 실행할 마이그레이션이 없습니다.');
+      } else if (command === 'status') {
+        const status = await getMigrationStatus(pool);
+        status.applied.forEach(version => console.log(`  [적용됨] ${version}`));
+        status.pending.forEach(version => console.log(`  [대기중] ${version}`));
+        status.unknown.forEach(version => console.log(`  [알 수 없음] ${version} (파일 없음)`));
+      } else {
+        console.error(`알 수 없는 명령: ${command} (up | down | status)`);
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('[마이그레이션] 실패:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,92 @@
+// 기준 스키마 - 기존 init.sql / create-quests-table.sql / initializeUploadHistoryTable()의 테이블
+// 이미 생성된 DB에서도 안전하도록 IF NOT EXISTS 사용
+const { addColumnIfMissing, addIndexIfMissing } = require('./helpers');
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL UNIQUE COMMENT '고유 사용자 ID (이름+랜덤번호)',
+      name VARCHAR(50) NOT NULL COMMENT '이름',
+      age INT COMMENT '나이',
+      gender VARCHAR(10) COMMENT '성별',
+      email VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_id (user_id)
+    )
+  `);
+  
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS quests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      city VARCHAR(50) NOT NULL COMMENT '시/도 (예: Jeju, Seogwipo)',
+      town VARCHAR(50) COMMENT '읍/면/동 (예: Aewol, Gujwa, Seogwi, Seongsan)',
+      village VARCHAR(50) COMMENT '리/동 (예: Woljeong, Sehwa, Seongsan)',
+      question TEXT NOT NULL COMMENT '질문',
+      option_a VARCHAR(255) NOT NULL COMMENT '선택지 A',
+      option_b VARCHAR(255) NOT NULL COMMENT '선택지 B',
+      option_c VARCHAR(255) NOT NULL COMMENT '선택지 C',
+      option_d VARCHAR(255) NOT NULL COMMENT '선택지 D',
+      correct_answer CHAR(1) NOT NULL COMMENT '정답 (A, B, C, D 중 하나)',
+      score INT NOT NULL DEFAULT 1 COMMENT '문제 점수 (맞추면 획득하는 점수)',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_city (city),
+      INDEX idx_town (town),
+      INDEX idx_village (village),
+      INDEX idx_full_region (city, town, village)
+    ) COMMENT='지역 기반 퀘스트 문제 테이블'
+  `);
+  
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_quest_scores (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID (users.user_id 참조, 예: 지현23)',
+      quest_id INT NOT NULL COMMENT '퀘스트 ID (quests 테이블 참조)',
+      answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '문제 푼 시간',
+      city VARCHAR(50) NOT NULL COMMENT '문제 푼 지역 - 시/도',
+      town VARCHAR(50) COMMENT '문제 푼 지역 - 읍/면/동',
+      village VARCHAR(50) COMMENT '문제 푼 지역 - 리/동',
+      question TEXT NOT NULL COMMENT '푼 문제',
+      user_answer CHAR(1) NOT NULL COMMENT '사용자가 제출한 정답 (A, B, C, D)',
+      correct_answer CHAR(1) NOT NULL COMMENT '실제 정답 (A, B, C, D)',
+      score INT NOT NULL DEFAULT 0 COMMENT '획득한 점수 (맞췄으면 1점, 틀렸으면 0점)',
+      INDEX idx_user_id (user_id),
+      INDEX idx_quest_id (quest_id),
+      INDEX idx_user_quest (user_id, quest_id),
+      INDEX idx_answered_at (answered_at),
+      INDEX idx_region (city, town, village),
+      UNIQUE KEY unique_user_quest (user_id, quest_id) COMMENT '사용자당 같은 문제는 한 번만 기록',
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE
+    ) COMMENT='사용자별 퀘스트 풀이 기록 테이블 (변경 불가)'
+  `);
+  
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_upload_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      quest_id INT COMMENT '퀘스트 ID (사진 미션인 경우)',
+      file_name VARCHAR(255) NOT NULL COMMENT '파일명',
+      file_key VARCHAR(500) NOT NULL COMMENT 'S3 파일 키 (경로 포함)',
+      file_url TEXT NOT NULL COMMENT 'S3 파일 URL',
+      file_size BIGINT NOT NULL COMMENT '파일 크기 (bytes)',
+      content_type VARCHAR(100) COMMENT '파일 타입 (MIME type)',
+      uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '업로드 시간',
+      INDEX idx_user_id (user_id),
+      INDEX idx_quest_id (quest_id),
+      INDEX idx_uploaded_at (uploaded_at)
+    ) COMMENT='사용자별 파일 업로드 히스토리'
+  `);
+  
+  // quest_id 컬럼이 없던 초기 버전의 user_upload_history 호환
+  await addColumnIfMissing(conn, 'user_upload_history', 'quest_id', "INT COMMENT '퀘스트 ID (사진 미션인 경우)'");
+  await addIndexIfMissing(conn, 'user_upload_history', 'idx_quest_id', 'quest_id');
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS user_upload_history');
+  await conn.query('DROP TABLE IF EXISTS user_quest_scores');
+  await conn.query('DROP TABLE IF EXISTS quests');
+  await conn.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// users.role 컬럼 추가 (player, editor, admin)
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'player' COMMENT '역할 (player, editor, admin)'");
+}
+
+async function down(conn) {
+  await dropColumnIfExists(conn, 'users', 'role');
+}
+
+module.exports = { up, down };
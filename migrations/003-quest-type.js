@@ -0,0 +1,52 @@
+// quests.quest_type/payload 컬럼 추가 및 '사진 미션' placeholder 데이터를 photo 타입으로 변환
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+const PHOTO_PLACEHOLDER = '사진 미션';
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'quests', 'quest_type', "VARCHAR(20) NOT NULL DEFAULT 'question' COMMENT '퀘스트 타입 (question, photo)' AFTER id");
+  await addColumnIfMissing(conn, 'quests', 'payload', "JSON NULL COMMENT '타입별 추가 데이터 (예: 사진 미션 locationHint)' AFTER correct_answer");
+  await addIndexIfMissing(conn, 'quests', 'idx_quest_type', 'quest_type');
+  
+  // 선택지/정답은 문제 타입에만 필요하므로 NULL 허용
+  await conn.query(`
+    ALTER TABLE quests 
+    MODIFY option_a VARCHAR(255) NULL COMMENT '선택지 A (question 타입)',
+    MODIFY option_b VARCHAR(255) NULL COMMENT '선택지 B (question 타입)',
+    MODIFY option_c VARCHAR(255) NULL COMMENT '선택지 C (question 타입)',
+    MODIFY option_d VARCHAR(255) NULL COMMENT '선택지 D (question 타입)',
+    MODIFY correct_answer CHAR(1) NULL COMMENT '정답 (question 타입, A, B, C, D 중 하나)'
+  `);
+  
+  await conn.query(
+    `UPDATE quests 
+     SET quest_type = 'photo', option_a = NULL, option_b = NULL, option_c = NULL, option_d = NULL, correct_answer = NULL
+     WHERE option_a = ?`,
+    [PHOTO_PLACEHOLDER]
+  );
+}
+
+async function down(conn) {
+  // photo 타입을 placeholder 형식으로 되돌린 뒤 NOT NULL 복원
+  await conn.query(
+    `UPDATE quests 
+     SET option_a = ?, option_b = ?, option_c = ?, option_d = ?, correct_answer = 'A'
+     WHERE quest_type = 'photo'`,
+    [PHOTO_PLACEHOLDER, PHOTO_PLACEHOLDER, PHOTO_PLACEHOLDER, PHOTO_PLACEHOLDER]
+  );
+  
+  await conn.query(`
+    ALTER TABLE quests 
+    MODIFY option_a VARCHAR(255) NOT NULL COMMENT '선택지 A',
+    MODIFY option_b VARCHAR(255) NOT NULL COMMENT '선택지 B',
+    MODIFY option_c VARCHAR(255) NOT NULL COMMENT '선택지 C',
+    MODIFY option_d VARCHAR(255) NOT NULL COMMENT '선택지 D',
+    MODIFY correct_answer CHAR(1) NOT NULL COMMENT '정답 (A, B, C, D 중 하나)'
+  `);
+  
+  await dropIndexIfExists(conn, 'quests', 'idx_quest_type');
+  await dropColumnIfExists(conn, 'quests', 'payload');
+  await dropColumnIfExists(conn, 'quests', 'quest_type');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+// 지역 레지스트리 (시 → 읍/면/동 → 리) 및 quests/user_quest_scores의 region_id 참조 추가
+// 기존 regionNameMap 값을 초기 데이터로 사용하고, 기존 city/town/village 문자열로 region_id를 채움
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists
+} = require('./helpers');
+
+const INITIAL_REGIONS = [
+  { level: 'city', code: 'Jeju', name_ko: '제주시', name_en: 'Jeju-si' },
+  { level: 'city', code: 'Seogwipo', name_ko: '서귀포시', name_en: 'Seogwipo-si' },
+  { level: 'town', code: 'Aewol', name_ko: '애월읍', name_en: 'Aewol-eup', parent: 'Jeju' },
+  { level: 'town', code: 'Gujwa', name_ko: '구좌읍', name_en: 'Gujwa-eup', parent: 'Jeju' },
+  { level: 'town', code: 'Seogwi', name_ko: '서귀동', name_en: 'Seogwi-dong', parent: 'Seogwipo' },
+  { level: 'town', code: 'Seongsan', name_ko: '성산읍', name_en: 'Seongsan-eup', parent: 'Seogwipo' },
+  { level: 'village', code: 'Woljeong', name_ko: '월정리', name_en: 'Woljeong-ri', parent: 'Aewol' },
+  { level: 'village', code: 'Sehwa', name_ko: '세화리', name_en: 'Sehwa-ri', parent: 'Gujwa' },
+  { level: 'village', code: 'Seongsan', name_ko: '성산리', name_en: 'Seongsan-ri', parent: 'Seongsan' }
+];
+
+const PARENT_LEVEL = { town: 'city', village: 'town' };
+
+// city/town/village 문자열로 가장 하위 지역의 id를 찾아 region_id 설정
+async function backfillRegionIds(conn, table) {
+  await conn.query(`
+    UPDATE ${table} t
+    JOIN regions c ON c.level = 'city' AND c.code = t.city
+    LEFT JOIN regions tw ON tw.level = 'town' AND tw.parent_id = c.id AND tw.code = t.town
+    LEFT JOIN regions v ON v.level = 'village' AND v.parent_id = tw.id AND v.code = t.village
+    SET t.region_id = COALESCE(v.id, tw.id, c.id)
+    WHERE t.region_id IS NULL
+  `);
+}
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS regions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      parent_id INT NULL COMMENT '상위 지역 ID (city는 NULL)',
+      level ENUM('city', 'town', 'village') NOT NULL COMMENT '지역 레벨 (시 / 읍·면·동 / 리)',
+      code VARCHAR(50) NOT NULL COMMENT '영문 코드 (quests.city/town/village 값, 예: Seongsan)',
+      name_ko VARCHAR(50) NOT NULL COMMENT '한국어 이름 (예: 성산읍)',
+      name_en VARCHAR(50) NOT NULL COMMENT '영어 이름 (예: Seongsan-eup)',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_region (level, parent_id, code),
+      INDEX idx_parent_id (parent_id),
+      FOREIGN KEY (parent_id) REFERENCES regions(id)
+    ) COMMENT='지역 레지스트리 (city → town → village)'
+  `);
+  
+  for (const region of INITIAL_REGIONS) {
+    let parentId = null;
+    if (region.parent) {
+      const [parents] = await conn.query(
+        'SELECT id FROM regions WHERE level = ? AND code = ?',
+        [PARENT_LEVEL[region.level], region.parent]
+      );
+      parentId = parents[0].id;
+    }
+    
+    const [existing] = await conn.query(
+      'SELECT id FROM regions WHERE level = ? AND code = ? AND parent_id <=> ?',
+      [region.level, region.code, parentId]
+    );
+    if (existing.length === 0) {
+      await conn.query(
+        'INSERT INTO regions (parent_id, level, code, name_ko, name_en) VALUES (?, ?, ?, ?, ?)',
+        [parentId, region.level, region.code, region.name_ko, region.name_en]
+      );
+    }
+  }
+  
+  for (const table of ['quests', 'user_quest_scores']) {
+    await addColumnIfMissing(conn, table, 'region_id', "INT NULL COMMENT '지역 ID (regions 참조, 가장 하위 지역)'");
+    await addIndexIfMissing(conn, table, 'idx_region_id', 'region_id');
+    await addForeignKeyIfMissing(conn, table, `fk_${table}_region`, 'region_id', 'regions(id)');
+    await backfillRegionIds(conn, table);
+  }
+}
+
+async function down(conn) {
+  for (const table of ['quests', 'user_quest_scores']) {
+    await dropForeignKeyIfExists(conn, table, `fk_${table}_region`);
+    await dropIndexIfExists(conn, table, 'idx_region_id');
+    await dropColumnIfExists(conn, table, 'region_id');
+  }
+  await conn.query('DROP TABLE IF EXISTS regions');
+}
+
+module.exports = { up, down };
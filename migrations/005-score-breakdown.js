@@ -0,0 +1,20 @@
+// user_quest_scores.score_breakdown 컬럼 추가 (점수 규칙별 계산 내역)
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_quest_scores', 'score_breakdown', "JSON NULL COMMENT '점수 계산 내역 (기본 점수 + 규칙별 가산점)' AFTER score");
+  await conn.query(`
+    ALTER TABLE user_quest_scores 
+    MODIFY score INT NOT NULL DEFAULT 0 COMMENT '획득한 점수 (퀘스트 점수 + 점수 규칙 가산점, 틀렸으면 0점)'
+  `);
+}
+
+async function down(conn) {
+  await dropColumnIfExists(conn, 'user_quest_scores', 'score_breakdown');
+  await conn.query(`
+    ALTER TABLE user_quest_scores 
+    MODIFY score INT NOT NULL DEFAULT 0 COMMENT '획득한 점수 (맞췄으면 1점, 틀렸으면 0점)'
+  `);
+}
+
+module.exports = { up, down };
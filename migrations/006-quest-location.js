@@ -0,0 +1,18 @@
+// quests 위치 컬럼 추가 (위도/경도/도착 반경) - 주변 퀘스트 조회용
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'quests', 'latitude', "DECIMAL(9,6) NULL COMMENT '퀘스트 위치 위도 (WGS84)' AFTER village");
+  await addColumnIfMissing(conn, 'quests', 'longitude', "DECIMAL(9,6) NULL COMMENT '퀘스트 위치 경도 (WGS84)' AFTER latitude");
+  await addColumnIfMissing(conn, 'quests', 'radius_m', "INT NULL COMMENT '도착 판정 반경 (미터, NULL이면 기본값)' AFTER longitude");
+  await addIndexIfMissing(conn, 'quests', 'idx_location', 'latitude, longitude');
+}
+
+async function down(conn) {
+  await dropIndexIfExists(conn, 'quests', 'idx_location');
+  await dropColumnIfExists(conn, 'quests', 'radius_m');
+  await dropColumnIfExists(conn, 'quests', 'longitude');
+  await dropColumnIfExists(conn, 'quests', 'latitude');
+}
+
+module.exports = { up, down };
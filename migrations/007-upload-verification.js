@@ -0,0 +1,35 @@
+// user_upload_history 사진 미션 검증 결과 컬럼 추가 (EXIF GPS/촬영 시간)
+// 기존 업로드 중 이미 점수가 기록된 사진 미션은 verified(legacy)로 표시
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_upload_history', 'verification_status', "ENUM('verified', 'rejected', 'needs_review') NULL COMMENT '사진 미션 검증 결과 (사진 미션이 아니면 NULL)'");
+  await addColumnIfMissing(conn, 'user_upload_history', 'verification_reason', "VARCHAR(255) NULL COMMENT '검증 사유 코드 (쉼표 구분, 예: location_mismatch,photo_too_old)' AFTER verification_status");
+  await addColumnIfMissing(conn, 'user_upload_history', 'exif_taken_at', "DATETIME NULL COMMENT 'EXIF 촬영 시간 (UTC)' AFTER verification_reason");
+  await addColumnIfMissing(conn, 'user_upload_history', 'exif_latitude', "DECIMAL(9,6) NULL COMMENT 'EXIF GPS 위도' AFTER exif_taken_at");
+  await addColumnIfMissing(conn, 'user_upload_history', 'exif_longitude', "DECIMAL(9,6) NULL COMMENT 'EXIF GPS 경도' AFTER exif_latitude");
+  await addIndexIfMissing(conn, 'user_upload_history', 'idx_verification_status', 'verification_status');
+  
+  await conn.query(`
+    UPDATE user_upload_history uuh
+    SET uuh.verification_status = 'verified', uuh.verification_reason = 'legacy'
+    WHERE uuh.quest_id IS NOT NULL
+      AND uuh.verification_status IS NULL
+      AND EXISTS (
+        SELECT 1 FROM user_quest_scores uqs
+        WHERE uqs.user_id COLLATE utf8mb4_unicode_ci = uuh.user_id COLLATE utf8mb4_unicode_ci
+          AND uqs.quest_id = uuh.quest_id
+      )
+  `);
+}
+
+async function down(conn) {
+  await dropIndexIfExists(conn, 'user_upload_history', 'idx_verification_status');
+  await dropColumnIfExists(conn, 'user_upload_history', 'exif_longitude');
+  await dropColumnIfExists(conn, 'user_upload_history', 'exif_latitude');
+  await dropColumnIfExists(conn, 'user_upload_history', 'exif_taken_at');
+  await dropColumnIfExists(conn, 'user_upload_history', 'verification_reason');
+  await dropColumnIfExists(conn, 'user_upload_history', 'verification_status');
+}
+
+module.exports = { up, down };
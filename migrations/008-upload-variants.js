@@ -0,0 +1,14 @@
+// user_upload_history 이미지 변형 키 추가 (썸네일/중간 크기, 메타데이터 제거본)
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_upload_history', 'thumbnail_key', "VARCHAR(500) NULL COMMENT '썸네일 S3 키 (이미지가 아니거나 변환 실패 시 NULL)' AFTER file_key");
+  await addColumnIfMissing(conn, 'user_upload_history', 'medium_key', "VARCHAR(500) NULL COMMENT '중간 크기 S3 키 (이미지가 아니거나 변환 실패 시 NULL)' AFTER thumbnail_key");
+}
+
+async function down(conn) {
+  await dropColumnIfExists(conn, 'user_upload_history', 'medium_key');
+  await dropColumnIfExists(conn, 'user_upload_history', 'thumbnail_key');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// upload_intents 테이블 추가 (Presigned URL 직접 업로드 요청 → 완료 확인)
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS upload_intents (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '업로드 요청 사용자 ID',
+      quest_id INT NULL COMMENT '퀘스트 ID (사진 미션인 경우)',
+      file_name VARCHAR(255) NOT NULL COMMENT '저장 파일명',
+      file_key VARCHAR(500) NOT NULL COMMENT '업로드할 저장소 키',
+      content_type VARCHAR(100) NOT NULL COMMENT '서명된 Content-Type',
+      file_size BIGINT NOT NULL COMMENT '서명된 파일 크기 (bytes)',
+      status ENUM('pending', 'completed') NOT NULL DEFAULT 'pending' COMMENT '완료 처리 여부',
+      upload_history_id INT NULL COMMENT '완료 후 생성된 user_upload_history ID',
+      expires_at DATETIME NOT NULL COMMENT '업로드 URL 만료 시간',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP NULL COMMENT '완료 처리 시간',
+      INDEX idx_user_id (user_id),
+      INDEX idx_status_expires (status, expires_at)
+    ) COMMENT='직접 업로드 요청 (Presigned PUT URL 발급 내역)'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS upload_intents');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// user_region_stamps 테이블 추가 (지역 퀘스트 전체 완료 스탬프)
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_region_stamps (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      region_id INT NOT NULL COMMENT '완료한 지역 ID (regions 참조, 하위 지역 포함)',
+      completed_at TIMESTAMP NOT NULL COMMENT '지역의 마지막 퀘스트를 푼 시간',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '스탬프 발급 시간',
+      UNIQUE KEY unique_user_region (user_id, region_id) COMMENT '지역당 스탬프는 한 번만 발급',
+      INDEX idx_region_id (region_id),
+      FOREIGN KEY (region_id) REFERENCES regions(id) ON DELETE CASCADE
+    ) COMMENT='사용자별 지역 완료 스탬프 (이후 퀘스트가 추가되어도 유지)'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS user_region_stamps');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// user_achievements 테이블 추가 (사용자별 획득 업적/배지)
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      achievement_code VARCHAR(50) NOT NULL COMMENT '업적 코드 (server.js ACHIEVEMENTS 정의)',
+      quest_id INT NULL COMMENT '업적을 달성한 풀이의 퀘스트 ID',
+      earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '획득 시간',
+      UNIQUE KEY unique_user_achievement (user_id, achievement_code) COMMENT '업적당 한 번만 획득',
+      INDEX idx_achievement_code (achievement_code)
+    ) COMMENT='사용자별 획득 업적 (배지)'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS user_achievements');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// quest_attempts 테이블 추가 (문제 퀘스트 정답 제출 시도 기록)
+// user_quest_scores는 최종 결과(정답 또는 마지막 시도)만 기록하고, 재시도 정책은 이 테이블로 판단
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS quest_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      quest_id INT NOT NULL COMMENT '퀘스트 ID',
+      attempt_number INT NOT NULL COMMENT '시도 순번 (1부터)',
+      user_answer CHAR(1) NOT NULL COMMENT '제출한 답 (A, B, C, D)',
+      is_correct BOOLEAN NOT NULL COMMENT '정답 여부',
+      score INT NULL COMMENT '이 시도로 기록된 점수 (최종 시도가 아니면 NULL)',
+      attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '제출 시간',
+      UNIQUE KEY unique_user_quest_attempt (user_id, quest_id, attempt_number) COMMENT '동시 제출 시 같은 순번은 하나만 기록',
+      INDEX idx_quest_id (quest_id),
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE
+    ) COMMENT='퀘스트 정답 제출 시도 기록'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS quest_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// 문제 풀이 시간 측정 - 퀘스트 제한 시간, 풀이 소요 시간, 사용한 시도 토큰 (1회용)
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'quests', 'time_limit_ms', "INT NULL COMMENT '풀이 제한 시간 (밀리초, NULL이면 제한 없음)' AFTER score");
+  await addColumnIfMissing(conn, 'user_quest_scores', 'elapsed_ms', "INT NULL COMMENT '풀이 소요 시간 (시도 토큰 발급 → 제출, 밀리초)' AFTER score_breakdown");
+  await addColumnIfMissing(conn, 'quest_attempts', 'elapsed_ms', "INT NULL COMMENT '풀이 소요 시간 (밀리초)' AFTER is_correct");
+  
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS used_attempt_tokens (
+      jti VARCHAR(64) PRIMARY KEY COMMENT '시도 토큰 ID',
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      quest_id INT NOT NULL COMMENT '퀘스트 ID',
+      expires_at DATETIME NOT NULL COMMENT '토큰 만료 시간 (이후 행은 정리 가능)',
+      used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '사용 시간',
+      INDEX idx_expires_at (expires_at)
+    ) COMMENT='사용한 시도 토큰 (같은 토큰으로 다시 제출하지 못하도록 기록)'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS used_attempt_tokens');
+  await dropColumnIfExists(conn, 'quest_attempts', 'elapsed_ms');
+  await dropColumnIfExists(conn, 'user_quest_scores', 'elapsed_ms');
+  await dropColumnIfExists(conn, 'quests', 'time_limit_ms');
+}
+
+module.exports = { up, down };
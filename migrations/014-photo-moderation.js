@@ -0,0 +1,33 @@
+// user_upload_history 사진 미션 심사 컬럼 추가 (pending → approved | rejected)
+// 기존 사진 미션 업로드는 EXIF 검증 결과 기준으로 표시 (verified → approved, rejected → rejected, 나머지 → pending)
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_upload_history', 'moderation_status', "ENUM('pending', 'approved', 'rejected') NULL COMMENT '사진 미션 심사 상태 (사진 미션이 아니면 NULL)' AFTER exif_longitude");
+  await addColumnIfMissing(conn, 'user_upload_history', 'moderation_note', "VARCHAR(500) NULL COMMENT '심사 메모 (반려 사유 등, 사용자에게 표시)' AFTER moderation_status");
+  await addColumnIfMissing(conn, 'user_upload_history', 'moderated_by', "VARCHAR(50) NULL COMMENT '심사한 관리자 user_id (자동 승인은 NULL)' AFTER moderation_note");
+  await addColumnIfMissing(conn, 'user_upload_history', 'moderated_at', "TIMESTAMP NULL COMMENT '심사 시간' AFTER moderated_by");
+  await addIndexIfMissing(conn, 'user_upload_history', 'idx_moderation_status', 'moderation_status, uploaded_at');
+  
+  await conn.query(`
+    UPDATE user_upload_history uuh
+    INNER JOIN quests q ON q.id = uuh.quest_id AND q.quest_type = 'photo'
+    SET uuh.moderation_status = CASE uuh.verification_status
+        WHEN 'verified' THEN 'approved'
+        WHEN 'rejected' THEN 'rejected'
+        ELSE 'pending'
+      END,
+      uuh.moderated_at = CASE WHEN uuh.verification_status IN ('verified', 'rejected') THEN uuh.uploaded_at ELSE NULL END
+    WHERE uuh.moderation_status IS NULL
+  `);
+}
+
+async function down(conn) {
+  await dropIndexIfExists(conn, 'user_upload_history', 'idx_moderation_status');
+  await dropColumnIfExists(conn, 'user_upload_history', 'moderated_at');
+  await dropColumnIfExists(conn, 'user_upload_history', 'moderated_by');
+  await dropColumnIfExists(conn, 'user_upload_history', 'moderation_note');
+  await dropColumnIfExists(conn, 'user_upload_history', 'moderation_status');
+}
+
+module.exports = { up, down };
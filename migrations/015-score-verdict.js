@@ -0,0 +1,33 @@
+// user_quest_scores에 채점 결과 저장 - 재제출 응답을 기록된 판정으로 만들기 위함
+// 정답 여부는 답 비교만으로 알 수 없음 (제한 시간을 넘긴 정답은 오답 처리)
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_quest_scores', 'is_correct', "BOOLEAN NOT NULL DEFAULT FALSE COMMENT '정답 여부 (제한 시간 초과는 오답)' AFTER correct_answer");
+  await addColumnIfMissing(conn, 'user_quest_scores', 'timed_out', "BOOLEAN NOT NULL DEFAULT FALSE COMMENT '제한 시간 초과 여부' AFTER elapsed_ms");
+  await addColumnIfMissing(conn, 'user_quest_scores', 'time_limit_ms', "INT NULL COMMENT '제출 당시 퀘스트 제한 시간 (밀리초)' AFTER timed_out");
+
+  // 기존 기록: 정답과 같은 답인데 0점이고 제한 시간을 넘긴 풀이는 시간 초과로 판정
+  await conn.query(`
+    UPDATE user_quest_scores uqs
+    LEFT JOIN quests q ON q.id = uqs.quest_id
+    SET uqs.time_limit_ms = q.time_limit_ms,
+        uqs.timed_out = (
+          uqs.user_answer = uqs.correct_answer AND uqs.score = 0
+          AND uqs.elapsed_ms IS NOT NULL AND q.time_limit_ms IS NOT NULL AND uqs.elapsed_ms > q.time_limit_ms
+        )
+    WHERE uqs.elapsed_ms IS NOT NULL
+  `);
+  await conn.query(`
+    UPDATE user_quest_scores
+    SET is_correct = (user_answer = correct_answer AND NOT timed_out)
+  `);
+}
+
+async function down(conn) {
+  await dropColumnIfExists(conn, 'user_quest_scores', 'time_limit_ms');
+  await dropColumnIfExists(conn, 'user_quest_scores', 'timed_out');
+  await dropColumnIfExists(conn, 'user_quest_scores', 'is_correct');
+}
+
+module.exports = { up, down };
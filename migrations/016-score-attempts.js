@@ -0,0 +1,27 @@
+// user_quest_scores에 최종 결과의 시도 순번/최대 시도 횟수 저장 - 재제출 응답을 기록된 값만으로 만들기 위함
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+async function up(conn) {
+  await addColumnIfMissing(conn, 'user_quest_scores', 'attempt_number', "INT NULL COMMENT '결과가 확정된 시도 순번 (사진 미션은 NULL)' AFTER time_limit_ms");
+  await addColumnIfMissing(conn, 'user_quest_scores', 'max_attempts', "INT NULL COMMENT '제출 당시 최대 시도 횟수 (사진 미션은 NULL)' AFTER attempt_number");
+
+  // 기존 문제 퀘스트 기록: 시도 기록의 마지막 순번 사용 (시도 기록이 없는 이전 기록은 1회)
+  // 당시 최대 시도 횟수는 알 수 없으므로 확정된 순번으로 채움
+  await conn.query(`
+    UPDATE user_quest_scores uqs
+    INNER JOIN quests q ON q.id = uqs.quest_id AND q.quest_type = 'question'
+    SET uqs.attempt_number = COALESCE(
+          (SELECT MAX(qa.attempt_number) FROM quest_attempts qa WHERE qa.user_id = uqs.user_id AND qa.quest_id = uqs.quest_id),
+          1
+        )
+    WHERE uqs.attempt_number IS NULL
+  `);
+  await conn.query('UPDATE user_quest_scores SET max_attempts = attempt_number WHERE max_attempts IS NULL AND attempt_number IS NOT NULL');
+}
+
+async function down(conn) {
+  await dropColumnIfExists(conn, 'user_quest_scores', 'max_attempts');
+  await dropColumnIfExists(conn, 'user_quest_scores', 'attempt_number');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// 지역 스탬프 발급 시점 변경 (진행도 조회 → 정답 기록) 전에 완료한 지역의 스탬프 발급
+// 오답/0점 기록은 완료로 보지 않으며, completed_at은 지역의 마지막 퀘스트를 맞힌 시간
+async function up(conn) {
+  const [regions] = await conn.query('SELECT id, parent_id FROM regions');
+  const [quests] = await conn.query('SELECT id, region_id FROM quests WHERE region_id IS NOT NULL');
+  const [solved] = await conn.query(
+    'SELECT user_id, quest_id, answered_at FROM user_quest_scores WHERE is_correct OR score > 0'
+  );
+  
+  const parentOf = new Map(regions.map(r => [r.id, r.parent_id]));
+  
+  // 퀘스트별로 속한 지역 (자기 지역 + 상위 지역)
+  const questScopes = new Map();
+  const questTotals = new Map();
+  for (const quest of quests) {
+    const scope = [];
+    for (let regionId = quest.region_id; regionId; regionId = parentOf.get(regionId)) {
+      scope.push(regionId);
+      questTotals.set(regionId, (questTotals.get(regionId) || 0) + 1);
+    }
+    questScopes.set(quest.id, scope);
+  }
+  
+  // 사용자/지역별 맞힌 퀘스트 수와 마지막으로 맞힌 시간
+  const userProgress = new Map();
+  for (const row of solved) {
+    for (const regionId of questScopes.get(row.quest_id) || []) {
+      const key = `${row.user_id}\u0000${regionId}`;
+      const entry = userProgress.get(key) || { user_id: row.user_id, regionId, count: 0, completedAt: null };
+      entry.count++;
+      if (!entry.completedAt || row.answered_at > entry.completedAt) entry.completedAt = row.answered_at;
+      userProgress.set(key, entry);
+    }
+  }
+  
+  const stamps = [...userProgress.values()]
+    .filter(entry => entry.count === questTotals.get(entry.regionId))
+    .map(entry => [entry.user_id, entry.regionId, entry.completedAt]);
+  if (stamps.length > 0) {
+    await conn.query('INSERT IGNORE INTO user_region_stamps (user_id, region_id, completed_at) VALUES ?', [stamps]);
+  }
+}
+
+// 발급된 스탬프는 이전 방식으로도 유지되므로 되돌리지 않음
+async function down() {}
+
+module.exports = { up, down };
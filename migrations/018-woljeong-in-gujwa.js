@@ -0,0 +1,44 @@
+// 월정리(Woljeong)의 상위 지역을 애월읍(Aewol)에서 구좌읍(Gujwa)으로 수정 (004-regions 초기 데이터 오류)
+// 월정리 퀘스트의 town과 region_id도 레지스트리에 맞춰 수정
+// user_quest_scores는 풀이 당시 기록이므로 바꾸지 않음 - 리더보드/진행도는 region_id 기준이라
+// 월정리(region_id)로 기록된 풀이는 레지스트리 수정만으로 구좌읍에 포함됨
+const WOLJEONG = { city: 'Jeju', village: 'Woljeong', from: 'Aewol', to: 'Gujwa' };
+
+async function findRegionId(conn, level, code, parentId) {
+  const [rows] = await conn.query(
+    'SELECT id FROM regions WHERE level = ? AND code = ? AND parent_id <=> ?',
+    [level, code, parentId]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+async function moveWoljeong(conn, fromTown, toTown) {
+  const cityId = await findRegionId(conn, 'city', WOLJEONG.city, null);
+  const fromTownId = cityId && await findRegionId(conn, 'town', fromTown, cityId);
+  const toTownId = cityId && await findRegionId(conn, 'town', toTown, cityId);
+  if (!fromTownId || !toTownId) return;
+  
+  let villageId = await findRegionId(conn, 'village', WOLJEONG.village, toTownId);
+  if (!villageId) {
+    villageId = await findRegionId(conn, 'village', WOLJEONG.village, fromTownId);
+    if (!villageId) return;
+    await conn.query('UPDATE regions SET parent_id = ? WHERE id = ?', [toTownId, villageId]);
+  }
+  
+  // 이전 계층으로 작성된 퀘스트와, 시드가 먼저 실행되어 region_id가 읍 단위로 채워진 퀘스트 모두 수정
+  await conn.query(
+    `UPDATE quests SET town = ?, region_id = ?
+     WHERE city = ? AND village = ? AND town IN (?, ?)`,
+    [toTown, villageId, WOLJEONG.city, WOLJEONG.village, fromTown, toTown]
+  );
+}
+
+async function up(conn) {
+  await moveWoljeong(conn, WOLJEONG.from, WOLJEONG.to);
+}
+
+async function down(conn) {
+  await moveWoljeong(conn, WOLJEONG.to, WOLJEONG.from);
+}
+
+module.exports = { up, down };
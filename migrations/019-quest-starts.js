@@ -0,0 +1,21 @@
+// quest_starts 테이블 추가 (문제 퀘스트 시도별 최초 시작 시간)
+// 문제 내용은 시도를 시작할 때만 공개하고, 같은 시도를 다시 시작해도 풀이 시간은 처음 공개한 시각부터 측정
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS quest_starts (
+      user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
+      quest_id INT NOT NULL COMMENT '퀘스트 ID',
+      attempt_number INT NOT NULL COMMENT '시도 순번 (quest_attempts.attempt_number와 같은 값)',
+      started_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) COMMENT '문제를 처음 공개한 시간',
+      PRIMARY KEY (user_id, quest_id, attempt_number),
+      INDEX idx_quest_id (quest_id),
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE
+    ) COMMENT='문제 퀘스트 시도 시작 기록 (풀이 시간 측정 기준)'
+  `);
+}
+
+async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS quest_starts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// quests.quest_type을 알려진 타입(question, photo)으로 제한하는 CHECK 제약 추가
+// 새 타입을 추가할 때는 server.js의 QUEST_TYPES와 함께 이 제약을 바꾸는 마이그레이션을 추가
+const CONSTRAINT_NAME = 'chk_quests_quest_type';
+const QUEST_TYPES = ['question', 'photo'];
+
+async function checkConstraintExists(conn) {
+  const [rows] = await conn.query(
+    `SELECT CONSTRAINT_NAME 
+     FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'quests' AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'CHECK'`,
+    [CONSTRAINT_NAME]
+  );
+  return rows.length > 0;
+}
+
+async function up(conn) {
+  if (await checkConstraintExists(conn)) return;
+  
+  // 알 수 없는 타입의 행이 있으면 제약을 추가할 수 없으므로 어떤 행인지 알려주고 중단
+  const [invalidRows] = await conn.query('SELECT id, quest_type FROM quests WHERE quest_type NOT IN (?)', [QUEST_TYPES]);
+  if (invalidRows.length > 0) {
+    const list = invalidRows.map(row => `${row.id}(${row.quest_type})`).join(', ');
+    throw new Error(`알 수 없는 quest_type을 가진 퀘스트가 있습니다: ${list} - 타입을 수정하거나 삭제한 뒤 다시 실행해주세요.`);
+  }
+  
+  await conn.query(`ALTER TABLE quests ADD CONSTRAINT ${CONSTRAINT_NAME} CHECK (quest_type IN (${QUEST_TYPES.map(type => `'${type}'`).join(', ')}))`);
+}
+
+async function down(conn) {
+  if (await checkConstraintExists(conn)) {
+    await conn.query(`ALTER TABLE quests DROP CHECK ${CONSTRAINT_NAME}`);
+  }
+}
+
+module.exports = { up, down };
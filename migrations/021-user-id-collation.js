@@ -0,0 +1,42 @@
+// 사용자 ID 컬럼의 collation 통일 (utf8mb4_unicode_ci)
+// 테이블마다 생성 경로(init.sql/마이그레이션)에 따라 기본 collation이 달라 user_id 비교에 COLLATE가 필요했던 문제 해결
+const CHARSET = 'utf8mb4';
+const COLLATION = 'utf8mb4_unicode_ci';
+
+// [테이블, 컬럼] - user_id 값을 저장하는 모든 컬럼
+const USER_ID_COLUMNS = [
+  ['users', 'user_id'],
+  ['user_quest_scores', 'user_id'],
+  ['user_upload_history', 'user_id'],
+  ['user_upload_history', 'moderated_by'],
+  ['upload_intents', 'user_id'],
+  ['user_region_stamps', 'user_id'],
+  ['user_achievements', 'user_id'],
+  ['quest_attempts', 'user_id'],
+  ['used_attempt_tokens', 'user_id'],
+  ['quest_starts', 'user_id']
+];
+
+async function up(conn) {
+  for (const [table, column] of USER_ID_COLUMNS) {
+    const [rows] = await conn.query(
+      `SELECT COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT, COLUMN_COMMENT, COLLATION_NAME
+       FROM INFORMATION_SCHEMA.COLUMNS 
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    if (rows.length === 0 || rows[0].COLLATION_NAME === COLLATION) continue;
+    
+    // 타입/NULL 여부/기본값/설명은 그대로 두고 collation만 변경
+    const { COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT, COLUMN_COMMENT } = rows[0];
+    await conn.query(
+      `ALTER TABLE ${table} MODIFY ${column} ${COLUMN_TYPE} CHARACTER SET ${CHARSET} COLLATE ${COLLATION}
+       ${IS_NULLABLE === 'YES' ? 'NULL' : 'NOT NULL'}${COLUMN_DEFAULT !== null ? ` DEFAULT ${conn.escape(COLUMN_DEFAULT)}` : ''} COMMENT ${conn.escape(COLUMN_COMMENT)}`
+    );
+  }
+}
+
+// collation만 맞춘 것이므로 되돌리지 않음 (이전 collation은 테이블마다 달라 복원할 기준이 없음)
+async function down() {}
+
+module.exports = { up, down };
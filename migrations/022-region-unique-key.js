@@ -0,0 +1,32 @@
+// regions 중복 방지 키 수정 - UNIQUE (level, parent_id, code)는 parent_id가 NULL인 city의 중복을 막지 못함
+// (MySQL UNIQUE 키는 NULL을 서로 다른 값으로 취급) NULL을 0으로 바꾼 생성 컬럼 parent_key로 키를 다시 만듦
+const { addColumnIfMissing, dropColumnIfExists, indexExists, dropIndexIfExists } = require('./helpers');
+
+async function up(conn) {
+  // 이미 중복된 city가 있으면 키를 만들 수 없으므로 어떤 지역인지 알려주고 중단
+  const [duplicates] = await conn.query(
+    `SELECT level, code, GROUP_CONCAT(id ORDER BY id) as ids
+     FROM regions WHERE parent_id IS NULL
+     GROUP BY level, code HAVING COUNT(*) > 1`
+  );
+  if (duplicates.length > 0) {
+    const list = duplicates.map(row => `${row.level} ${row.code} (id: ${row.ids})`).join(', ');
+    throw new Error(`중복된 최상위 지역이 있습니다: ${list} - 하나만 남기고 참조를 옮긴 뒤 다시 실행해주세요.`);
+  }
+  
+  await addColumnIfMissing(conn, 'regions', 'parent_key', "INT AS (COALESCE(parent_id, 0)) STORED COMMENT '중복 방지 키용 상위 지역 ID (city는 0)' AFTER parent_id");
+  if (!(await indexExists(conn, 'regions', 'unique_region_key'))) {
+    await conn.query('ALTER TABLE regions ADD UNIQUE KEY unique_region_key (level, parent_key, code)');
+  }
+  await dropIndexIfExists(conn, 'regions', 'unique_region');
+}
+
+async function down(conn) {
+  if (!(await indexExists(conn, 'regions', 'unique_region'))) {
+    await conn.query('ALTER TABLE regions ADD UNIQUE KEY unique_region (level, parent_id, code)');
+  }
+  await dropIndexIfExists(conn, 'regions', 'unique_region_key');
+  await dropColumnIfExists(conn, 'regions', 'parent_key');
+}
+
+module.exports = { up, down };
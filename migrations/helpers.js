@@ -0,0 +1,83 @@
+// 마이그레이션 공통 함수
+// MySQL은 ADD COLUMN IF NOT EXISTS를 지원하지 않으므로 INFORMATION_SCHEMA로 존재 여부 확인
+
+async function columnExists(conn, table, column) {
+  const [rows] = await conn.query(
+    `SELECT COLUMN_NAME 
+     FROM INFORMATION_SCHEMA.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(conn, table, index) {
+  const [rows] = await conn.query(
+    `SELECT INDEX_NAME 
+     FROM INFORMATION_SCHEMA.STATISTICS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// 컬럼이 없을 때만 추가 (definition 예: "VARCHAR(20) NOT NULL DEFAULT 'player'")
+async function addColumnIfMissing(conn, table, column, definition) {
+  if (!(await columnExists(conn, table, column))) {
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function dropColumnIfExists(conn, table, column) {
+  if (await columnExists(conn, table, column)) {
+    await conn.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+// 인덱스가 없을 때만 추가 (columns 예: "user_id, quest_id")
+async function addIndexIfMissing(conn, table, index, columns) {
+  if (!(await indexExists(conn, table, index))) {
+    await conn.query(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+  }
+}
+
+async function dropIndexIfExists(conn, table, index) {
+  if (await indexExists(conn, table, index)) {
+    await conn.query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+  }
+}
+
+async function foreignKeyExists(conn, table, constraint) {
+  const [rows] = await conn.query(
+    `SELECT CONSTRAINT_NAME 
+     FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraint]
+  );
+  return rows.length > 0;
+}
+
+// 외래 키가 없을 때만 추가 (reference 예: "regions(id)")
+async function addForeignKeyIfMissing(conn, table, constraint, column, reference) {
+  if (!(await foreignKeyExists(conn, table, constraint))) {
+    await conn.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} FOREIGN KEY (${column}) REFERENCES ${reference}`);
+  }
+}
+
+async function dropForeignKeyIfExists(conn, table, constraint) {
+  if (await foreignKeyExists(conn, table, constraint)) {
+    await conn.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${constraint}`);
+  }
+}
+
+module.exports = {
+  columnExists,
+  indexExists,
+  foreignKeyExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists
+};
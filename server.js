@@ -1,21 +1,38 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const multer = require('multer');
+const exifr = require('exifr');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+const { storage } = require('./storage');
+const { getMigrationStatus } = require('./migrate');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// 로그에 남기지 않는 요청 body 필드 (토큰은 평문 로그로 유출되면 그대로 사용 가능)
+const REDACTED_BODY_FIELDS = ['accessToken', 'refreshToken', 'attemptToken', 'token'];
+
+function redactBody(body) {
+  if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) return body;
+  const redacted = { ...body };
+  for (const field of REDACTED_BODY_FIELDS) {
+    if (redacted[field] !== undefined) redacted[field] = '[REDACTED]';
+  }
+  return redacted;
+}
+
 // 모든 요청 로깅 (디버깅용)
 app.use((req, res, next) => {
   // POST 요청과 /quests 관련 요청 모두 로깅
   if (req.method === 'POST' || req.path.includes('/quests') || req.path.includes('/check')) {
     console.log(`[요청 로그] ${req.method} ${req.path}`, {
       params: req.params,
-      body: req.body,
+      body: redactBody(req.body),
       query: req.query,
       headers: {
         'content-type': req.headers['content-type'],
@@ -26,60 +43,337 @@ app.use((req, res, next) => {
   next();
 });
 
-// MySQL 연결 풀 생성
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || 'mysql',
-  port: process.env.DB_PORT || 3306,
-  user: process.env.DB_USER || 'myuser',
-  password: process.env.DB_PASSWORD || 'mypass123',
-  database: process.env.DB_NAME || 'mydb',
-  charset: 'utf8mb4', // UTF-8 완전 지원 (이모지 포함)
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-});
+// ==================== 인증 (세션 토큰) ====================
 
-// AWS S3 클라이언트 초기화
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'ap-northeast-2',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || ''
-  },
-  // 리전별 엔드포인트 명시적 설정
-  endpoint: `https://s3.${process.env.AWS_REGION || 'ap-northeast-2'}.amazonaws.com`,
-  forcePathStyle: false // virtual-hosted-style 사용
-});
+// 토큰 서명 키 - 개발 환경(NODE_ENV=development/test)에서만 공개된 기본 키 허용
+const IS_DEVELOPMENT = ['development', 'test'].includes(process.env.NODE_ENV);
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || (IS_DEVELOPMENT ? 'dev-only-insecure-secret' : null);
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 60 * 60; // 1시간
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60; // 30일
+const ATTEMPT_TOKEN_TTL = parseInt(process.env.ATTEMPT_TOKEN_TTL_SECONDS, 10) || 30 * 60; // 30분
+
+if (!AUTH_TOKEN_SECRET) {
+  // 알려진 키로 토큰을 서명하면 누구나 토큰을 위조할 수 있으므로 시작하지 않음
+  console.error('[인증] AUTH_TOKEN_SECRET이 설정되지 않았습니다. 서명 키를 설정하거나, 로컬 개발이면 NODE_ENV=development로 실행해주세요.');
+  process.exit(1);
+}
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('[인증] AUTH_TOKEN_SECRET이 설정되지 않아 개발용 기본 키를 사용합니다.');
+}
+
+// HMAC-SHA256 서명 토큰 생성 (형식: base64url(payload).base64url(signature))
+function signToken(payload, expiresInSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds })).toString('base64url');
+  const signature = crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// 토큰 서명/만료/타입 검증 - 유효하지 않으면 null 반환
+function verifyToken(token, expectedType) {
+  if (!token || typeof token !== 'string') return null;
+  
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+  
+  const expected = crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  
+  if (payload.typ !== expectedType) return null;
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+  
+  return payload;
+}
+
+// 사용자 세션 토큰 발급 (access + refresh)
+function issueSessionTokens(user_id) {
+  return {
+    accessToken: signToken({ typ: 'access', sub: user_id }, ACCESS_TOKEN_TTL),
+    refreshToken: signToken({ typ: 'refresh', sub: user_id }, REFRESH_TOKEN_TTL),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// 문제 풀이 시도 토큰 발급 (1회용) - 서버 시작 시간(st, ms)을 서명에 포함해 풀이 시간을 서버 기준으로 측정
+// startedAt: 시도를 처음 시작한 시간 (startQuestAttempt에서 quest_starts 기록으로 전달)
+function issueAttemptToken(user_id, quest_id, startedAt = Date.now()) {
+  return {
+    token: signToken({ typ: 'attempt', sub: user_id, qid: quest_id, jti: crypto.randomBytes(16).toString('hex'), st: startedAt }, ATTEMPT_TOKEN_TTL),
+    startedAt: new Date(startedAt),
+    expiresIn: ATTEMPT_TOKEN_TTL
+  };
+}
+
+// Authorization: Bearer <token> 헤더에서 호출자의 user_id를 추출하는 미들웨어
+function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      details: 'Authorization: Bearer <accessToken> 헤더를 포함해주세요.'
+    });
+  }
+  
+  const payload = verifyToken(token, 'access');
+  if (!payload) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  
+  req.auth = { user_id: payload.sub };
+  next();
+}
+
+// 토큰이 있으면 호출자 정보를 설정하고, 없으면 익명으로 진행하는 미들웨어
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  authenticate(req, res, next);
+}
 
-const S3_BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME || '';
-
-// 지역명 영어->한국어 변환 맵
-const regionNameMap = {
-  // City (시/도)
-  'Jeju': '제주시',
-  'Seogwipo': '서귀포시',
-  // Town (읍/면/동)
-  'Aewol': '애월읍',
-  'Gujwa': '구좌읍',
-  'Seogwi': '서귀동',
-  'Seongsan': '성산읍', // town인 경우
-  // Village (리/동)
-  'Woljeong': '월정리',
-  'Sehwa': '세화리'
+// path 또는 body의 user_id가 호출자와 다르면 거부 (user_id 생략 시 호출자 기준으로 처리)
+// multer 사용 라우트에서는 body 파싱 이후에 위치해야 함
+function requireSameUser(req, res, next) {
+  const claimedUserId = req.params.user_id !== undefined ? req.params.user_id : (req.body && req.body.user_id);
+  
+  if (claimedUserId !== undefined && claimedUserId !== null && claimedUserId !== '' && String(claimedUserId) !== req.auth.user_id) {
+    console.warn(`[인증] user_id 불일치 - 요청: ${claimedUserId}, 토큰: ${req.auth.user_id}`);
+    return res.status(403).json({ error: 'user_id does not match the authenticated user' });
+  }
+  
+  next();
+}
+
+// ==================== 권한 (역할) ====================
+
+// 사용자 역할 - users.role 컬럼에 저장
+const ROLES = {
+  PLAYER: 'player',   // 일반 사용자 (기본값)
+  EDITOR: 'editor',   // 퀘스트 콘텐츠 관리자
+  ADMIN: 'admin'      // 전체 관리자
 };
 
-// 지역명 변환 함수
-// type: 'city' | 'town' | 'village'
-function translateRegionName(englishName, type = null) {
+// 호출자의 역할이 허용 목록에 없으면 거부하는 미들웨어 (authenticate 이후에 위치해야 함)
+// 역할 변경이 즉시 반영되도록 토큰이 아닌 DB에서 조회
+function requireRole(...allowedRoles) {
+  return async (req, res, next) => {
+    try {
+      const [rows] = await pool.execute('SELECT role FROM users WHERE user_id = ?', [req.auth.user_id]);
+      if (rows.length === 0) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+      
+      const role = rows[0].role || ROLES.PLAYER;
+      if (!allowedRoles.includes(role)) {
+        console.warn(`[권한] 접근 거부 - user_id: ${req.auth.user_id}, role: ${role}, 필요 역할: ${allowedRoles.join(', ')}`);
+        return res.status(403).json({ error: 'Insufficient permissions', requiredRoles: allowedRoles });
+      }
+      
+      req.auth.role = role;
+      next();
+    } catch (error) {
+      console.error('[권한] 역할 조회 실패:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// 최초 관리자 지정 - ADMIN_USER_IDS(쉼표 구분)의 사용자를 서버 시작 시 admin으로 변경
+// PATCH /api/users/:user_id/role은 관리자만 호출할 수 있으므로 첫 관리자는 이 설정으로 만듦
+async function bootstrapAdminUsers(userIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)) {
+  for (const user_id of userIds) {
+    try {
+      const [result] = await pool.execute('UPDATE users SET role = ? WHERE user_id = ?', [ROLES.ADMIN, user_id]);
+      if (result.affectedRows === 0) {
+        console.warn(`[권한] ADMIN_USER_IDS의 사용자를 찾을 수 없습니다: ${user_id} (POST /api/users로 생성 후 재시작)`);
+      } else if (result.changedRows > 0) {
+        console.log(`[권한] ADMIN_USER_IDS로 관리자 지정 - user_id: ${user_id}`);
+      }
+    } catch (error) {
+      console.error(`[권한] 관리자 지정 실패 - user_id: ${user_id}:`, error.message);
+    }
+  }
+}
+
+// ==================== 지역 레지스트리 ====================
+
+const REGION_LEVELS = ['city', 'town', 'village'];
+const REGION_PARENT_LEVEL = { city: null, town: 'city', village: 'town' };
+const REGION_CACHE_TTL = 5 * 60 * 1000; // 5분마다 regions 테이블 다시 로드 (다른 인스턴스의 추가 반영)
+
+// regions 테이블 메모리 캐시 (지역명 변환/검증은 동기적으로 사용)
+let regionRegistry = [];
+
+async function loadRegionRegistry() {
+  try {
+    const [rows] = await pool.execute('SELECT id, parent_id, level, code, name_ko, name_en FROM regions ORDER BY id');
+    regionRegistry = rows;
+    console.log(`[지역 레지스트리] ${rows.length}개 지역 로드 완료`);
+  } catch (error) {
+    console.error('[지역 레지스트리] 로드 실패:', error.message);
+  }
+}
+
+function findRegion(level, code, parentId) {
+  return regionRegistry.find(r => r.level === level && r.code === code && (parentId === undefined || r.parent_id === parentId)) || null;
+}
+
+// city/town/village 문자열을 지역 레지스트리 기준으로 확인하고 가장 하위 지역을 반환
+// 반환값: { region, errors } - 계층이 맞지 않으면 errors에 사유 포함
+function resolveRegion(city, town, village) {
+  const errors = [];
+  
+  const cityRegion = findRegion('city', city, null);
+  if (!cityRegion) {
+    errors.push(`Unknown city: ${city}`);
+    return { region: null, errors };
+  }
+  
+  if (village && !town) {
+    errors.push('town is required when village is set');
+    return { region: null, errors };
+  }
+  
+  if (!town) return { region: cityRegion, errors };
+  
+  const townRegion = findRegion('town', town, cityRegion.id);
+  if (!townRegion) {
+    errors.push(`Unknown town '${town}' in city '${city}'`);
+    return { region: null, errors };
+  }
+  
+  if (!village) return { region: townRegion, errors };
+  
+  const villageRegion = findRegion('village', village, townRegion.id);
+  if (!villageRegion) {
+    errors.push(`Unknown village '${village}' in town '${town}'`);
+    return { region: null, errors };
+  }
+  
+  return { region: villageRegion, errors };
+}
+
+// 지역과 모든 하위 지역의 id 목록
+function getRegionScopeIds(regionId) {
+  const ids = [regionId];
+  for (let i = 0; i < ids.length; i++) {
+    regionRegistry.filter(r => r.parent_id === ids[i]).forEach(r => ids.push(r.id));
+  }
+  return ids;
+}
+
+// 지역과 모든 상위 지역 목록 (하위 → 상위 순, 예: village, town, city)
+function getRegionAncestry(regionId) {
+  const ancestry = [];
+  let region = regionRegistry.find(r => r.id === regionId);
+  while (region) {
+    ancestry.push(region);
+    region = region.parent_id ? regionRegistry.find(r => r.id === region.parent_id) : null;
+  }
+  return ancestry;
+}
+
+// 지역명 변환 함수 (영문 코드 -> 표시 이름)
+// type: 'city' | 'town' | 'village' - 같은 코드가 여러 레벨에 있을 수 있음 (예: Seongsan 읍/리)
+// lang: 'ko' | 'en'
+function translateRegionName(englishName, type = null, lang = 'ko') {
   if (!englishName) return englishName;
   
-  // Seongsan은 타입에 따라 다르게 변환
-  if (englishName === 'Seongsan') {
-    if (type === 'village') return '성산리';
-    return '성산읍'; // town인 경우
+  const levels = type ? [type] : REGION_LEVELS;
+  for (const level of levels) {
+    const region = findRegion(level, englishName);
+    if (region) return lang === 'en' ? region.name_en : region.name_ko;
+  }
+  
+  return englishName;
+}
+
+// ==================== 위치 (GPS) ====================
+
+// 지역 역조회용 경계 데이터 (data/region-boundaries.json, 좌표는 [경도, 위도])
+const REGION_BOUNDARIES = require('./data/region-boundaries.json').regions;
+const REGION_LEVEL_DEPTH = { city: 0, town: 1, village: 2 };
+const QUEST_ARRIVAL_RADIUS_M = Number(process.env.QUEST_ARRIVAL_RADIUS_M) || 100; // quests.radius_m이 없을 때 도착 판정 반경
+const NEARBY_DEFAULT_RADIUS_M = 3000;
+const NEARBY_MAX_RADIUS_M = 50000;
+
+// 위도/경도 문자열 파싱 - 범위를 벗어나거나 숫자가 아니면 null
+function parseCoordinates(lat, lng) {
+  if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') return null;
+  const parsedLat = Number(lat);
+  const parsedLng = Number(lng);
+  if (!Number.isFinite(parsedLat) || parsedLat < -90 || parsedLat > 90) return null;
+  if (!Number.isFinite(parsedLng) || parsedLng < -180 || parsedLng > 180) return null;
+  return { lat: parsedLat, lng: parsedLng };
+}
+
+// 점이 다각형 안에 있는지 확인 (ray casting, polygon: [[경도, 위도], ...])
+function isPointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// 두 좌표 사이의 거리 (미터, haversine)
+function getDistanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// 지역 경계의 중심 좌표 (경계 꼭짓점 평균, 가장 하위 레벨 경계 기준) - 경계가 없으면 null
+function getRegionCenter(city, town, village) {
+  const boundary = REGION_BOUNDARIES
+    .filter(b => b.city === city && (!b.town || b.town === town) && (!b.village || b.village === village))
+    .sort((a, b) => REGION_LEVEL_DEPTH[b.level] - REGION_LEVEL_DEPTH[a.level])[0];
+  if (!boundary) return null;
+  
+  return {
+    lat: boundary.polygon.reduce((sum, [, lat]) => sum + lat, 0) / boundary.polygon.length,
+    lng: boundary.polygon.reduce((sum, [lng]) => sum + lng, 0) / boundary.polygon.length
+  };
+}
+
+// 좌표 → city/town/village 역조회 (가장 하위 레벨의 경계 우선)
+// 지역 레지스트리에 없는 경계는 무시, 어느 경계에도 속하지 않으면 null
+function lookupRegionByCoordinates(lat, lng) {
+  const matches = REGION_BOUNDARIES
+    .filter(boundary => isPointInPolygon(lat, lng, boundary.polygon))
+    .sort((a, b) => REGION_LEVEL_DEPTH[b.level] - REGION_LEVEL_DEPTH[a.level]);
+  
+  for (const boundary of matches) {
+    const { region } = resolveRegion(boundary.city, boundary.town, boundary.village);
+    if (region) {
+      return {
+        city: boundary.city,
+        town: boundary.town || null,
+        village: boundary.village || null,
+        region
+      };
+    }
   }
   
-  return regionNameMap[englishName] || englishName;
+  return null;
 }
 
 // S3 이미지 파일 목록 캐시 (성능 최적화)
@@ -97,14 +391,9 @@ async function getSeongsanImageList() {
   }
   
   try {
-    const listCommand = new ListObjectsV2Command({
-      Bucket: S3_BUCKET_NAME,
-      Prefix: 'uploads/'
-    });
-    
-    const listResponse = await s3Client.send(listCommand);
-    const files = (listResponse.Contents || [])
-      .map(item => item.Key)
+    const objects = await storage.listObjects('uploads/');
+    const files = objects
+      .map(item => item.key)
       .filter(key => {
         // 성산으로 시작하고 .jpeg로 끝나는 파일만
         const fileName = key.split('/').pop(); // 파일명만 추출
@@ -128,8 +417,8 @@ async function getSeongsanImageList() {
 // Private 버킷이므로 Presigned URL 사용
 // 매번 호출 시 새로운 Presigned URL 생성 (만료 방지)
 async function getSeongsanImageUrl(index) {
-  if (!S3_BUCKET_NAME) {
-    console.warn(`[getSeongsanImageUrl] S3_BUCKET_NAME is not set`);
+  if (!storage.isConfigured()) {
+    console.warn(`[getSeongsanImageUrl] Storage is not configured`);
     return null;
   }
   
@@ -148,30 +437,18 @@ async function getSeongsanImageUrl(index) {
     
     // 파일 존재 여부 확인 (NoSuchKey 방지)
     try {
-      const headCommand = new HeadObjectCommand({
-        Bucket: S3_BUCKET_NAME,
-        Key: imageKey
-      });
-      await s3Client.send(headCommand);
-      console.log(`[getSeongsanImageUrl] File exists: ${imageKey}`);
-    } catch (headError) {
-      if (headError.name === 'NotFound' || headError.$metadata?.httpStatusCode === 404) {
-        console.error(`[getSeongsanImageUrl] File not found in S3: ${imageKey}`);
+      if (!(await storage.headObject(imageKey))) {
+        console.error(`[getSeongsanImageUrl] File not found in storage: ${imageKey}`);
         return null;
       }
+      console.log(`[getSeongsanImageUrl] File exists: ${imageKey}`);
+    } catch (headError) {
       // 다른 에러는 무시하고 Presigned URL 생성 시도
       console.warn(`[getSeongsanImageUrl] HeadObject check failed (continuing): ${headError.message}`);
     }
     
     // Presigned URL 생성 (5분 유효) - 매번 새로 생성하여 만료 방지
-    const command = new GetObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: imageKey
-    });
-    
-    const url = await getSignedUrl(s3Client, command, { 
-      expiresIn: 300 // 5분 (URL에서 확인한 값과 동일)
-    });
+    const url = await storage.getSignedDownloadUrl(imageKey, 300);
     
     console.log(`[getSeongsanImageUrl] Successfully generated Presigned URL for index ${index}, expires in 5 minutes`);
     return url;
@@ -188,12 +465,163 @@ async function getSeongsanImageUrl(index) {
   }
 }
 
+// ==================== 이미지 처리 (썸네일/리사이즈) ====================
+
+// 공개용 이미지 변형 크기 (thumbnail: 목록용 정사각형, medium: 상세 화면용)
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+  medium: { width: 1280, height: 1280, fit: 'inside' }
+};
+const IMAGE_OUTPUT_FORMAT = process.env.IMAGE_OUTPUT_FORMAT === 'webp' ? 'webp' : 'jpeg';
+const IMAGE_OUTPUT_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// 업로드 이미지로 공개용 변형(썸네일/중간 크기) 생성
+// EXIF 방향을 적용한 뒤 메타데이터(GPS 포함)를 제거하고 JPEG/WebP로 변환 (HEIC/PNG도 동일)
+// 이미지가 아니거나 디코딩할 수 없으면 null (원본만 저장)
+async function createImageVariants(buffer) {
+  try {
+    const variants = {};
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      const pipeline = sharp(buffer, { failOn: 'none' })
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true });
+      variants[name] = IMAGE_OUTPUT_FORMAT === 'webp'
+        ? await pipeline.webp({ quality: 80 }).toBuffer()
+        : await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 80, mozjpeg: true }).toBuffer();
+    }
+    return variants;
+  } catch (error) {
+    console.warn('[이미지 처리] 변형 생성 실패 (원본만 저장):', error.message);
+    return null;
+  }
+}
+
+// 원본 키 기준 변형 키 (예: uploads/users/ab12/1-x.heic → uploads/users/ab12/variants/1-x-thumbnail.jpg)
+function getImageVariantKey(key, variant) {
+  const slash = key.lastIndexOf('/');
+  const folder = key.slice(0, slash);
+  const baseName = key.slice(slash + 1).replace(/\.[^.]+$/, '');
+  return `${folder}/variants/${baseName}-${variant}.${IMAGE_OUTPUT_TYPES[IMAGE_OUTPUT_FORMAT].extension}`;
+}
+
+// 저장소 키의 Presigned URL (5분 유효, 키가 없으면 null)
+async function getPresignedImageUrl(key) {
+  if (!key || !storage.isConfigured()) return null;
+  return storage.getSignedDownloadUrl(key, 300);
+}
+
+// ==================== 업로드 파일 검증 ====================
+
+const UPLOAD_MAX_SIZE = 10 * 1024 * 1024; // 업로드 파일 크기 제한 (10MB, 직접 업로드도 동일)
+
+// 허용하는 업로드 형식 (선언된 mimetype이 아니라 파일 앞부분의 매직 바이트로 판별)
+const ALLOWED_UPLOAD_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: buf => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { extension: 'png', matches: buf => buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: buf => buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP' },
+  'image/heic': { extension: 'heic', matches: buf => isIsoMediaBrand(buf, ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis']) },
+  'image/heif': { extension: 'heif', matches: buf => isIsoMediaBrand(buf, ['mif1', 'msf1']) }
+};
+
+// HEIC/HEIF: 4번째 바이트부터 'ftyp' 박스와 major brand
+function isIsoMediaBrand(buf, brands) {
+  return buf.length >= 12 && buf.toString('latin1', 4, 8) === 'ftyp' && brands.includes(buf.toString('latin1', 8, 12));
+}
+
+// 파일 내용으로 형식 판별 - 허용 목록에 없으면 null
+function detectUploadType(buffer) {
+  const mime = Object.keys(ALLOWED_UPLOAD_TYPES).find(type => ALLOWED_UPLOAD_TYPES[type].matches(buffer));
+  return mime ? { mime, extension: ALLOWED_UPLOAD_TYPES[mime].extension } : null;
+}
+
+// 클라이언트 파일명 확인 (히스토리 표시용) - 경로 구분자, 상위 경로, 제어 문자가 있으면 null
+function sanitizeUploadFileName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  if (!trimmed || trimmed.length > 200 || trimmed === '.' || trimmed === '..' || /[\/\\\x00-\x1f]/.test(trimmed)) {
+    return null;
+  }
+  return trimmed;
+}
+
+// 업로드 키 생성 - 클라이언트 파일명/폴더는 키에 사용하지 않음 (다른 파일 덮어쓰기 방지)
+// uploads/users/{user_id 해시}/{시간}-{랜덤}.{확장자}
+function generateUploadKey(user_id, extension) {
+  const userDir = crypto.createHash('sha256').update(String(user_id)).digest('hex').slice(0, 16);
+  return `uploads/users/${userDir}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+}
+
+// Multer 에러 핸들러 미들웨어
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    console.error(`[Multer 에러] ${err.code}:`, err.message);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ 
+        error: 'File too large',
+        details: '파일 크기는 10MB를 초과할 수 없습니다.',
+        maxSize: '10MB'
+      });
+    }
+    return res.status(400).json({ 
+      error: 'File upload error',
+      details: err.message,
+      code: err.code
+    });
+  }
+  if (err) {
+    console.error(`[업로드 에러]`, err);
+    return res.status(500).json({ 
+      error: 'Upload failed',
+      details: err.message
+    });
+  }
+  next();
+};
+
+// express.raw 본문 에러 핸들러 (직접 업로드) - 크기 초과 등을 Express 기본 HTML 에러 페이지 대신 JSON으로 반환
+const handleRawBodyError = (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    console.error(`[직접 업로드] 크기 초과 - ${err.length} bytes (제한: ${err.limit} bytes)`);
+    return res.status(413).json({
+      error: 'File too large',
+      details: '파일 크기는 10MB를 초과할 수 없습니다.',
+      maxSize: '10MB'
+    });
+  }
+  console.error(`[직접 업로드 에러]`, err);
+  res.status(err.status || 500).json({
+    error: 'Upload failed',
+    details: err.message
+  });
+};
+
+// multer 이후 업로드 파일 검증 미들웨어 - 허용 형식이면 req.file.detectedType 설정, 아니면 415
+function validateUploadedImage(req, res, next) {
+  if (!req.file) return next();
+  
+  const detectedType = detectUploadType(req.file.buffer);
+  if (!detectedType) {
+    console.warn(`[업로드 검증] 허용되지 않는 파일 형식 - 선언된 mimetype: ${req.file.mimetype}, 파일명: ${req.file.originalname}`);
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      details: `허용 형식: ${Object.keys(ALLOWED_UPLOAD_TYPES).join(', ')}`
+    });
+  }
+  
+  req.file.detectedType = detectedType;
+  next();
+}
+
 // Multer 설정 (메모리 스토리지 - 파일을 메모리에 저장)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB 제한
+    fileSize: UPLOAD_MAX_SIZE // 10MB 제한
   },
+  // 형식 검사는 선언된 mimetype이 아니라 validateUploadedImage에서 파일 내용으로 수행
   fileFilter: (req, file, cb) => {
     console.log(`[Multer] 파일 필터 - fieldname: ${file.fieldname}, originalname: ${file.originalname}, mimetype: ${file.mimetype}`);
     cb(null, true);
@@ -217,10 +645,10 @@ app.get('/api/health/db', async (req, res) => {
   }
 });
 
-// 모든 사용자 조회
-app.get('/api/users', async (req, res) => {
+// 모든 사용자 조회 (관리자 전용 - email, role 포함)
+app.get('/api/users', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const [rows] = await pool.execute('SELECT id, user_id, name, age, gender, email, created_at FROM users ORDER BY id DESC');
+    const [rows] = await pool.execute('SELECT id, user_id, name, age, gender, email, role, created_at FROM users ORDER BY id DESC');
     res.json(rows);
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -228,17 +656,18 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// user_id로 사용자 조회
-app.get('/api/users/by-id/:user_id', async (req, res) => {
+// user_id로 사용자 조회 (email은 본인에게만 반환)
+app.get('/api/users/by-id/:user_id', optionalAuthenticate, async (req, res) => {
   try {
     const { user_id } = req.params;
-    const [rows] = await pool.execute('SELECT id, user_id, name, age, gender, email, created_at FROM users WHERE user_id = ?', [user_id]);
+    const [rows] = await pool.execute('SELECT id, user_id, name, age, gender, email, role, created_at FROM users WHERE user_id = ?', [user_id]);
     
     if (rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json(rows[0]);
+    const { email, ...profile } = rows[0];
+    res.json(req.auth && req.auth.user_id === user_id ? rows[0] : profile);
   } catch (error) {
     console.error('Error fetching user by user_id:', error);
     res.status(500).json({ error: error.message });
@@ -292,7 +721,8 @@ app.post('/api/users', async (req, res) => {
       name, 
       age, 
       gender, 
-      email 
+      email,
+      ...issueSessionTokens(user_id)
     });
   } catch (error) {
     console.error('Error creating user:', error);
@@ -300,64 +730,64 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
-// 사용자 생성 (GET - 브라우저에서 POST가 막힌 환경 우회용)
-// 예: GET /api/users/create?name=지현&age=25&gender=여
-app.get('/api/users/create', async (req, res) => {
+// GET으로는 사용자를 만들지 않음 - 발급된 토큰이 URL/접근 로그에 남으므로 POST /api/users만 허용
+app.get('/api/users/create', (req, res) => {
+  res.set('Allow', 'POST').status(405).json({
+    error: 'Method not allowed',
+    details: 'POST /api/users에 { "name": "...", "age": 25, "gender": "...", "email": "..." }를 보내 사용자를 생성하세요.'
+  });
+});
+
+// 세션 토큰 갱신 (refresh token으로 새 access/refresh token 발급)
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { name, age, gender, email } = req.query;
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
+    const { refreshToken } = req.body;
+    const payload = verifyToken(refreshToken, 'refresh');
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
     
-    // user_id 생성 (중복 체크 포함)
-    let user_id;
-    let attempts = 0;
-    const maxAttempts = 100;
+    // 삭제된 사용자의 토큰은 갱신하지 않음
+    const [rows] = await pool.execute('SELECT user_id FROM users WHERE user_id = ?', [payload.sub]);
+    if (rows.length === 0) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
     
-    do {
-      const randomNum = Math.floor(10 + Math.random() * 90); // 10~99
-      user_id = `${name}${randomNum}`;
-      
-      const [existing] = await pool.execute(
-        'SELECT COUNT(*) as count FROM users WHERE user_id = ?',
-        [user_id]
-      );
-      
-      if (existing[0].count === 0) {
-        break; // 중복 없음
-      }
-      
-      attempts++;
-      
-      // 100번 시도 후에도 중복이면 4자리 번호 사용
-      if (attempts >= maxAttempts) {
-        const randomNum4 = Math.floor(1000 + Math.random() * 9000);
-        user_id = `${name}${randomNum4}`;
-        break;
-      }
-    } while (attempts < maxAttempts);
+    res.json({
+      user_id: payload.sub,
+      ...issueSessionTokens(payload.sub)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사용자 역할 변경 (관리자 전용)
+app.patch('/api/users/:user_id/role', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { role } = req.body;
     
-    const [result] = await pool.execute(
-      'INSERT INTO users (user_id, name, age, gender, email) VALUES (?, ?, ?, ?, ?)',
-      [user_id, name, age || null, gender || null, email || null]
-    );
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowedRoles: Object.values(ROLES) });
+    }
     
-    res.json({ 
-      id: result.insertId, 
-      user_id: user_id,
-      name, 
-      age, 
-      gender, 
-      email 
-    });
+    const [result] = await pool.execute('UPDATE users SET role = ? WHERE user_id = ?', [role, user_id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`[권한] 역할 변경 - user_id: ${user_id}, role: ${role}, 변경자: ${req.auth.user_id}`);
+    res.json({ user_id, role });
   } catch (error) {
-    console.error('Error creating user via GET /api/users/create:', error);
+    console.error('Error updating user role:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 사용자 삭제
-app.delete('/api/users/:id', async (req, res) => {
+// 사용자 삭제 (관리자 전용)
+app.delete('/api/users/:id', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
     const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [id]);
@@ -371,16 +801,322 @@ app.delete('/api/users/:id', async (req, res) => {
   }
 });
 
-// 지역별 랜덤 퀘스트 조회 (사진 찍기 또는 문제 풀기 랜덤 선택)
-app.get('/api/quests/random', async (req, res) => {
-  try {
-    // Express는 쿼리 파라미터를 자동으로 디코딩하지만,
-    // 일부 프록시/인그레스에서 이중 인코딩이 될 수 있으므로 안전하게 처리
-    let city = req.query.city;
-    let town = req.query.town;
-    let village = req.query.village;
-    
-    // %가 포함되어 있으면 아직 인코딩된 상태이므로 디코딩 시도
+// ==================== 지역 API ====================
+
+// 지역 트리 응답 노드 생성 (questCount: 해당 지역에 직접 속한 퀘스트, totalQuestCount: 하위 지역 포함)
+function buildRegionTree(regions, questCounts) {
+  const nodes = new Map(regions.map(r => [r.id, {
+    id: r.id,
+    level: r.level,
+    code: r.code,
+    name: { ko: r.name_ko, en: r.name_en },
+    questCount: questCounts.get(r.id) || 0,
+    totalQuestCount: 0,
+    children: []
+  }]));
+  
+  const roots = [];
+  for (const region of regions) {
+    const node = nodes.get(region.id);
+    if (region.parent_id && nodes.has(region.parent_id)) {
+      nodes.get(region.parent_id).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  
+  const sumQuests = (node) => {
+    node.totalQuestCount = node.questCount + node.children.reduce((sum, child) => sum + sumQuests(child), 0);
+    return node.totalQuestCount;
+  };
+  roots.forEach(sumQuests);
+  
+  return roots;
+}
+
+// 지역 계층 조회 (city → town → village, 퀘스트 수 포함)
+app.get('/api/regions', async (req, res) => {
+  try {
+    const [regions] = await pool.execute('SELECT id, parent_id, level, code, name_ko, name_en FROM regions ORDER BY id');
+    const [counts] = await pool.execute(
+      'SELECT region_id, COUNT(*) as count FROM quests WHERE region_id IS NOT NULL GROUP BY region_id'
+    );
+    
+    const questCounts = new Map(counts.map(row => [row.region_id, Number(row.count)]));
+    res.json(buildRegionTree(regions, questCounts));
+  } catch (error) {
+    console.error('Error fetching regions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 좌표 → 지역 역조회 (data/region-boundaries.json 기준)
+app.get('/api/regions/lookup', (req, res) => {
+  const coordinates = parseCoordinates(req.query.lat, req.query.lng);
+  if (!coordinates) {
+    return res.status(400).json({ error: 'lat and lng are required', details: 'lat: -90~90, lng: -180~180' });
+  }
+  
+  const located = lookupRegionByCoordinates(coordinates.lat, coordinates.lng);
+  if (!located) {
+    return res.status(404).json({ error: 'No region found for coordinates', ...coordinates });
+  }
+  
+  res.json({
+    ...coordinates,
+    city: located.city,
+    town: located.town,
+    village: located.village,
+    region: {
+      id: located.region.id,
+      level: located.region.level,
+      code: located.region.code,
+      name: { ko: located.region.name_ko, en: located.region.name_en }
+    }
+  });
+});
+
+// 지역 추가 (에디터/관리자) - 새 마을을 코드 배포 없이 등록
+app.post('/api/regions', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { level, code, nameKo, nameEn, parentId } = req.body;
+    const errors = [];
+    
+    if (!REGION_LEVELS.includes(level)) {
+      errors.push(`level must be one of: ${REGION_LEVELS.join(', ')}`);
+    }
+    if (typeof code !== 'string' || !/^[A-Za-z][A-Za-z0-9-]*$/.test(code)) {
+      errors.push('code must be an English identifier (e.g. Woljeong)');
+    }
+    if (typeof nameKo !== 'string' || !nameKo.trim()) {
+      errors.push('nameKo is required');
+    }
+    if (typeof nameEn !== 'string' || !nameEn.trim()) {
+      errors.push('nameEn is required');
+    }
+    
+    // city는 상위 지역 없음, town은 city 하위, village는 town 하위
+    const expectedParentLevel = REGION_PARENT_LEVEL[level];
+    if (expectedParentLevel) {
+      const parent = regionRegistry.find(r => r.id === Number(parentId));
+      if (!parent || parent.level !== expectedParentLevel) {
+        errors.push(`parentId must reference a ${expectedParentLevel} region`);
+      }
+    } else if (parentId) {
+      errors.push('city regions cannot have a parent');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid region', details: errors });
+    }
+    
+    const [result] = await pool.execute(
+      'INSERT INTO regions (parent_id, level, code, name_ko, name_en) VALUES (?, ?, ?, ?, ?)',
+      [expectedParentLevel ? Number(parentId) : null, level, code, nameKo.trim(), nameEn.trim()]
+    );
+    
+    await loadRegionRegistry();
+    console.log(`[지역 레지스트리] 지역 추가 - id: ${result.insertId}, ${level} ${code}, 작성자: ${req.auth.user_id}`);
+    
+    res.status(201).json({
+      id: result.insertId,
+      parentId: expectedParentLevel ? Number(parentId) : null,
+      level,
+      code,
+      name: { ko: nameKo.trim(), en: nameEn.trim() }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Region already exists' });
+    }
+    console.error('Error creating region:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== 퀘스트 타입 ====================
+
+const QUEST_OPTION_KEYS = ['option_a', 'option_b', 'option_c', 'option_d'];
+
+// 퀘스트 타입별 처리 (quests.quest_type 값 기준, 새 타입은 여기에 추가)
+// - validate: 타입별 입력값 검증 (오류 메시지 배열 반환)
+// - toStorage: 타입별 컬럼 값 (선택지/정답/payload)
+// - toPlayerResponse: 플레이어용 응답 필드 (정답 제외)
+// - requiresStart: true면 문제 내용은 시도를 시작할 때만 공개 (풀이 시간 측정, POST /api/quests/:id/start)
+const QUEST_TYPES = {
+  // 4지선다 문제 - 선택지와 정답은 option_a~d, correct_answer 컬럼에 저장
+  question: {
+    requiresStart: true,
+    validate(quest) {
+      const errors = [];
+      for (const key of QUEST_OPTION_KEYS) {
+        if (typeof quest[key] !== 'string' || !quest[key].trim()) {
+          errors.push(`${key} is required (four options A-D)`);
+        }
+      }
+      if (typeof quest.correct_answer !== 'string' || !/^[A-D]$/i.test(quest.correct_answer)) {
+        errors.push('correct_answer must be one of A, B, C, D');
+      }
+      return errors;
+    },
+    toStorage(quest) {
+      return {
+        options: QUEST_OPTION_KEYS.map(key => quest[key].trim()),
+        correct_answer: quest.correct_answer.toUpperCase(),
+        payload: null
+      };
+    },
+    toPlayerResponse(quest) {
+      return {
+        question: quest.question,
+        options: {
+          A: quest.option_a,
+          B: quest.option_b,
+          C: quest.option_c,
+          D: quest.option_d
+        }
+      };
+    }
+  },
+  // 사진 미션 - 선택지/정답 없음, payload: { locationHint }
+  photo: {
+    validate(quest) {
+      const errors = [];
+      if (quest.payload !== undefined && quest.payload !== null) {
+        if (typeof quest.payload !== 'object' || Array.isArray(quest.payload)) {
+          errors.push('payload must be an object');
+        } else if (quest.payload.locationHint !== undefined && typeof quest.payload.locationHint !== 'string') {
+          errors.push('payload.locationHint must be a string');
+        }
+      }
+      return errors;
+    },
+    toStorage(quest) {
+      return {
+        options: [null, null, null, null],
+        correct_answer: null,
+        payload: quest.payload ? { locationHint: quest.payload.locationHint } : null
+      };
+    },
+    toPlayerResponse(quest) {
+      return {
+        instruction: quest.question, // DB에 저장된 사진 미션 지시사항 사용
+        locationHint: (quest.payload && quest.payload.locationHint) || quest.question, // 별도 힌트가 없으면 지시사항을 장소 힌트로 사용
+        uploadEndpoint: '/api/s3/upload', // 사진 업로드 엔드포인트
+        options: {} // 프론트엔드 호환성을 위해 빈 객체 (사진 찍는 퀘스트는 사용하지 않음)
+      };
+    }
+  }
+};
+
+// 플레이어용 퀘스트 응답 생성 (정답 미포함)
+// revealContent: 시도를 시작했거나 이미 푼 퀘스트만 true - 아니면 시작이 필요한 타입의 문제/선택지를 숨김
+// QUEST_TYPES에 없는 타입이면 null (잘못된 행 하나 때문에 목록 전체가 실패하지 않도록 호출하는 쪽에서 제외)
+function toPlayerQuest(quest, { revealContent = false } = {}) {
+  const questType = QUEST_TYPES[quest.quest_type];
+  if (!questType) {
+    console.warn(`[퀘스트] 알 수 없는 quest_type '${quest.quest_type}' - quest_id: ${quest.id} (응답에서 제외)`);
+    return null;
+  }
+  
+  const content = questType.requiresStart && !revealContent
+    ? { question: null, options: null, startEndpoint: `/api/quests/${quest.id}/start` } // 시작하면 문제와 시도 토큰 반환
+    : questType.toPlayerResponse(quest);
+  
+  return {
+    type: quest.quest_type,
+    id: quest.id,
+    region: {
+      city: quest.city,
+      town: quest.town,
+      village: quest.village
+    },
+    ...content,
+    // 위치가 등록된 퀘스트만 좌표 포함 (radius: 도착 판정 반경, 미터)
+    location: quest.latitude !== null && quest.latitude !== undefined ? {
+      lat: Number(quest.latitude),
+      lng: Number(quest.longitude),
+      radius: quest.radius_m || QUEST_ARRIVAL_RADIUS_M
+    } : null,
+    timeLimitMs: quest.time_limit_ms || null, // 풀이 제한 시간 (null이면 제한 없음)
+    score: quest.score
+  };
+}
+
+// 랜덤 퀘스트 타입 비율 (형식: "question:1,photo:1", 요청의 type_weights로 변경 가능)
+const DEFAULT_QUEST_TYPE_WEIGHTS = process.env.RANDOM_QUEST_TYPE_WEIGHTS || 'question:1,photo:1';
+
+// "question:3,photo:1" 형식의 타입 비율 파싱 - 알 수 없는 타입이나 잘못된 값이면 null
+function parseQuestTypeWeights(value) {
+  const weights = {};
+  for (const entry of String(value).split(',')) {
+    const [type, weight] = entry.split(':').map(part => part && part.trim());
+    const parsedWeight = Number(weight);
+    if (!QUEST_TYPES[type] || !Number.isFinite(parsedWeight) || parsedWeight < 0) {
+      return null;
+    }
+    weights[type] = parsedWeight;
+  }
+  return Object.values(weights).some(weight => weight > 0) ? weights : null;
+}
+
+// 비율에 따라 타입 시도 순서 결정 (가중치 기반 비복원 추출, 가중치 0인 타입은 제외)
+function orderQuestTypesByWeight(weights) {
+  const remaining = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const ordered = [];
+  
+  while (remaining.length > 0) {
+    const total = remaining.reduce((sum, [, weight]) => sum + weight, 0);
+    let pick = Math.random() * total;
+    const index = remaining.findIndex(([, weight]) => (pick -= weight) < 0);
+    ordered.push(remaining.splice(index === -1 ? remaining.length - 1 : index, 1)[0][0]);
+  }
+  
+  return ordered;
+}
+
+// 지역/타입 조건에 맞는 퀘스트 1개 랜덤 조회
+// town/village가 제공되면 정확히 일치하는 것만, 없으면 모든 것 포함
+// excludeUserId가 있으면 해당 사용자가 이미 푼 퀘스트와 심사 대기 중인 사진 미션 제외
+async function findRandomQuest({ city, town, village }, questType, excludeUserId = null) {
+  let query = 'SELECT * FROM quests WHERE city = ? AND quest_type = ?';
+  const params = [city, questType];
+  
+  if (excludeUserId) {
+    query += ' AND NOT EXISTS (SELECT 1 FROM user_quest_scores uqs WHERE uqs.user_id = ? AND uqs.quest_id = quests.id)';
+    query += " AND NOT EXISTS (SELECT 1 FROM user_upload_history uuh WHERE uuh.user_id = ? AND uuh.quest_id = quests.id AND uuh.moderation_status = 'pending')";
+    params.push(excludeUserId, excludeUserId);
+  }
+  
+  if (town) {
+    query += ' AND town = ?';
+    params.push(town);
+  }
+  
+  if (village) {
+    query += ' AND village = ?';
+    params.push(village);
+  }
+  
+  query += ' ORDER BY RAND() LIMIT 1';
+  
+  console.log(`[랜덤 퀘스트] 쿼리: ${query}`, params);
+  
+  const [rows] = await pool.execute(query, params);
+  return rows[0] || null;
+}
+
+// 지역별 랜덤 퀘스트 조회 (사진 찍기 또는 문제 풀기 랜덤 선택)
+// user_id(토큰 필요)가 있으면 이미 푼 퀘스트를 제외하고, 리에 남은 퀘스트가 없으면 읍/면/동 → 시 순서로 범위를 넓힘
+app.get('/api/quests/random', optionalAuthenticate, async (req, res) => {
+  try {
+    // Express는 쿼리 파라미터를 자동으로 디코딩하지만,
+    // 일부 프록시/인그레스에서 이중 인코딩이 될 수 있으므로 안전하게 처리
+    let city = req.query.city;
+    let town = req.query.town;
+    let village = req.query.village;
+    
+    // %가 포함되어 있으면 아직 인코딩된 상태이므로 디코딩 시도
     if (city && typeof city === 'string' && city.includes('%')) {
       try {
         city = decodeURIComponent(city);
@@ -403,86 +1139,100 @@ app.get('/api/quests/random', async (req, res) => {
       }
     }
     
-    // 최소한 city는 필요
+    // city 없이 GPS 좌표만 주어지면 경계 데이터로 지역 역조회
+    if (!city && (req.query.lat !== undefined || req.query.lng !== undefined)) {
+      const coordinates = parseCoordinates(req.query.lat, req.query.lng);
+      if (!coordinates) {
+        return res.status(400).json({ error: 'Invalid coordinates', details: 'lat: -90~90, lng: -180~180' });
+      }
+      
+      const located = lookupRegionByCoordinates(coordinates.lat, coordinates.lng);
+      if (!located) {
+        return res.status(404).json({ error: 'No region found for coordinates', ...coordinates });
+      }
+      
+      ({ city, town, village } = located);
+      console.log(`[랜덤 퀘스트] GPS 역조회 (${coordinates.lat}, ${coordinates.lng}) → ${city} ${town || ''} ${village || ''}`);
+    }
+    
+    // 최소한 city(또는 lat/lng)는 필요
     if (!city) {
       return res.status(400).json({ error: 'City parameter is required' });
     }
     
     console.log('Quest search params (processed):', { city, town, village });
     
-    // 50:50 확률로 타입 먼저 선택
-    const questType = Math.random() < 0.5 ? 'photo' : 'question';
-    console.log(`[랜덤 퀘스트] 선택된 타입: ${questType}`);
-    
-    // 선택된 타입에 맞는 quest 조회
-    // 1단계: 타입 필터링
-    let query = 'SELECT * FROM quests WHERE city = ?';
-    let params = [city];
-    
-    // 타입에 따라 필터링 (먼저 타입으로 필터링)
-    if (questType === 'photo') {
-      query += ' AND option_a = ?';
-      params.push('사진 미션');
-    } else {
-      query += ' AND option_a != ?';
-      params.push('사진 미션');
-    }
-    
-    // 2단계: 지역 조건 추가 (town/village가 제공되면 정확히 일치하는 것만, 없으면 모든 것 포함)
-    if (town) {
-      query += ' AND town = ?';
-      params.push(town);
+    // 개인화: user_id는 토큰의 호출자와 같아야 함
+    const user_id = req.query.user_id || null;
+    if (user_id && (!req.auth || req.auth.user_id !== user_id)) {
+      return res.status(req.auth ? 403 : 401).json({ error: 'user_id requires a matching access token' });
     }
     
-    if (village) {
-      query += ' AND village = ?';
-      params.push(village);
+    const typeWeights = parseQuestTypeWeights(req.query.type_weights || DEFAULT_QUEST_TYPE_WEIGHTS);
+    if (!typeWeights) {
+      return res.status(400).json({
+        error: 'Invalid type_weights',
+        details: `형식: "question:1,photo:1" (타입: ${Object.keys(QUEST_TYPES).join(', ')})`
+      });
     }
     
-    // 3단계: 랜덤 선택
-    query += ' ORDER BY RAND() LIMIT 1';
+    // 요청 지역부터 상위 지역 순서로 검색 (village → town → city)
+    const searchLevels = [];
+    if (village) searchLevels.push({ level: 'village', region: { city, town, village } });
+    if (town) searchLevels.push({ level: 'town', region: { city, town } });
+    searchLevels.push({ level: 'city', region: { city } });
     
-    console.log(`[랜덤 퀘스트] 쿼리: ${query}`, params);
+    let quest = null;
+    let servedLevel = null;
+    const exhaustedLevels = [];
     
-    let [rows] = await pool.execute(query, params);
-    
-    // 선택된 타입의 quest가 없으면 반대 타입으로 fallback
-    if (rows.length === 0) {
-      console.log(`[랜덤 퀘스트] ${questType} 타입 quest를 찾을 수 없어 반대 타입으로 fallback`);
-      const fallbackType = questType === 'photo' ? 'question' : 'photo';
-      
-      // Fallback: 반대 타입의 quest 조회
-      query = 'SELECT * FROM quests WHERE city = ?';
-      params = [city];
-      
-      // 타입 필터링
-      if (fallbackType === 'photo') {
-        query += ' AND option_a = ?';
-        params.push('사진 미션');
-      } else {
-        query += ' AND option_a != ?';
-        params.push('사진 미션');
-      }
-      
-      // 지역 조건
-      if (town) {
-        query += ' AND town = ?';
-        params.push(town);
+    for (const { level, region } of searchLevels) {
+      // 비율에 따라 타입 순서를 정하고, 선택된 타입이 없으면 다음 타입으로 fallback
+      for (const questType of orderQuestTypesByWeight(typeWeights)) {
+        quest = await findRandomQuest(region, questType, user_id);
+        if (quest) break;
       }
       
-      if (village) {
-        query += ' AND village = ?';
-        params.push(village);
+      if (quest) {
+        servedLevel = level;
+        break;
       }
       
-      // 랜덤 선택
-      query += ' ORDER BY RAND() LIMIT 1';
+      // 개인화하지 않으면 상위 지역으로 넓히지 않음 (기존 동작)
+      if (!user_id) break;
       
-      console.log(`[랜덤 퀘스트] Fallback 쿼리: ${query}`, params);
-      
-      [rows] = await pool.execute(query, params);
+      exhaustedLevels.push(level);
+      console.log(`[랜덤 퀘스트] ${level} 레벨에 남은 퀘스트 없음 - 상위 지역으로 확장`);
+    }
     
-    if (rows.length === 0) {
+    if (!quest) {
+      // 사용자가 지역의 모든 퀘스트를 완료한 경우
+      if (user_id) {
+        const [regionQuests] = await pool.execute('SELECT COUNT(*) as count FROM quests WHERE city = ?', [city]);
+        if (regionQuests[0].count > 0) {
+          // 남은 퀘스트가 심사 대기 중인 사진 미션뿐인 경우 알려줌
+          const [pendingRows] = await pool.execute(
+            `SELECT COUNT(DISTINCT uuh.quest_id) as count
+             FROM user_upload_history uuh
+             INNER JOIN quests q ON q.id = uuh.quest_id
+             WHERE uuh.user_id = ? AND q.city = ? AND uuh.moderation_status = 'pending'`,
+            [user_id, city]
+          );
+          const pendingReviewCount = Number(pendingRows[0].count);
+          
+          console.log(`[랜덤 퀘스트] user_id: ${user_id} - ${city} 지역 퀘스트 모두 완료 (심사 대기: ${pendingReviewCount}개)`);
+          return res.json({
+            completed: true,
+            region: { city, town: town || null, village: village || null },
+            exhaustedLevels,
+            pendingReviewCount, // 심사 대기 중인 사진 미션 수 (GET /api/users/:user_id/photo-submissions)
+            message: pendingReviewCount > 0
+              ? '남은 사진 미션이 심사를 기다리고 있습니다.'
+              : '이 지역의 모든 퀘스트를 완료했습니다.'
+          });
+        }
+      }
+      
       const [availableCities] = await pool.execute('SELECT DISTINCT city FROM quests');
       return res.status(404).json({ 
         error: `No quest found for region: ${city}${town ? ' ' + town : ''}${village ? ' ' + village : ''}`,
@@ -491,229 +1241,774 @@ app.get('/api/quests/random', async (req, res) => {
       });
     }
     
-      // fallback 타입으로 변경
-      const finalType = fallbackType;
-    const quest = rows[0];
-      console.log(`[랜덤 퀘스트] Fallback quest ID: ${quest.id}, 타입: ${finalType}`);
+    console.log(`[랜덤 퀘스트] 선택된 quest ID: ${quest.id}, 타입: ${quest.quest_type}, 레벨: ${servedLevel}`);
     
-      if (finalType === 'photo') {
+    // 로그인한 경우 문제 퀘스트는 여기서 시도를 시작하고 문제를 공개 (풀이 시간은 처음 공개한 시각부터 측정)
+    const attemptToken = req.auth && quest.quest_type === 'question' ? await startQuestAttempt(req.auth.user_id, quest.id) : null;
     res.json({
-          type: 'photo',
-          id: quest.id,
-          region: {
-            city: quest.city,
-            town: quest.town,
-            village: quest.village
-          },
-          instruction: quest.question,
-          locationHint: quest.question,
-          uploadEndpoint: '/api/s3/upload',
-          options: {},
-          score: quest.score
-        });
-      } else {
-        res.json({
-          type: 'question',
-      id: quest.id,
-      region: {
-        city: quest.city,
-        town: quest.town,
-        village: quest.village
-      },
-      question: quest.question,
-      options: {
-        A: quest.option_a,
-        B: quest.option_b,
-        C: quest.option_c,
-        D: quest.option_d
-      },
-          score: quest.score
-        });
-      }
-      return;
-    }
-    
-    const quest = rows[0];
-    console.log(`[랜덤 퀘스트] 선택된 quest ID: ${quest.id}, 타입: ${questType}`);
-    
-    if (questType === 'photo') {
-      // 사진 찍는 퀘스트 응답 - 사진 업로드 엔드포인트로 리다이렉트
-      res.json({
-        type: 'photo',
-        id: quest.id,
-        region: {
-          city: quest.city,
-          town: quest.town,
-          village: quest.village
-        },
-        instruction: quest.question, // DB에 저장된 사진 미션 지시사항 사용
-        locationHint: quest.question, // 문제 질문을 장소 힌트로 사용
-        uploadEndpoint: '/api/s3/upload', // 사진 업로드 엔드포인트
-        options: {}, // 프론트엔드 호환성을 위해 빈 객체 (사진 찍는 퀘스트는 사용하지 않음)
-        score: quest.score
-      });
-    } else {
-      // 문제 푸는 퀘스트 응답
-      res.json({
-        type: 'question',
-        id: quest.id,
-        region: {
-          city: quest.city,
-          town: quest.town,
-          village: quest.village
-        },
-        question: quest.question,
-        options: {
-          A: quest.option_a,
-          B: quest.option_b,
-          C: quest.option_c,
-          D: quest.option_d
-        },
-        score: quest.score
-      });
-    }
+      ...toPlayerQuest(quest, { revealContent: Boolean(attemptToken) }),
+      completed: false,
+      servedLevel, // 퀘스트를 찾은 검색 범위 (village | town | city)
+      exhaustedLevels, // 모든 퀘스트를 완료해 건너뛴 범위
+      // 문제 퀘스트 시도 토큰 (로그인한 경우만, /api/quests/:id/check에 attemptToken으로 전달)
+      // 로그인하지 않으면 문제/선택지 없이 startEndpoint만 반환
+      attemptToken
+    });
   } catch (error) {
     console.error('Error fetching random quest:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 퀘스트 정답 확인 및 점수 기록
-app.post('/api/quests/:id/check', async (req, res) => {
-  console.log(`[퀘스트 정답 확인] ========== 엔드포인트 진입 ==========`);
-  console.log(`[퀘스트 정답 확인] 요청 URL: ${req.url}`);
-  console.log(`[퀘스트 정답 확인] 요청 Method: ${req.method}`);
-  console.log(`[퀘스트 정답 확인] 요청 Path: ${req.path}`);
-  console.log(`[퀘스트 정답 확인] 요청 Params:`, req.params);
-  console.log(`[퀘스트 정답 확인] 요청 Body:`, req.body);
-  console.log(`[퀘스트 정답 확인] 요청 Headers:`, {
-    'content-type': req.headers['content-type'],
-    'content-length': req.headers['content-length']
-  });
-  
+// 주변 퀘스트 조회 (위치가 등록된 퀘스트만, 가까운 순)
+// radius: 검색 반경 (미터, 기본 3000, 최대 50000), type: 퀘스트 타입 필터
+app.get('/api/quests/nearby', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { answer, user_id } = req.body; // user_id는 user_id 필드 (예: "지현23")
-    
-    console.log(`[퀘스트 정답 확인] POST 요청 받음 - quest_id: ${id}, user_id: ${user_id || '없음'}, answer: ${answer || '없음'}`);
-    console.log(`[퀘스트 정답 확인] 요청 body:`, JSON.stringify(req.body));
-    
-    // 파라미터 검증
-    if (!answer) {
-      console.warn(`[퀘스트 정답 확인] answer가 없음 - quest_id: ${id}`);
-      return res.status(400).json({ error: 'Answer is required' });
+    const coordinates = parseCoordinates(req.query.lat, req.query.lng);
+    if (!coordinates) {
+      return res.status(400).json({ error: 'lat and lng are required', details: 'lat: -90~90, lng: -180~180' });
     }
     
-    if (!id) {
-      console.warn(`[퀘스트 정답 확인] quest_id가 없음`);
-      return res.status(400).json({ error: 'Quest ID is required' });
+    const radius = req.query.radius === undefined ? NEARBY_DEFAULT_RADIUS_M : Number(req.query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > NEARBY_MAX_RADIUS_M) {
+      return res.status(400).json({ error: `radius must be between 1 and ${NEARBY_MAX_RADIUS_M} meters` });
     }
     
-    // 문제 전체 정보 조회 (정답 확인 페이지에 필요한 모든 정보)
-    let questRows;
-    try {
-      [questRows] = await pool.execute(
-        'SELECT * FROM quests WHERE id = ?',
-        [id]
-      );
-    } catch (dbError) {
-      console.error('Database connection error:', dbError);
-      return res.status(503).json({ 
-        error: 'Database connection failed', 
-        message: 'MySQL 서버에 연결할 수 없습니다. DB 연결을 확인해주세요.',
-        details: dbError.message 
-      });
+    const { type } = req.query;
+    if (type && !QUEST_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(QUEST_TYPES).join(', ')}` });
     }
     
-    if (questRows.length === 0) {
-      return res.status(404).json({ error: `Quest not found with id: ${id}` });
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
     
-    const quest = questRows[0];
-    const isCorrect = quest.correct_answer.toUpperCase() === answer.toUpperCase();
-    const finalScore = isCorrect ? 1 : 0; // 맞췄으면 1점, 틀렸으면 0점
+    // 위도/경도 범위로 먼저 좁힌 뒤(idx_location) 구면 거리로 정확히 계산
+    const latDelta = radius / 111320;
+    const lngDelta = radius / (111320 * Math.cos(coordinates.lat * Math.PI / 180));
     
-    console.log(`[퀘스트 정답 확인] quest_id: ${id}, user_id: ${user_id || '없음'}, answer: ${answer}, correct: ${isCorrect}`);
+    let query = `
+      SELECT *, ST_Distance_Sphere(POINT(longitude, latitude), POINT(?, ?)) as distance_m
+      FROM quests
+      WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?`;
+    const params = [
+      coordinates.lng, coordinates.lat,
+      coordinates.lat - latDelta, coordinates.lat + latDelta,
+      coordinates.lng - lngDelta, coordinates.lng + lngDelta
+    ];
     
-    // 사용자 ID가 제공된 경우 풀이 기록 저장 (한 번 기록되면 변경되지 않음)
-    if (user_id) {
-      try {
-        // 풀이 기록 저장 (ON DUPLICATE KEY UPDATE로 중복 방지, 한 번 기록되면 변경 안 됨)
-        const [result] = await pool.execute(
-          `INSERT INTO user_quest_scores 
-           (user_id, quest_id, city, town, village, question, user_answer, correct_answer, score)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-           ON DUPLICATE KEY UPDATE 
-             user_id = user_id`, // 중복 시 업데이트하지 않음 (한 번 기록되면 변경 안 됨)
-          [
-            user_id, 
-            id, 
-            quest.city, 
-            quest.town, 
-            quest.village, 
-            quest.question,
-            answer.toUpperCase(), 
-            quest.correct_answer, 
-            finalScore
-          ]
-        );
-        
-        if (result.affectedRows > 0) {
-          console.log(`[퀘스트 정답 확인] 저장 성공 - user_id: ${user_id}, quest_id: ${id}, affectedRows: ${result.affectedRows}`);
-        } else {
-          console.log(`[퀘스트 정답 확인] 저장됨 (중복 또는 업데이트 없음) - user_id: ${user_id}, quest_id: ${id}`);
-        }
-      } catch (scoreError) {
-        console.error('[퀘스트 정답 확인] 저장 실패:', {
-          error: scoreError.message,
-          stack: scoreError.stack,
-          user_id: user_id,
-          quest_id: id
-        });
-        // 기록 저장 실패해도 정답 확인은 진행
-      }
-    } else {
-      console.warn(`[퀘스트 정답 확인] user_id가 없어서 저장하지 않음 - quest_id: ${id}`);
+    if (type) {
+      query += ' AND quest_type = ?';
+      params.push(type);
     }
     
-    // 정답 확인 페이지에 필요한 모든 정보 반환
+    query += ' HAVING distance_m <= ? ORDER BY distance_m ASC LIMIT ?';
+    params.push(radius, limit);
+    
+    const [rows] = await pool.query(query, params);
+    
+    const quests = rows
+      .map(quest => ({ playerQuest: toPlayerQuest(quest), distance: Math.round(Number(quest.distance_m)) }))
+      .filter(({ playerQuest }) => playerQuest)
+      .map(({ playerQuest, distance }) => ({
+        ...playerQuest,
+        distance, // 미터
+        arrived: distance <= playerQuest.location.radius // 도착 판정 반경 안에 있는지
+      }));
+    
     res.json({
-      id: quest.id,
-      region: {
-        city: quest.city,
-        town: quest.town,
-        village: quest.village
-      },
-      question: quest.question,
-      options: {
-        A: quest.option_a,
-        B: quest.option_b,
-        C: quest.option_c,
-        D: quest.option_d
-      },
-      userAnswer: answer.toUpperCase(), // 사용자가 선택한 답
-      correctAnswer: quest.correct_answer, // 실제 정답
-      correct: isCorrect, // 정답 여부
-      score: finalScore, // 맞췄으면 1점, 틀렸으면 0점
-      questScore: quest.score // 문제 원래 점수 (참고용)
+      lat: coordinates.lat,
+      lng: coordinates.lng,
+      radius,
+      count: quests.length,
+      quests
     });
   } catch (error) {
-    console.error('Error checking quest answer:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
+    console.error('Error fetching nearby quests:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// 지역별 모든 퀘스트 조회 (관리용)
-app.get('/api/quests', async (req, res) => {
-  try {
-    const { city, town, village } = req.query;
-    
-    let query = 'SELECT id, city, town, village, question, option_a, option_b, option_c, option_d, correct_answer, score FROM quests WHERE 1=1';
+// ==================== 점수 규칙 ====================
+
+// 숫자 환경 변수 - 설정하지 않았거나 숫자가 아니면 기본값 (0으로 규칙을 끌 수 있도록 || 대신 사용)
+function readNumberEnv(name, defaultValue, parse = parseFloat) {
+  const value = process.env[name] !== undefined ? parse(process.env[name]) : NaN;
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+const parseIntEnv = value => parseInt(value, 10);
+
+const SCORING_CONFIG = {
+  streakBonusRate: readNumberEnv('SCORING_STREAK_BONUS_RATE', 0.1),                   // 연속 정답 1회당 배율 증가 (0이면 끔)
+  streakMaxMultiplier: readNumberEnv('SCORING_STREAK_MAX_MULTIPLIER', 2),              // 최대 배율
+  firstSolverBonus: readNumberEnv('SCORING_FIRST_SOLVER_BONUS', 1, parseIntEnv),       // 퀘스트 최초 정답자 가산점 (0이면 끔)
+  regionCompletionBonus: readNumberEnv('SCORING_REGION_COMPLETION_BONUS', 3, parseIntEnv), // 지역 퀘스트 전체 완료 가산점 (지역 레벨별, 0이면 끔)
+  speedBonus: readNumberEnv('SCORING_SPEED_BONUS', 1, parseIntEnv),                   // 빠른 정답 가산점 (0이면 끔)
+  speedBonusMs: readNumberEnv('SCORING_SPEED_BONUS_MS', 10000, parseIntEnv),          // 빠른 정답 기준 (밀리초 이내)
+  maxAttempts: Math.max(parseInt(process.env.QUEST_MAX_ATTEMPTS, 10) || 1, 1),           // 문제 퀘스트 최대 제출 횟수 (1이면 재시도 없음)
+  attemptScoreDecay: readNumberEnv('QUEST_ATTEMPT_SCORE_DECAY', 0.5)                  // 재시도 1회당 점수 배율 (0.5면 2번째 시도 50%, 3번째 25%)
+};
+
+// 점수 규칙 목록 (순서대로 적용, 새 규칙은 여기에 추가)
+// apply(ctx, subtotal): 가산점 { points, detail } 또는 적용되지 않으면 null 반환
+// ctx: { user_id, quest, attemptNumber, elapsedMs } - 정답인 경우에만 호출되며, 현재 풀이는 아직 기록되기 전
+// elapsedMs: 시도 토큰 발급부터 제출까지 걸린 시간 (사진 미션 등 측정하지 않은 경우 null)
+const SCORING_RULES = [
+  // 연속 정답 배율 - 직전까지 연속으로 맞힌 횟수에 따라 점수 증가
+  {
+    name: 'streakMultiplier',
+    async apply({ user_id }, subtotal) {
+      if (SCORING_CONFIG.streakBonusRate <= 0 || SCORING_CONFIG.streakMaxMultiplier <= 1) return null;
+      
+      const maxStreak = Math.ceil((SCORING_CONFIG.streakMaxMultiplier - 1) / SCORING_CONFIG.streakBonusRate);
+      const [rows] = await pool.query(
+        'SELECT score FROM user_quest_scores WHERE user_id = ? ORDER BY answered_at DESC, id DESC LIMIT ?',
+        [user_id, maxStreak]
+      );
+      
+      let previousStreak = 0;
+      while (previousStreak < rows.length && rows[previousStreak].score > 0) {
+        previousStreak++;
+      }
+      if (previousStreak === 0) return null;
+      
+      const multiplier = Math.min(1 + previousStreak * SCORING_CONFIG.streakBonusRate, SCORING_CONFIG.streakMaxMultiplier);
+      const points = Math.round(subtotal * multiplier) - subtotal;
+      return points > 0 ? { points, detail: { streak: previousStreak + 1, multiplier } } : null;
+    }
+  },
+  // 최초 정답자 보너스 - 다른 사용자가 아직 맞히지 못한 퀘스트
+  {
+    name: 'firstSolverBonus',
+    async apply({ user_id, quest }) {
+      if (!SCORING_CONFIG.firstSolverBonus) return null;
+      
+      const [rows] = await pool.execute(
+        'SELECT COUNT(*) as count FROM user_quest_scores WHERE quest_id = ? AND user_id != ? AND score > 0',
+        [quest.id, user_id]
+      );
+      return rows[0].count === 0 ? { points: SCORING_CONFIG.firstSolverBonus, detail: null } : null;
+    }
+  },
+  // 지역 완료 보너스 - 이번 정답으로 지역(리/읍·면·동/시)의 모든 퀘스트를 맞히게 된 경우 레벨별로 지급
+  {
+    name: 'regionCompletionBonus',
+    async apply({ user_id, quest }) {
+      if (!SCORING_CONFIG.regionCompletionBonus || !quest.region_id) return null;
+      
+      const completedRegions = [];
+      for (const region of getRegionAncestry(quest.region_id)) {
+        if (await isRegionCompletedBy(user_id, region.id, quest.id)) {
+          completedRegions.push({ id: region.id, level: region.level, code: region.code });
+        }
+      }
+      
+      if (completedRegions.length === 0) return null;
+      return { points: SCORING_CONFIG.regionCompletionBonus * completedRegions.length, detail: { regions: completedRegions } };
+    }
+  },
+  // 빠른 정답 가산점 - 시도 토큰 발급 후 기준 시간 안에 맞힌 경우
+  {
+    name: 'speedBonus',
+    async apply({ elapsedMs }) {
+      if (!SCORING_CONFIG.speedBonus) return null;
+      if (elapsedMs === null || elapsedMs === undefined || elapsedMs > SCORING_CONFIG.speedBonusMs) return null;
+      return { points: SCORING_CONFIG.speedBonus, detail: { elapsedMs, thresholdMs: SCORING_CONFIG.speedBonusMs } };
+    }
+  },
+  // 재시도 감점 - 두 번째 시도부터 (가산점 포함) 점수에 배율 적용, 마지막에 적용
+  {
+    name: 'attemptDecay',
+    async apply({ attemptNumber = 1 }, subtotal) {
+      if (attemptNumber <= 1) return null;
+      
+      const multiplier = SCORING_CONFIG.attemptScoreDecay ** (attemptNumber - 1);
+      const decayed = Math.round(subtotal * multiplier);
+      return { points: decayed - subtotal, detail: { attemptNumber, multiplier } };
+    }
+  }
+];
+
+// 완료로 인정하는 풀이 기록 조건 (정답 또는 점수를 받은 기록 - 오답/시간 초과는 제외)
+const SOLVED_SCORE_CONDITION = '(uqs.is_correct OR uqs.score > 0)';
+
+// 지역(하위 지역 포함)의 퀘스트 중 excludeQuestId를 제외한 나머지를 사용자가 모두 맞혔는지 확인
+async function isRegionCompletedBy(user_id, regionId, excludeQuestId) {
+  const scopeIds = getRegionScopeIds(regionId);
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) as remaining
+     FROM quests q
+     WHERE q.region_id IN (?) AND q.id != ?
+       AND NOT EXISTS (SELECT 1 FROM user_quest_scores uqs WHERE uqs.user_id = ? AND uqs.quest_id = q.id AND ${SOLVED_SCORE_CONDITION})`,
+    [scopeIds, excludeQuestId, user_id]
+  );
+  return rows[0].remaining === 0;
+}
+
+// 점수 계산 - 퀘스트 점수(quests.score)를 기본으로 규칙별 가산점 적용
+// 반환: { base, rules: [{ rule, points, detail }], total }
+async function calculateScore({ user_id, quest, isCorrect, attemptNumber = 1, elapsedMs = null }) {
+  if (!isCorrect) {
+    return { base: 0, rules: [], total: 0 };
+  }
+  
+  const breakdown = { base: quest.score, rules: [], total: quest.score };
+  for (const rule of SCORING_RULES) {
+    try {
+      const applied = await rule.apply({ user_id, quest, attemptNumber, elapsedMs }, breakdown.total);
+      if (applied) {
+        breakdown.rules.push({ rule: rule.name, points: applied.points, detail: applied.detail });
+        breakdown.total += applied.points;
+      }
+    } catch (ruleError) {
+      // 규칙 하나가 실패해도 기본 점수는 기록
+      console.error(`[점수 규칙] ${rule.name} 적용 실패:`, ruleError.message);
+    }
+  }
+  
+  return breakdown;
+}
+
+// 풀이 결과를 점수 규칙으로 계산해 user_quest_scores에 기록 (사용자당 퀘스트 1회, 이미 있으면 변경하지 않음)
+// 정답 여부/시간 초과도 함께 저장 - 재제출 응답은 이 판정을 그대로 사용
+// 정답이 새로 기록되면 완료한 지역의 스탬프도 발급
+// 반환: { recorded, breakdown } - recorded가 false면 이미 기록이 있어 저장되지 않음
+async function recordQuestScore({ user_id, quest, userAnswer, correctAnswer, isCorrect, attemptNumber, maxAttempts = null, elapsedMs = null, timedOut = false }) {
+  const breakdown = await calculateScore({ user_id, quest, isCorrect, attemptNumber, elapsedMs });
+  
+  const [result] = await pool.execute(
+    `INSERT INTO user_quest_scores 
+     (user_id, quest_id, region_id, city, town, village, question, user_answer, correct_answer, is_correct, score, score_breakdown, elapsed_ms, timed_out, time_limit_ms, attempt_number, max_attempts)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE 
+       user_id = user_id`, // 중복 시 업데이트하지 않음 (한 번 기록되면 변경 안 됨)
+    [
+      user_id,
+      quest.id,
+      quest.region_id,
+      quest.city,
+      quest.town,
+      quest.village,
+      quest.question,
+      userAnswer,
+      correctAnswer,
+      isCorrect,
+      breakdown.total,
+      JSON.stringify(breakdown),
+      elapsedMs,
+      timedOut,
+      quest.time_limit_ms || null,
+      attemptNumber || null,
+      maxAttempts
+    ]
+  );
+  const recorded = result.affectedRows > 0;
+  
+  if (recorded && isCorrect) {
+    await awardRegionStamps(user_id, quest).catch(stampError => {
+      console.error('[지역 스탬프] 발급 실패 (무시):', stampError.message);
+    });
+  }
+  
+  return { recorded, breakdown };
+}
+
+// ==================== 업적 (배지) ====================
+
+const ACHIEVEMENT_PHOTO_MISSION_COUNT = 5;
+const ACHIEVEMENT_STREAK_DAYS = 7;
+const ACHIEVEMENT_SUNRISE_WINDOW_KST = { startMinutes: 5 * 60, endMinutes: 8 * 60 }; // 성산 일출 시간대 (05:00~08:00, 계절별 일출 포함)
+
+// 지역(하위 지역 포함)의 모든 퀘스트를 맞혔는지 확인 - 퀘스트가 없는 지역은 false
+// 진행도/지역 완료 보너스와 같은 기준(SOLVED_SCORE_CONDITION) 사용
+async function hasAllCorrectInRegion(user_id, level, code) {
+  const region = findRegion(level, code);
+  if (!region) return false;
+  
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) as total, COUNT(uqs.id) as correct
+     FROM quests q
+     LEFT JOIN user_quest_scores uqs ON uqs.quest_id = q.id AND uqs.user_id = ? AND ${SOLVED_SCORE_CONDITION}
+     WHERE q.region_id IN (?)`,
+    [user_id, getRegionScopeIds(region.id)]
+  );
+  return rows[0].total > 0 && rows[0].total === rows[0].correct;
+}
+
+// 한국 시간 날짜 키 (YYYY-MM-DD)
+function toKstDateKey(date) {
+  return new Date(date.getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// 업적 목록 (새 업적은 여기에 추가)
+// isUnlocked(ctx): 이번 풀이로 조건을 만족하면 true - 점수가 새로 기록된 직후 호출되며, 이미 획득한 업적은 다시 확인하지 않음
+// ctx: { user_id, quest, isCorrect, answeredAt }
+const ACHIEVEMENTS = [
+  {
+    code: 'aewol_all_correct',
+    name: { ko: '애월 정복', en: 'Aewol Master' },
+    description: { ko: '애월읍의 모든 퀘스트를 맞혔습니다.', en: 'Answered every Aewol quest correctly.' },
+    async isUnlocked({ user_id, quest, isCorrect }) {
+      if (!isCorrect || quest.town !== 'Aewol') return false;
+      return hasAllCorrectInRegion(user_id, 'town', 'Aewol');
+    }
+  },
+  {
+    code: 'photo_missions_5',
+    name: { ko: '제주 사진가', en: 'Jeju Photographer' },
+    description: { ko: `사진 미션을 ${ACHIEVEMENT_PHOTO_MISSION_COUNT}개 완료했습니다.`, en: `Completed ${ACHIEVEMENT_PHOTO_MISSION_COUNT} photo missions.` },
+    async isUnlocked({ user_id, quest }) {
+      if (quest.quest_type !== 'photo') return false;
+      const [rows] = await pool.execute(
+        `SELECT COUNT(*) as count FROM user_quest_scores uqs
+         INNER JOIN quests q ON q.id = uqs.quest_id
+         WHERE uqs.user_id = ? AND q.quest_type = 'photo' AND uqs.score > 0`,
+        [user_id]
+      );
+      return rows[0].count >= ACHIEVEMENT_PHOTO_MISSION_COUNT;
+    }
+  },
+  {
+    code: 'seongsan_sunrise',
+    name: { ko: '성산 일출', en: 'Seongsan Sunrise' },
+    description: { ko: '일출 시간에 성산읍 퀘스트를 완료했습니다.', en: 'Completed a Seongsan quest at sunrise.' },
+    async isUnlocked({ quest, isCorrect, answeredAt }) {
+      if (!isCorrect || quest.town !== 'Seongsan') return false;
+      const kstTime = new Date(answeredAt.getTime() + KST_OFFSET_MS);
+      const minutes = kstTime.getUTCHours() * 60 + kstTime.getUTCMinutes();
+      return minutes >= ACHIEVEMENT_SUNRISE_WINDOW_KST.startMinutes && minutes < ACHIEVEMENT_SUNRISE_WINDOW_KST.endMinutes;
+    }
+  },
+  {
+    code: 'streak_7_days',
+    name: { ko: '7일 연속 탐험', en: '7-Day Streak' },
+    description: { ko: `${ACHIEVEMENT_STREAK_DAYS}일 연속으로 퀘스트를 맞혔습니다.`, en: `Answered a quest correctly ${ACHIEVEMENT_STREAK_DAYS} days in a row.` },
+    async isUnlocked({ user_id, isCorrect, answeredAt }) {
+      if (!isCorrect) return false;
+      const dayMs = 24 * 60 * 60 * 1000;
+      const since = new Date(getLeaderboardWindowStart('daily', answeredAt).getTime() - (ACHIEVEMENT_STREAK_DAYS - 1) * dayMs);
+      const [rows] = await pool.execute(
+        'SELECT answered_at FROM user_quest_scores WHERE user_id = ? AND score > 0 AND answered_at >= ?',
+        [user_id, since]
+      );
+      
+      const days = new Set(rows.map(row => toKstDateKey(new Date(row.answered_at))));
+      for (let i = 0; i < ACHIEVEMENT_STREAK_DAYS; i++) {
+        if (!days.has(toKstDateKey(new Date(answeredAt.getTime() - i * dayMs)))) return false;
+      }
+      return true;
+    }
+  }
+];
+
+// 응답용 업적 정보
+function toAchievementResponse(achievement, earnedAt = null) {
+  return {
+    code: achievement.code,
+    name: achievement.name,
+    description: achievement.description,
+    earnedAt
+  };
+}
+
+// 점수 기록 후 업적 확인 - 새로 획득한 업적 목록 반환 (실패한 업적은 건너뛰고 로그만 남김)
+async function evaluateAchievements({ user_id, quest, isCorrect }) {
+  const [earnedRows] = await pool.execute('SELECT achievement_code FROM user_achievements WHERE user_id = ?', [user_id]);
+  const earned = new Set(earnedRows.map(row => row.achievement_code));
+  const ctx = { user_id, quest, isCorrect, answeredAt: new Date() };
+  
+  const unlocked = [];
+  for (const achievement of ACHIEVEMENTS.filter(a => !earned.has(a.code))) {
+    try {
+      if (!(await achievement.isUnlocked(ctx))) continue;
+      
+      const [result] = await pool.execute(
+        'INSERT IGNORE INTO user_achievements (user_id, achievement_code, quest_id) VALUES (?, ?, ?)',
+        [user_id, achievement.code, quest.id]
+      );
+      if (result.affectedRows > 0) { // 동시 요청에서 이미 획득한 경우 제외
+        console.log(`[업적] user_id: ${user_id} - ${achievement.code} 획득`);
+        unlocked.push(toAchievementResponse(achievement, ctx.answeredAt));
+      }
+    } catch (achievementError) {
+      console.error(`[업적] ${achievement.code} 확인 실패 (무시):`, achievementError.message);
+    }
+  }
+  
+  return unlocked;
+}
+
+// 업적 목록 조회 (획득한 업적은 earnedAt 포함, 미획득은 null)
+app.get('/api/users/:user_id/achievements', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const user_id = req.auth.user_id;
+    const [rows] = await pool.execute('SELECT achievement_code, earned_at FROM user_achievements WHERE user_id = ?', [user_id]);
+    const earnedAt = new Map(rows.map(row => [row.achievement_code, row.earned_at]));
+    
+    res.json({
+      user_id,
+      earnedCount: ACHIEVEMENTS.filter(a => earnedAt.has(a.code)).length,
+      totalCount: ACHIEVEMENTS.length,
+      achievements: ACHIEVEMENTS.map(a => toAchievementResponse(a, earnedAt.get(a.code) || null))
+    });
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 제한 시간 판정 여유 (네트워크 지연 보정, 밀리초)
+const ATTEMPT_TIME_GRACE_MS = parseInt(process.env.ATTEMPT_TIME_GRACE_MS, 10) || 2000;
+
+// 시도 토큰 사용 처리 - 이미 사용한 토큰이면 false
+// 시도 기록과 같은 트랜잭션의 connection으로 호출 (제출이 거부되면 토큰도 사용되지 않음)
+async function consumeAttemptToken(connection, payload) {
+  try {
+    await connection.execute(
+      'INSERT INTO used_attempt_tokens (jti, user_id, quest_id, expires_at) VALUES (?, ?, ?, ?)',
+      [payload.jti, payload.sub, payload.qid, new Date(payload.exp * 1000)]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return false;
+    throw error;
+  }
+}
+
+// 문제 퀘스트 시도 시작 - 다음 시도 순번의 시작 시간을 기록하고 그 시간으로 시도 토큰 발급
+// 같은 시도를 다시 시작하면 (새로고침, /start 재호출) 처음 기록한 시작 시간을 그대로 사용
+async function startQuestAttempt(user_id, quest_id) {
+  const [[{ attemptCount }]] = await pool.execute(
+    'SELECT COUNT(*) as attemptCount FROM quest_attempts WHERE user_id = ? AND quest_id = ?',
+    [user_id, quest_id]
+  );
+  const attemptNumber = Number(attemptCount) + 1;
+  
+  await pool.execute(
+    'INSERT IGNORE INTO quest_starts (user_id, quest_id, attempt_number, started_at) VALUES (?, ?, ?, ?)',
+    [user_id, quest_id, attemptNumber, new Date()]
+  );
+  const [startRows] = await pool.execute(
+    'SELECT started_at FROM quest_starts WHERE user_id = ? AND quest_id = ? AND attempt_number = ?',
+    [user_id, quest_id, attemptNumber]
+  );
+  
+  return issueAttemptToken(user_id, quest_id, new Date(startRows[0].started_at).getTime());
+}
+
+// 퀘스트 풀이 시작 - 문제/선택지와 시도 토큰 반환 (/api/quests/random 외의 목록에서 고른 퀘스트용)
+// 목록 응답에는 문제 내용이 없으며, 여기서 처음 공개한 시각부터 풀이 시간을 측정
+app.post('/api/quests/:id/start', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [questRows] = /^\d+$/.test(id) ? await pool.execute('SELECT * FROM quests WHERE id = ?', [id]) : [[]];
+    if (questRows.length === 0) {
+      return res.status(404).json({ error: `Quest not found with id: ${id}` });
+    }
+    
+    const quest = questRows[0];
+    if (quest.quest_type !== 'question') {
+      return res.status(400).json({ error: `Quest ${id} is a ${quest.quest_type} quest and does not accept answers` });
+    }
+    
+    res.json({
+      ...toPlayerQuest(quest, { revealContent: true }),
+      quest_id: quest.id,
+      attemptToken: await startQuestAttempt(req.auth.user_id, quest.id)
+    });
+  } catch (error) {
+    console.error('Error starting quest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 재제출 응답에 필요한 user_quest_scores 컬럼
+const STORED_ANSWER_COLUMNS = `city, town, village, question, user_answer, correct_answer, is_correct, score, score_breakdown,
+  elapsed_ms, timed_out, time_limit_ms, attempt_number, max_attempts, answered_at`;
+
+// 기록된 최종 결과 응답 (재제출 시 다시 채점하지 않음)
+// 판정/시도/업적은 현재 설정이 아닌 기록된 값으로 만들어 처음 응답과 같은 결과를 반환
+async function toStoredAnswerResponse(questSummary, stored, user_id) {
+  const [achievementRows] = await pool.execute(
+    'SELECT achievement_code, earned_at FROM user_achievements WHERE user_id = ? AND quest_id = ?',
+    [user_id, questSummary.id]
+  );
+  const unlockedAchievements = achievementRows
+    .map(row => ({ achievement: ACHIEVEMENTS.find(a => a.code === row.achievement_code), earnedAt: row.earned_at }))
+    .filter(({ achievement }) => achievement)
+    .map(({ achievement, earnedAt }) => toAchievementResponse(achievement, earnedAt));
+  
+  return {
+    ...questSummary,
+    region: { city: stored.city, town: stored.town, village: stored.village }, // 풀이 당시 기록된 값
+    question: stored.question,
+    userAnswer: stored.user_answer,
+    correctAnswer: stored.correct_answer,
+    correct: Boolean(stored.is_correct),
+    score: stored.score,
+    scoreBreakdown: typeof stored.score_breakdown === 'string' ? JSON.parse(stored.score_breakdown) : stored.score_breakdown,
+    final: true,
+    alreadyAnswered: true,
+    answeredAt: stored.answered_at,
+    elapsedMs: stored.elapsed_ms,
+    timeLimitMs: stored.time_limit_ms,
+    timedOut: Boolean(stored.timed_out),
+    attempt: stored.attempt_number,
+    maxAttempts: stored.max_attempts,
+    attemptsRemaining: 0,
+    unlockedAchievements // 이 풀이로 획득했던 업적
+  };
+}
+
+// 퀘스트 정답 확인 및 점수 기록
+app.post('/api/quests/:id/check', authenticate, requireSameUser, async (req, res) => {
+  console.log(`[퀘스트 정답 확인] ========== 엔드포인트 진입 ==========`);
+  console.log(`[퀘스트 정답 확인] 요청 URL: ${req.url}`);
+  console.log(`[퀘스트 정답 확인] 요청 Method: ${req.method}`);
+  console.log(`[퀘스트 정답 확인] 요청 Path: ${req.path}`);
+  console.log(`[퀘스트 정답 확인] 요청 Params:`, req.params);
+  console.log(`[퀘스트 정답 확인] 요청 Headers:`, {
+    'content-type': req.headers['content-type'],
+    'content-length': req.headers['content-length']
+  });
+  
+  try {
+    const { id } = req.params;
+    const { answer } = req.body;
+    const user_id = req.auth.user_id; // 토큰에서 추출한 호출자 user_id (예: "지현23")
+    
+    console.log(`[퀘스트 정답 확인] POST 요청 받음 - quest_id: ${id}, user_id: ${user_id}, answer: ${answer || '없음'}`);
+    
+    // 파라미터 검증
+    if (!answer) {
+      console.warn(`[퀘스트 정답 확인] answer가 없음 - quest_id: ${id}`);
+      return res.status(400).json({ error: 'Answer is required' });
+    }
+    
+    // 보기(A~D) 외의 값은 시도 횟수를 쓰지 않도록 먼저 거부
+    if (typeof answer !== 'string' || !/^[A-D]$/i.test(answer)) {
+      return res.status(400).json({ error: 'Invalid answer', details: 'answer는 A, B, C, D 중 하나여야 합니다.' });
+    }
+    
+    if (!id) {
+      console.warn(`[퀘스트 정답 확인] quest_id가 없음`);
+      return res.status(400).json({ error: 'Quest ID is required' });
+    }
+    
+    // 문제 전체 정보 조회 (정답 확인 페이지에 필요한 모든 정보)
+    let questRows;
+    try {
+      [questRows] = await pool.execute(
+        'SELECT * FROM quests WHERE id = ?',
+        [id]
+      );
+    } catch (dbError) {
+      console.error('Database connection error:', dbError);
+      return res.status(503).json({ 
+        error: 'Database connection failed', 
+        message: 'MySQL 서버에 연결할 수 없습니다. DB 연결을 확인해주세요.',
+        details: dbError.message 
+      });
+    }
+    
+    if (questRows.length === 0) {
+      return res.status(404).json({ error: `Quest not found with id: ${id}` });
+    }
+    
+    const quest = questRows[0];
+    
+    // 정답 제출은 문제 타입만 가능 (사진 미션은 /api/s3/upload로 완료)
+    if (quest.quest_type !== 'question') {
+      return res.status(400).json({
+        error: `Quest ${id} is a ${quest.quest_type} quest and does not accept answers`,
+        type: quest.quest_type
+      });
+    }
+    
+    const questSummary = {
+      id: quest.id,
+      region: {
+        city: quest.city,
+        town: quest.town,
+        village: quest.village
+      },
+      question: quest.question,
+      options: {
+        A: quest.option_a,
+        B: quest.option_b,
+        C: quest.option_c,
+        D: quest.option_d
+      },
+      questScore: quest.score // 퀘스트 기본 점수
+    };
+    
+    // 이미 최종 결과가 기록된 퀘스트는 다시 채점하지 않고 기록된 결과 반환
+    const [existingRows] = await pool.execute(
+      `SELECT ${STORED_ANSWER_COLUMNS} FROM user_quest_scores WHERE user_id = ? AND quest_id = ?`,
+      [user_id, quest.id]
+    );
+    if (existingRows.length > 0) {
+      console.log(`[퀘스트 정답 확인] 이미 기록된 퀘스트 - user_id: ${user_id}, quest_id: ${id}`);
+      return res.json(await toStoredAnswerResponse(questSummary, existingRows[0], user_id));
+    }
+    
+    // 시도 토큰 확인 (/api/quests/random 또는 /api/quests/:id/start에서 발급, 1회용)
+    const attemptPayload = verifyToken(req.body.attemptToken, 'attempt');
+    if (!attemptPayload) {
+      return res.status(400).json({ 
+        error: 'Invalid attempt token',
+        details: 'attemptToken이 없거나 만료되었습니다. POST /api/quests/:id/start로 새로 발급받으세요.'
+      });
+    }
+    if (attemptPayload.sub !== user_id || attemptPayload.qid !== quest.id) {
+      return res.status(403).json({ error: 'Attempt token was issued for a different user or quest' });
+    }
+    
+    // 만료된 사용 기록 정리
+    await pool.execute('DELETE FROM used_attempt_tokens WHERE expires_at < ? LIMIT 100', [new Date()]);
+    
+    // 풀이 시간은 서버가 시도를 처음 시작(문제 공개)한 시각부터 측정 (토큰의 st = quest_starts.started_at)
+    const elapsedMs = Date.now() - attemptPayload.st;
+    const timedOut = Boolean(quest.time_limit_ms) && elapsedMs > quest.time_limit_ms + ATTEMPT_TIME_GRACE_MS;
+    
+    const [[{ attemptCount }]] = await pool.execute(
+      'SELECT COUNT(*) as attemptCount FROM quest_attempts WHERE user_id = ? AND quest_id = ?',
+      [user_id, quest.id]
+    );
+    const attemptNumber = Number(attemptCount) + 1;
+    const userAnswer = answer.toUpperCase();
+    const isCorrect = !timedOut && quest.correct_answer.toUpperCase() === userAnswer; // 제한 시간을 넘기면 오답 처리
+    const isFinal = isCorrect || attemptNumber >= SCORING_CONFIG.maxAttempts; // 정답이거나 마지막 시도면 결과 확정
+    
+    console.log(`[퀘스트 정답 확인] quest_id: ${id}, user_id: ${user_id}, answer: ${answer}, correct: ${isCorrect}, attempt: ${attemptNumber}/${SCORING_CONFIG.maxAttempts}, elapsed: ${elapsedMs}ms${timedOut ? ' (시간 초과)' : ''}`);
+    
+    // 시도 순번 선점과 시도 토큰 사용을 한 트랜잭션으로 처리
+    // 동시에 제출하면 같은 순번은 하나만 기록되며, 거부된 제출의 토큰은 사용되지 않아 다시 제출할 수 있음
+    let attemptId;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      try {
+        const [attemptResult] = await connection.execute(
+          'INSERT INTO quest_attempts (user_id, quest_id, attempt_number, user_answer, is_correct, elapsed_ms) VALUES (?, ?, ?, ?, ?, ?)',
+          [user_id, quest.id, attemptNumber, userAnswer, isCorrect, elapsedMs]
+        );
+        attemptId = attemptResult.insertId;
+      } catch (attemptError) {
+        if (attemptError.code === 'ER_DUP_ENTRY') {
+          await connection.rollback();
+          return res.status(409).json({ 
+            error: 'Concurrent submission',
+            details: '같은 퀘스트에 대한 다른 제출이 처리 중입니다. 잠시 후 다시 시도하세요.'
+          });
+        }
+        throw attemptError;
+      }
+      
+      if (!(await consumeAttemptToken(connection, attemptPayload))) {
+        await connection.rollback();
+        return res.status(409).json({ 
+          error: 'Attempt token already used',
+          details: '시도 토큰은 한 번만 사용할 수 있습니다.'
+        });
+      }
+      
+      await connection.commit();
+    } catch (transactionError) {
+      await connection.rollback();
+      throw transactionError;
+    } finally {
+      connection.release();
+    }
+    
+    const attempts = {
+      attempt: attemptNumber,
+      maxAttempts: SCORING_CONFIG.maxAttempts,
+      attemptsRemaining: isFinal ? 0 : SCORING_CONFIG.maxAttempts - attemptNumber,
+      elapsedMs, // 풀이 소요 시간 (밀리초)
+      timeLimitMs: quest.time_limit_ms || null,
+      timedOut
+    };
+    
+    // 오답이고 시도가 남아 있으면 정답을 공개하지 않고 기록도 확정하지 않음
+    if (!isFinal) {
+      return res.json({
+        ...questSummary,
+        userAnswer,
+        correctAnswer: null, // 마지막 시도 전에는 공개하지 않음
+        correct: false,
+        score: 0,
+        final: false,
+        alreadyAnswered: false,
+        ...attempts,
+        nextAttemptToken: await startQuestAttempt(user_id, quest.id) // 다음 시도용 (풀이 시간은 지금부터 다시 측정)
+      });
+    }
+    
+    // 풀이 기록 저장 (점수 규칙 적용, 한 번 기록되면 변경되지 않음)
+    const { recorded, breakdown } = await recordQuestScore({
+      user_id,
+      quest,
+      userAnswer,
+      correctAnswer: quest.correct_answer,
+      isCorrect,
+      attemptNumber,
+      maxAttempts: SCORING_CONFIG.maxAttempts,
+      elapsedMs,
+      timedOut
+    });
+    
+    if (!recorded) {
+      // 다른 요청이 먼저 결과를 기록한 경우 - 그 결과를 반환
+      console.log(`[퀘스트 정답 확인] 이미 기록됨 (동시 제출) - user_id: ${user_id}, quest_id: ${id}`);
+      await pool.execute('DELETE FROM quest_attempts WHERE id = ?', [attemptId]);
+      const [storedRows] = await pool.execute(
+        `SELECT ${STORED_ANSWER_COLUMNS} FROM user_quest_scores WHERE user_id = ? AND quest_id = ?`,
+        [user_id, quest.id]
+      );
+      return res.json(await toStoredAnswerResponse(questSummary, storedRows[0], user_id));
+    }
+    
+    await pool.execute('UPDATE quest_attempts SET score = ? WHERE id = ?', [breakdown.total, attemptId]);
+    console.log(`[퀘스트 정답 확인] 저장 성공 - user_id: ${user_id}, quest_id: ${id}, score: ${breakdown.total}`);
+    
+    const unlockedAchievements = await evaluateAchievements({ user_id, quest, isCorrect });
+    
+    // 정답 확인 페이지에 필요한 모든 정보 반환
+    res.json({
+      ...questSummary,
+      userAnswer, // 사용자가 선택한 답
+      correctAnswer: quest.correct_answer, // 실제 정답
+      correct: isCorrect, // 정답 여부
+      score: breakdown.total, // 획득 점수 (퀘스트 점수 + 규칙별 가산점, 틀렸으면 0점)
+      scoreBreakdown: breakdown, // 점수 계산 내역 { base, rules: [{ rule, points, detail }], total }
+      final: true,
+      alreadyAnswered: false,
+      ...attempts,
+      unlockedAchievements // 이번 풀이로 새로 획득한 업적
+    });
+  } catch (error) {
+    console.error('Error checking quest answer:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// 지역별 모든 퀘스트 조회 (관리용 - 정답 포함이므로 에디터/관리자 전용)
+app.get('/api/quests', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { city, town, village, type } = req.query;
+    
+    let query = `SELECT ${QUEST_ADMIN_COLUMNS} FROM quests WHERE 1=1`;
     let params = [];
     
+    if (type) {
+      query += ' AND quest_type = ?';
+      params.push(type);
+    }
+    
     if (city) {
       query += ' AND city = ?';
       params.push(city);
@@ -734,553 +2029,1804 @@ app.get('/api/quests', async (req, res) => {
     const [rows] = await pool.execute(query, params);
     res.json(rows);
   } catch (error) {
-    console.error('Error fetching quests:', error);
+    console.error('Error fetching quests:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== 퀘스트 작성 (에디터/관리자) ====================
+
+const QUEST_ADMIN_COLUMNS = 'id, quest_type, region_id, city, town, village, latitude, longitude, radius_m, question, option_a, option_b, option_c, option_d, correct_answer, payload, score, time_limit_ms';
+
+// 퀘스트 입력값 검증 - 오류 메시지 배열 반환 (비어 있으면 유효)
+function validateQuestPayload(quest) {
+  const errors = [];
+  
+  // 지역 레지스트리 기준으로 city → town → village 계층 확인
+  if (!quest.city) {
+    errors.push('city is required');
+  } else {
+    errors.push(...resolveRegion(quest.city, quest.town, quest.village).errors);
+  }
+  
+  // 위치는 선택 사항 - 지정하면 위도/경도 모두 필요
+  const hasLatitude = quest.latitude !== undefined && quest.latitude !== null;
+  const hasLongitude = quest.longitude !== undefined && quest.longitude !== null;
+  if (hasLatitude || hasLongitude) {
+    if (!parseCoordinates(quest.latitude, quest.longitude)) {
+      errors.push('latitude and longitude must both be set (latitude: -90~90, longitude: -180~180)');
+    }
+  }
+  if (quest.radius_m !== undefined && quest.radius_m !== null) {
+    if (!Number.isInteger(Number(quest.radius_m)) || Number(quest.radius_m) <= 0) {
+      errors.push('radius_m must be a positive integer');
+    } else if (!hasLatitude) {
+      errors.push('radius_m requires latitude and longitude');
+    }
+  }
+  
+  if (typeof quest.question !== 'string' || !quest.question.trim()) {
+    errors.push('question is required');
+  }
+  
+  if (!Number.isInteger(Number(quest.score)) || Number(quest.score) <= 0) {
+    errors.push('score must be a positive integer');
+  }
+  
+  if (quest.time_limit_ms !== undefined && quest.time_limit_ms !== null) {
+    if (!Number.isInteger(Number(quest.time_limit_ms)) || Number(quest.time_limit_ms) < 1000) {
+      errors.push('time_limit_ms must be an integer of at least 1000');
+    }
+  }
+  
+  // 타입별 검증 (선택지/정답/payload)
+  const questType = QUEST_TYPES[quest.quest_type];
+  if (!questType) {
+    errors.push(`quest_type must be one of: ${Object.keys(QUEST_TYPES).join(', ')}`);
+  } else {
+    errors.push(...questType.validate(quest));
+  }
+  
+  return errors;
+}
+
+// 요청 body에서 퀘스트 컬럼 값만 추출 (지정되지 않은 필드는 제외)
+function pickQuestFields(body) {
+  const fields = {};
+  for (const key of ['quest_type', 'city', 'town', 'village', 'latitude', 'longitude', 'radius_m', 'question', ...QUEST_OPTION_KEYS, 'correct_answer', 'payload', 'score', 'time_limit_ms']) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  return fields;
+}
+
+// DB 저장 전 값 정규화 (컬럼 순서: quest_type, region_id, city, town, village, latitude, longitude, radius_m, question, option_a~d, correct_answer, payload, score, time_limit_ms)
+function normalizeQuestFields(quest) {
+  const stored = QUEST_TYPES[quest.quest_type].toStorage(quest);
+  const { region } = resolveRegion(quest.city, quest.town, quest.village);
+  const location = parseCoordinates(quest.latitude, quest.longitude);
+  return [
+    quest.quest_type,
+    region.id,
+    quest.city,
+    quest.town || null,
+    quest.village || null,
+    location ? location.lat : null,
+    location ? location.lng : null,
+    location && quest.radius_m ? Number(quest.radius_m) : null,
+    quest.question.trim(),
+    ...stored.options,
+    stored.correct_answer,
+    stored.payload ? JSON.stringify(stored.payload) : null,
+    Number(quest.score),
+    quest.time_limit_ms !== undefined && quest.time_limit_ms !== null ? Number(quest.time_limit_ms) : null
+  ];
+}
+
+// 퀘스트 수정 공통 처리 (PUT: 전체 교체, PATCH: 부분 수정)
+// quests 테이블만 수정 - user_quest_scores에 저장된 기존 풀이 기록(문제 텍스트 등)은 그대로 유지
+async function updateQuest(req, res, { partial }) {
+  try {
+    const { id } = req.params;
+    
+    const [existingRows] = await pool.execute(`SELECT ${QUEST_ADMIN_COLUMNS} FROM quests WHERE id = ?`, [id]);
+    if (existingRows.length === 0) {
+      return res.status(404).json({ error: `Quest not found with id: ${id}` });
+    }
+    
+    const fields = pickQuestFields(req.body);
+    // 전체 수정(PUT)에서 quest_type을 생략하면 기존 타입 유지 (사진 미션이 문제로 바뀌지 않도록)
+    const quest = partial ? { ...existingRows[0], ...fields } : { quest_type: existingRows[0].quest_type, ...fields };
+    
+    const errors = validateQuestPayload(quest);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid quest', details: errors });
+    }
+    
+    await pool.execute(
+      `UPDATE quests 
+       SET quest_type = ?, region_id = ?, city = ?, town = ?, village = ?, latitude = ?, longitude = ?, radius_m = ?, question = ?, option_a = ?, option_b = ?, option_c = ?, option_d = ?, correct_answer = ?, payload = ?, score = ?, time_limit_ms = ?
+       WHERE id = ?`,
+      [...normalizeQuestFields(quest), id]
+    );
+    
+    const [rows] = await pool.execute(`SELECT ${QUEST_ADMIN_COLUMNS} FROM quests WHERE id = ?`, [id]);
+    console.log(`[퀘스트 작성] 수정 완료 - quest_id: ${id}, 수정자: ${req.auth.user_id}`);
+    res.json(rows[0]);
+  } catch (error) {
+    console.error('Error updating quest:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// 퀘스트 생성
+app.post('/api/quests', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const quest = { quest_type: 'question', ...pickQuestFields(req.body) };
+    
+    const errors = validateQuestPayload(quest);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid quest', details: errors });
+    }
+    
+    const [result] = await pool.execute(
+      `INSERT INTO quests (quest_type, region_id, city, town, village, latitude, longitude, radius_m, question, option_a, option_b, option_c, option_d, correct_answer, payload, score, time_limit_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      normalizeQuestFields(quest)
+    );
+    
+    const [rows] = await pool.execute(`SELECT ${QUEST_ADMIN_COLUMNS} FROM quests WHERE id = ?`, [result.insertId]);
+    console.log(`[퀘스트 작성] 생성 완료 - quest_id: ${result.insertId}, 작성자: ${req.auth.user_id}`);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    console.error('Error creating quest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 퀘스트 전체 수정
+app.put('/api/quests/:id', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), (req, res) => updateQuest(req, res, { partial: false }));
+
+// 퀘스트 부분 수정
+app.patch('/api/quests/:id', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), (req, res) => updateQuest(req, res, { partial: true }));
+
+// 퀘스트 삭제
+// user_quest_scores는 ON DELETE CASCADE이므로 풀이 기록이 있는 퀘스트는 삭제하지 않음 (기록 보존)
+app.delete('/api/quests/:id', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const [answered] = await pool.execute('SELECT COUNT(*) as count FROM user_quest_scores WHERE quest_id = ?', [id]);
+    if (answered[0].count > 0) {
+      return res.status(409).json({
+        error: 'Quest has recorded answers and cannot be deleted',
+        answeredCount: answered[0].count
+      });
+    }
+    
+    const [result] = await pool.execute('DELETE FROM quests WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: `Quest not found with id: ${id}` });
+    }
+    
+    console.log(`[퀘스트 작성] 삭제 완료 - quest_id: ${id}, 삭제자: ${req.auth.user_id}`);
+    res.json({ message: 'Quest deleted successfully', id: Number(id) });
+  } catch (error) {
+    console.error('Error deleting quest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== 리더보드 ====================
+
+const LEADERBOARD_WINDOWS = ['all', 'weekly', 'daily'];
+const LEADERBOARD_MAX_LIMIT = 100;
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 리더보드 집계 시작 시각 (한국 시간 기준 오늘 0시 / 이번 주 월요일 0시, all은 null)
+function getLeaderboardWindowStart(window, now = new Date()) {
+  if (window === 'all') return null;
+  
+  const kstNow = new Date(now.getTime() + KST_OFFSET_MS);
+  const kstMidnight = Date.UTC(kstNow.getUTCFullYear(), kstNow.getUTCMonth(), kstNow.getUTCDate());
+  const daysSinceMonday = window === 'weekly' ? (kstNow.getUTCDay() + 6) % 7 : 0;
+  
+  return new Date(kstMidnight - daysSinceMonday * 24 * 60 * 60 * 1000 - KST_OFFSET_MS);
+}
+
+// 리더보드 순위 CTE - 점수 내림차순, 동점이면 해당 점수에 먼저 도달한(마지막 득점 answered_at이 이른) 사용자 우선
+// regionIds: 지역 필터 (지역과 하위 지역 ID, 지역 레지스트리 기준) - 없으면 전체
+function buildLeaderboardQuery({ regionIds, windowStart }) {
+  let where = 'WHERE 1=1';
+  const params = [];
+  
+  if (windowStart) {
+    where += ' AND answered_at >= ?';
+    params.push(windowStart);
+  }
+  if (regionIds) {
+    where += ' AND region_id IN (?)';
+    params.push(regionIds);
+  }
+  
+  const cte = `
+    WITH totals AS (
+      SELECT 
+        user_id,
+        SUM(score) as total_score,
+        COUNT(*) as answered_count,
+        COALESCE(MAX(CASE WHEN score > 0 THEN answered_at END), MAX(answered_at)) as reached_at
+      FROM user_quest_scores
+      ${where}
+      GROUP BY user_id
+    ),
+    ranked AS (
+      SELECT 
+        totals.*,
+        RANK() OVER (ORDER BY total_score DESC, reached_at ASC) as user_rank
+      FROM totals
+    )`;
+  
+  return { cte, params };
+}
+
+function toLeaderboardEntry(row) {
+  return {
+    rank: Number(row.user_rank),
+    user_id: row.user_id,
+    name: row.name,
+    totalScore: Number(row.total_score),
+    answeredCount: Number(row.answered_count),
+    reachedAt: row.reached_at
+  };
+}
+
+// 리더보드 조회 (GET /api/leaderboard?window=all|weekly|daily&city=&town=&village=&limit=&offset=)
+// 토큰이 있으면 호출자의 순위(me)를 함께 반환 (상위 N명 밖이어도 포함)
+app.get('/api/leaderboard', optionalAuthenticate, async (req, res) => {
+  try {
+    const { city, town, village } = req.query;
+    const window = req.query.window || 'all';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, LEADERBOARD_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      return res.status(400).json({ error: `window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}` });
+    }
+    if (limit <= 0) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    
+    // 지역 필터는 레지스트리의 region_id 기준 (city/town/village 문자열은 이름 변경/이동 시 기록과 어긋날 수 있음)
+    let regionIds = null;
+    if (city || town || village) {
+      const { region, errors } = resolveRegion(city, town, village);
+      if (!region) {
+        return res.status(400).json({ error: 'Invalid region', details: errors });
+      }
+      regionIds = getRegionScopeIds(region.id);
+    }
+    
+    const windowStart = getLeaderboardWindowStart(window);
+    const { cte, params } = buildLeaderboardQuery({ regionIds, windowStart });
+    
+    // LIMIT/OFFSET 바인딩은 prepared statement(execute)에서 오류가 날 수 있어 query 사용
+    const [rows] = await pool.query(
+      `${cte}
+       SELECT ranked.*, u.name
+       FROM ranked
+       LEFT JOIN users u ON u.user_id = ranked.user_id
+       ORDER BY ranked.user_rank, ranked.user_id
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    
+    const [countRows] = await pool.query(`${cte} SELECT COUNT(*) as total FROM ranked`, params);
+    
+    let me = null;
+    if (req.auth) {
+      const [meRows] = await pool.query(
+        `${cte}
+         SELECT ranked.*, u.name
+         FROM ranked
+         LEFT JOIN users u ON u.user_id = ranked.user_id
+         WHERE ranked.user_id = ?`,
+        [...params, req.auth.user_id]
+      );
+      me = meRows.length > 0 ? toLeaderboardEntry(meRows[0]) : null;
+    }
+    
+    res.json({
+      window,
+      windowStart,
+      region: { city: city || null, town: town || null, village: village || null },
+      total: Number(countRows[0].total),
+      limit,
+      offset,
+      entries: rows.map(toLeaderboardEntry),
+      me
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사용자별 총점 조회 (user_id로 조회)
+app.get('/api/users/:user_id/score', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    
+    const [rows] = await pool.execute(
+      `SELECT 
+        COALESCE(SUM(score), 0) as total_score,
+        COUNT(*) as total_quests,
+        SUM(CASE WHEN score > 0 THEN 1 ELSE 0 END) as correct_count,
+        SUM(CASE WHEN score = 0 THEN 1 ELSE 0 END) as incorrect_count
+       FROM user_quest_scores
+       WHERE user_id = ?`,
+      [user_id]
+    );
+    
+    res.json(rows[0]);
+  } catch (error) {
+    console.error('Error fetching user score:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 정답 기록 후 지역 스탬프 발급 - 이번 정답으로 모든 퀘스트를 맞히게 된 지역(상위 지역 포함)
+// completedAt: 지역의 마지막 퀘스트를 맞힌 시간, 한 번 발급된 스탬프는 이후 퀘스트가 추가되어도 유지
+async function awardRegionStamps(user_id, quest, completedAt = new Date()) {
+  if (!quest.region_id) return [];
+  
+  const awarded = [];
+  for (const region of getRegionAncestry(quest.region_id)) {
+    // 하위 지역이 완료되지 않았으면 상위 지역도 완료되지 않음
+    if (!(await isRegionCompletedBy(user_id, region.id, quest.id))) break;
+    
+    const [result] = await pool.execute(
+      'INSERT IGNORE INTO user_region_stamps (user_id, region_id, completed_at) VALUES (?, ?, ?)',
+      [user_id, region.id, completedAt]
+    );
+    if (result.affectedRows > 0) {
+      console.log(`[지역 스탬프] user_id: ${user_id} - ${region.level} ${region.code} 스탬프 발급`);
+      awarded.push(region.id);
+    }
+  }
+  return awarded;
+}
+
+// 사용자 지역 진행도 (지역별 퀘스트 수/맞힌 수, 하위 지역 포함) 및 발급된 스탬프 - 조회만 하며 스탬프는 정답 기록 시 발급
+async function getUserRegionProgress(user_id) {
+  const [rows] = await pool.execute(
+    `SELECT q.region_id, COUNT(*) as total, COUNT(uqs.id) as completed
+     FROM quests q
+     LEFT JOIN user_quest_scores uqs ON uqs.quest_id = q.id AND uqs.user_id = ? AND ${SOLVED_SCORE_CONDITION}
+     WHERE q.region_id IS NOT NULL
+     GROUP BY q.region_id`,
+    [user_id]
+  );
+  const counts = new Map(rows.map(row => [row.region_id, row]));
+  
+  const [stampRows] = await pool.execute('SELECT region_id, completed_at FROM user_region_stamps WHERE user_id = ?', [user_id]);
+  const stamps = new Map(stampRows.map(row => [row.region_id, row.completed_at]));
+  
+  return regionRegistry.map(region => {
+    const scoped = getRegionScopeIds(region.id).map(id => counts.get(id)).filter(Boolean);
+    return {
+      region,
+      total: scoped.reduce((sum, row) => sum + Number(row.total), 0),
+      completed: scoped.reduce((sum, row) => sum + Number(row.completed), 0),
+      stampedAt: stamps.get(region.id) || null
+    };
+  });
+}
+
+// 지역 진행도 조회 (city → town → village 트리 + 스탬프 목록)
+app.get('/api/users/:user_id/progress', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const user_id = req.auth.user_id;
+    const progress = await getUserRegionProgress(user_id);
+    
+    const nodes = new Map(progress.map(({ region, total, completed, stampedAt }) => [region.id, {
+      id: region.id,
+      level: region.level,
+      code: region.code,
+      name: { ko: region.name_ko, en: region.name_en },
+      questCount: total,
+      completedCount: completed,
+      percent: total > 0 ? Math.round((completed / total) * 1000) / 10 : null, // 퀘스트가 없는 지역은 null
+      stamp: stampedAt ? { completedAt: stampedAt } : null,
+      children: []
+    }]));
+    
+    const regions = [];
+    for (const { region } of progress) {
+      const node = nodes.get(region.id);
+      if (region.parent_id && nodes.has(region.parent_id)) {
+        nodes.get(region.parent_id).children.push(node);
+      } else {
+        regions.push(node);
+      }
+    }
+    
+    const stamps = progress
+      .filter(entry => entry.stampedAt)
+      .sort((a, b) => a.stampedAt - b.stampedAt)
+      .map(({ region, stampedAt }) => ({
+        region_id: region.id,
+        level: region.level,
+        code: region.code,
+        name: { ko: region.name_ko, en: region.name_en },
+        completedAt: stampedAt
+      }));
+    
+    res.json({ user_id, stampCount: stamps.length, stamps, regions });
+  } catch (error) {
+    console.error('Error fetching user progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사용자별 퀘스트 풀이 기록 조회 (v1/v2 공통)
+// quest_id를 기반으로 quests 테이블과 JOIN하고, 각 기록에 이미지 URL(imageUrl)을 붙여 반환
+async function loadUserQuestHistory(user_id) {
+  // 조회 전에 누락된 사진 미션 자동 동기화 (백그라운드로 실행, 실패해도 조회는 계속)
+  syncPhotoQuestsToScores().catch(err => {
+    console.warn('[퀘스트 조회] 사진 미션 자동 동기화 실패 (무시):', err.message);
+  });
+  
+  const [rows] = await pool.execute(
+    `SELECT 
+      uqs.id,
+      uqs.user_id,
+      uqs.quest_id,
+      uqs.answered_at,
+      COALESCE(q.city, uqs.city) as city,
+      COALESCE(q.town, uqs.town) as town,
+      COALESCE(q.village, uqs.village) as village,
+      uqs.question,
+      uqs.user_answer,
+      uqs.correct_answer,
+      uqs.score,
+      q.quest_type,
+      q.option_a,
+      q.option_b,
+      q.option_c,
+      q.option_d,
+      q.payload,
+      q.score as quest_score
+     FROM user_quest_scores uqs
+     LEFT JOIN quests q ON uqs.quest_id = q.id
+     WHERE uqs.user_id = ?
+     ORDER BY uqs.answered_at DESC`,
+    [user_id]
+  );
+  
+  console.log(`[퀘스트 조회] 조회된 퀘스트 수: ${rows.length}개`);
+  
+  // 디버깅: 조회된 퀘스트 정보 출력
+  if (rows.length > 0) {
+    console.log(`[퀘스트 조회] 첫 번째 퀘스트 샘플:`, {
+      id: rows[0].id,
+      quest_id: rows[0].quest_id,
+      user_id: rows[0].user_id,
+      question: rows[0].question?.substring(0, 50)
+    });
+  } else {
+    console.warn(`[퀘스트 조회] user_id '${user_id}'에 대한 퀘스트 기록이 없습니다.`);
+    
+    // 디버깅: user_quest_scores 테이블에 데이터가 있는지 확인
+    try {
+      const [allScores] = await pool.execute('SELECT COUNT(*) as count FROM user_quest_scores');
+      const [userScores] = await pool.execute('SELECT COUNT(*) as count FROM user_quest_scores WHERE user_id = ?', [user_id]);
+      console.log(`[퀘스트 조회] 디버깅 - 전체 기록 수: ${allScores[0].count}, ${user_id} 기록 수: ${userScores[0].count}`);
+    } catch (debugError) {
+      console.error('[퀘스트 조회] 디버깅 쿼리 실패:', debugError.message);
+    }
+  }
+  
+  // 각 quest_id에 대해 user_upload_history에서 이미지 URL 조회
+  // 업로드된 이미지가 없으면 기본 이미지(seongsan0, seongsan1, seongsan2) 사용
+  return Promise.all(
+    rows.map(async (row, index) => {
+      let imageUrl = null;
+      let thumbnailUrl = null;
+      
+      // 1. 먼저 업로드된 이미지 조회 시도
+      if (row.quest_id) {
+        try {
+          const [uploadRows] = await pool.execute(
+            `SELECT file_url, file_key, thumbnail_key, medium_key FROM user_upload_history 
+             WHERE user_id = ? AND quest_id = ? AND (moderation_status IS NULL OR moderation_status <> 'rejected')
+             ORDER BY uploaded_at DESC LIMIT 1`,
+            [user_id, row.quest_id]
+          );
+          
+          if (uploadRows.length > 0) {
+            // 변형이 있으면 원본 대신 중간 크기/썸네일 사용 (메타데이터 제거본)
+            if (uploadRows[0].medium_key) {
+              imageUrl = await getPresignedImageUrl(uploadRows[0].medium_key);
+              thumbnailUrl = await getPresignedImageUrl(uploadRows[0].thumbnail_key);
+            } else {
+              // 원본은 private 저장소이므로 file_key로 Presigned URL 생성 (실패하면 저장된 URL 사용)
+              try {
+                imageUrl = await getPresignedImageUrl(uploadRows[0].file_key) || uploadRows[0].file_url;
+              } catch (urlError) {
+                console.warn(`[퀘스트 조회] Presigned URL 생성 실패: ${urlError.message}`);
+                imageUrl = uploadRows[0].file_url;
+              }
+            }
+          }
+        } catch (uploadError) {
+          console.warn(`[퀘스트 조회] quest_id로 이미지 조회 실패: ${uploadError.message}`);
+        }
+      }
+      
+      // 2. 업로드된 이미지가 없으면 기본 이미지 사용 (seongsan0, seongsan1, seongsan2)
+      if (!imageUrl && index < 3) {
+        imageUrl = await getSeongsanImageUrl(index);
+      }
+      
+      console.log(`[퀘스트 조회] quest_id ${row.quest_id}, 이미지 URL: ${imageUrl ? '있음' : '없음'}`);
+      
+      return { ...row, imageUrl, thumbnailUrl };
+    })
+  );
+}
+
+// 사용자별 퀘스트 기록 조회 (user_id로 조회)
+// 현재 프론트엔드용 한국어 키 응답 - 새 클라이언트는 /api/v2/users/:user_id/quests 사용
+app.get('/api/users/:user_id/quests', authenticate, requireSameUser, async (req, res) => {
+  try {
+    let { user_id } = req.params;
+    
+    // URL 디코딩 처리 (한글 user_id 지원)
+    try {
+      user_id = decodeURIComponent(user_id);
+    } catch (e) {
+      // 디코딩 실패 시 원본 사용
+      console.warn('Failed to decode user_id:', user_id);
+    }
+    
+    console.log(`[퀘스트 조회] user_id: ${user_id}`);
+    console.log(`[퀘스트 조회] user_id (hex): ${Buffer.from(user_id, 'utf8').toString('hex')}`);
+    
+    const history = await loadUserQuestHistory(user_id);
+    
+    // 지역명을 한국어로 변환 (내부 필드 제거)
+    const translatedRows = history.map(row => ({
+      id: row.id,
+      user_id: row.user_id,
+      quest_id: row.quest_id,
+      '문제 푼 시간': row.answered_at,
+      '시': translateRegionName(row.city, 'city'),
+      '동': row.town ? translateRegionName(row.town, 'town') : row.town,
+      '리': row.village ? translateRegionName(row.village, 'village') : row.village,
+      '푼 문제': row.question,
+      '사용자가 제출한 정답': row.user_answer,
+      '실제 정답': row.correct_answer,
+      '점수': row.score,
+      '이미지 URL': row.imageUrl,
+      '썸네일 URL': row.thumbnailUrl
+    }));
+    
+    console.log(`[퀘스트 조회] 최종 반환: ${translatedRows.length}개`);
+    res.json(translatedRows);
+  } catch (error) {
+    console.error('Error fetching user quests:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사용자별 퀘스트 기록 조회 v2 (영문 키, /api/quests/random과 같은 퀘스트 형태 + 풀이 결과)
+// 지역 표시 이름은 Accept-Language(ko/en)에 따라 선택 (기본값: ko)
+app.get('/api/v2/users/:user_id/quests', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const lang = req.acceptsLanguages('ko', 'en') || 'ko';
+    
+    const history = await loadUserQuestHistory(user_id);
+    
+    const items = history.map(row => {
+      // 문제 텍스트는 풀이 당시 저장된 값(user_quest_scores.question) 사용
+      // 퀘스트 정보를 찾을 수 없거나 알 수 없는 타입인 기록은 기록에 저장된 값만 사용
+      const quest = (row.quest_type && toPlayerQuest({ ...row, id: row.quest_id, score: row.quest_score }, { revealContent: true })) // 이미 푼 퀘스트
+        || { type: null, id: row.quest_id, region: { city: row.city, town: row.town, village: row.village }, question: row.question, score: null };
+      
+      return {
+        ...quest,
+        regionName: {
+          city: translateRegionName(row.city, 'city', lang),
+          town: row.town ? translateRegionName(row.town, 'town', lang) : null,
+          village: row.village ? translateRegionName(row.village, 'village', lang) : null
+        },
+        result: {
+          id: row.id,
+          userAnswer: row.user_answer,
+          correctAnswer: row.correct_answer,
+          score: row.score,
+          answeredAt: row.answered_at,
+          imageUrl: row.imageUrl,
+          thumbnailUrl: row.thumbnailUrl
+        }
+      };
+    });
+    
+    res.set('Content-Language', lang);
+    res.set('Vary', 'Accept-Language');
+    res.json({
+      user_id,
+      lang,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    console.error('Error fetching user quests (v2):', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== 제주 버스 API 프록시 ====================
+
+// 업스트림 주소 (테스트에서는 로컬 가짜 서버로 지정 가능, 예: http://localhost:9999)
+const BUS_API_BASE_URL = (process.env.BUS_API_BASE_URL || 'https://bus.jeju.go.kr').replace(/\/$/, '');
+const BUS_API_TIMEOUT_MS = Number(process.env.BUS_API_TIMEOUT_MS || 5000);
+const BUS_ARRIVAL_CACHE_TTL = Number(process.env.BUS_ARRIVAL_CACHE_TTL_SECONDS || 30) * 1000;
+// 업스트림 인증서 문제가 있을 때만 명시적으로 검증 끄기 (기본값: 검증)
+const BUS_API_ALLOW_INSECURE_TLS = process.env.BUS_API_ALLOW_INSECURE_TLS === 'true';
+
+// station_id별 도착 정보 캐시 { expiresAt, fetchedAt, arrivals, payload } / 진행 중인 요청 (같은 정류소 동시 요청은 한 번만 호출)
+// payload는 업스트림 원본 응답 (v1 응답의 data 필드용), station_id 없이 조회한 결과는 '' 키로 저장
+const busArrivalCache = new Map();
+const busArrivalRequests = new Map();
+
+// 업스트림 호출 실패 (status: 타임아웃 504, 그 외 502)
+function createBusApiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 업스트림 GET 후 JSON 반환
+function requestBusApi(pathWithQuery) {
+  const url = new URL(BUS_API_BASE_URL + pathWithQuery);
+  const client = url.protocol === 'http:' ? require('http') : require('https');
+  
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; Node.js)',
+        'Accept': 'application/json'
+      },
+      rejectUnauthorized: !BUS_API_ALLOW_INSECURE_TLS
+    }, (response) => {
+      let responseData = '';
+      
+      response.on('data', (chunk) => {
+        responseData += chunk;
+      });
+      
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(createBusApiError(502, `Upstream responded with HTTP ${response.statusCode}`));
+          return;
+        }
+        
+        try {
+          resolve(JSON.parse(responseData));
+        } catch (e) {
+          reject(createBusApiError(502, 'Failed to parse upstream JSON: ' + e.message));
+        }
+      });
+    });
+    
+    request.on('error', (error) => {
+      reject(createBusApiError(502, 'Upstream request failed: ' + error.message));
+    });
+    
+    request.setTimeout(BUS_API_TIMEOUT_MS, () => {
+      request.destroy();
+      reject(createBusApiError(504, `Upstream timeout after ${BUS_API_TIMEOUT_MS}ms`));
+    });
+    
+    request.end();
+  });
+}
+
+// 숫자 변환 (빈 값/숫자가 아니면 null)
+function toNullableNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// 업스트림 도착 정보 한 건 → { routeId, route, destination, etaMinutes, stopsRemaining, currentStation }
+// 업스트림 필드: ROUTE_NUM(노선 번호), PREDICT_TRAV_TM(도착 예정 분), REMAIN_STATION(남은 정류소 수) 등
+function normalizeBusArrival(item) {
+  return {
+    routeId: item.ROUTE_ID != null ? String(item.ROUTE_ID) : null,
+    route: item.ROUTE_NUM != null ? String(item.ROUTE_NUM) : null,
+    destination: item.ROUTE_SUB_NM || null,
+    etaMinutes: toNullableNumber(item.PREDICT_TRAV_TM),
+    stopsRemaining: toNullableNumber(item.REMAIN_STATION),
+    currentStation: item.CURR_STATION_NM || null
+  };
+}
+
+// 업스트림 응답 전체 → 도착 예정 순 목록 (배열 또는 { data | items | list } 형태 모두 허용)
+function normalizeBusArrivals(payload) {
+  const items = Array.isArray(payload)
+    ? payload
+    : (payload && (payload.data || payload.items || payload.list)) || null;
+  if (!Array.isArray(items)) {
+    throw createBusApiError(502, 'Unexpected upstream payload');
+  }
+  
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map(normalizeBusArrival)
+    .sort((a, b) => (a.etaMinutes ?? Infinity) - (b.etaMinutes ?? Infinity));
+}
+
+// 정류소 도착 정보 (캐시 → 진행 중인 요청 → 업스트림 순)
+async function getBusArrivals(station_id = '') {
+  const now = Date.now();
+  const cached = busArrivalCache.get(station_id);
+  if (cached && cached.expiresAt > now) {
+    return { ...cached, cached: true };
+  }
+  
+  if (!busArrivalRequests.has(station_id)) {
+    const query = station_id ? `?station_id=${encodeURIComponent(station_id)}` : '';
+    const request = requestBusApi(`/api/searchArrivalInfoList.do${query}`)
+      .then((payload) => {
+        const entry = { arrivals: normalizeBusArrivals(payload), payload, fetchedAt: new Date(), expiresAt: Date.now() + BUS_ARRIVAL_CACHE_TTL };
+        
+        // 만료된 항목 정리 후 저장
+        for (const [key, value] of busArrivalCache) {
+          if (value.expiresAt <= Date.now()) busArrivalCache.delete(key);
+        }
+        busArrivalCache.set(station_id, entry);
+        return entry;
+      })
+      .finally(() => busArrivalRequests.delete(station_id));
+    busArrivalRequests.set(station_id, request);
+  }
+  
+  const entry = await busArrivalRequests.get(station_id);
+  return { ...entry, cached: false };
+}
+
+// 도착 정보 응답 (v1/v2 공통) - includeRawData면 업스트림 원본을 data로 함께 반환
+async function sendBusArrivals(res, station_id, { includeRawData = false } = {}) {
+  try {
+    const { arrivals, payload, fetchedAt, cached } = await getBusArrivals(station_id || '');
+    
+    res.json({
+      success: true,
+      station_id: station_id || null,
+      fetchedAt,
+      cached,
+      count: arrivals.length,
+      arrivals,
+      ...(includeRawData ? { data: payload } : {})
+    });
+  } catch (error) {
+    console.error(`Bus API proxy error (station_id: ${station_id || '-'}):`, error.message);
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.status === 504 ? 'Bus API timeout' : 'Bus API unavailable',
+        details: error.message
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// 정류소 ID 형식 확인 (업스트림 URL에 그대로 들어가므로 숫자만 허용)
+function isValidStationId(station_id) {
+  return typeof station_id === 'string' && /^\d{1,20}$/.test(station_id);
+}
+
+// 제주 버스 도착 정보 조회 v1 (GET /api/bus/arrival?station_id=) - 지원 중단 예정, v2 사용
+// 이전 클라이언트 호환: station_id 생략 가능, 업스트림 원본 응답을 data로 함께 반환
+app.get('/api/bus/arrival', async (req, res) => {
+  const { station_id } = req.query;
+  
+  if (station_id !== undefined && station_id !== '' && !isValidStationId(station_id)) {
+    return res.status(400).json({ 
+      error: 'Invalid station_id',
+      details: 'station_id는 숫자 정류소 ID여야 합니다.'
+    });
+  }
+  
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/v2/bus/arrival>; rel="successor-version"');
+  await sendBusArrivals(res, station_id, { includeRawData: true });
+});
+
+// 제주 버스 도착 정보 조회 v2 (GET /api/v2/bus/arrival?station_id=) - station_id 필수, 정리된 arrivals만 반환
+app.get('/api/v2/bus/arrival', async (req, res) => {
+  const { station_id } = req.query;
+  
+  if (!isValidStationId(station_id)) {
+    return res.status(400).json({ 
+      error: 'Invalid station_id',
+      details: 'station_id는 숫자 정류소 ID여야 합니다.'
+    });
+  }
+  
+  await sendBusArrivals(res, station_id);
+});
+
+// ==================== 버스 정류소 ====================
+
+// 정류소 레지스트리 파일 (.json: { stations: [...] } 또는 배열, .csv: station_id,name,lat,lng 헤더)
+const BUS_STATIONS_FILE = path.resolve(process.env.BUS_STATIONS_FILE || path.join(__dirname, 'data/bus-stations.json'));
+const TRANSIT_STATION_LIMIT = Number(process.env.TRANSIT_STATION_LIMIT || 3);
+const TRANSIT_MAX_DISTANCE_M = Number(process.env.TRANSIT_MAX_DISTANCE_M || 5000);
+
+// CSV 한 줄 파싱 (큰따옴표로 감싼 값과 "" 이스케이프 지원)
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+// 정류소 파일 로드 - 형식이 잘못된 행은 건너뛰고 경고
+function loadBusStations(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  let records;
+  
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const [headerLine, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+    const headers = parseCsvLine(headerLine).map(header => header.toLowerCase());
+    records = lines.map(line => {
+      const values = parseCsvLine(line);
+      return Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+    });
+  } else {
+    const parsed = JSON.parse(content);
+    records = Array.isArray(parsed) ? parsed : parsed.stations;
+  }
+  
+  if (!Array.isArray(records)) {
+    throw new Error(`Invalid bus station file: ${filePath}`);
+  }
+  
+  const stations = [];
+  const seen = new Set();
+  for (const record of records) {
+    const stationId = record.station_id != null ? String(record.station_id).trim() : '';
+    const coordinates = parseCoordinates(record.lat ?? record.latitude, record.lng ?? record.longitude);
+    if (!/^\d{1,20}$/.test(stationId) || !record.name || !coordinates || seen.has(stationId)) {
+      console.warn(`[버스 정류소] 잘못된 항목 건너뜀: ${JSON.stringify(record)}`);
+      continue;
+    }
+    seen.add(stationId);
+    stations.push({ station_id: stationId, name: String(record.name).trim(), lat: coordinates.lat, lng: coordinates.lng });
+  }
+  
+  return stations;
+}
+
+const BUS_STATIONS = loadBusStations(BUS_STATIONS_FILE);
+console.log(`[버스 정류소] ${BUS_STATIONS.length}개 로드 (${BUS_STATIONS_FILE})`);
+
+// 이름 검색용 정규화 (공백 제거, 소문자)
+function normalizeStationName(name) {
+  return String(name).replace(/\s+/g, '').toLowerCase();
+}
+
+// 좌표에서 가까운 정류소 (거리순, distance: 미터)
+function findNearestBusStations(lat, lng, { radius, limit }) {
+  return BUS_STATIONS
+    .map(station => ({ ...station, distance: Math.round(getDistanceMeters(lat, lng, station.lat, station.lng)) }))
+    .filter(station => station.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+// 정류소 검색 (GET /api/bus/stations?near=lat,lng&radius= 또는 ?name=)
+app.get('/api/bus/stations', (req, res) => {
+  const { near, name } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  
+  if (near !== undefined) {
+    const [lat, lng] = String(near).split(',');
+    const coordinates = parseCoordinates(lat, lng);
+    if (!coordinates) {
+      return res.status(400).json({ error: 'Invalid near', details: 'near=위도,경도 형식이어야 합니다. (예: near=33.4996,126.5312)' });
+    }
+    
+    const radius = req.query.radius === undefined ? NEARBY_DEFAULT_RADIUS_M : Number(req.query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > NEARBY_MAX_RADIUS_M) {
+      return res.status(400).json({ error: `radius must be between 1 and ${NEARBY_MAX_RADIUS_M} meters` });
+    }
+    
+    let stations = findNearestBusStations(coordinates.lat, coordinates.lng, { radius, limit: BUS_STATIONS.length });
+    if (name) {
+      stations = stations.filter(station => normalizeStationName(station.name).includes(normalizeStationName(name)));
+    }
+    stations = stations.slice(0, limit);
+    
+    return res.json({ lat: coordinates.lat, lng: coordinates.lng, radius, count: stations.length, stations });
+  }
+  
+  if (typeof name === 'string' && name.trim()) {
+    const keyword = normalizeStationName(name);
+    const stations = BUS_STATIONS
+      .filter(station => normalizeStationName(station.name).includes(keyword))
+      .sort((a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name)) // 짧은 이름(정확히 일치에 가까운 것) 우선
+      .slice(0, limit);
+    
+    return res.json({ name, count: stations.length, stations });
+  }
+  
+  res.status(400).json({ 
+    error: 'near or name is required',
+    details: 'GET /api/bus/stations?near=위도,경도 또는 ?name=정류소명'
+  });
+});
+
+// 퀘스트 장소 가는 길 (GET /api/quests/:id/transit)
+// 퀘스트 좌표(없으면 지역 경계 중심)에서 가까운 정류소와 실시간 도착 정보
+app.get('/api/quests/:id/transit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [questRows] = /^\d+$/.test(id) ? await pool.execute('SELECT * FROM quests WHERE id = ?', [id]) : [[]];
+    if (questRows.length === 0) {
+      return res.status(404).json({ error: 'Quest not found' });
+    }
+    
+    const quest = questRows[0];
+    const origin = quest.latitude !== null
+      ? { lat: Number(quest.latitude), lng: Number(quest.longitude), source: 'quest' }
+      : { ...getRegionCenter(quest.city, quest.town, quest.village), source: 'region' };
+    if (origin.lat === undefined) {
+      return res.status(404).json({ 
+        error: 'Quest location unknown',
+        details: '퀘스트 좌표와 지역 경계가 모두 없어 정류소를 찾을 수 없습니다.'
+      });
+    }
+    
+    const stations = findNearestBusStations(origin.lat, origin.lng, { radius: TRANSIT_MAX_DISTANCE_M, limit: TRANSIT_STATION_LIMIT });
+    
+    // 정류소별 도착 정보 - 일부 정류소 조회가 실패해도 나머지는 반환
+    const results = await Promise.all(stations.map(async (station) => {
+      try {
+        const { arrivals, fetchedAt } = await getBusArrivals(station.station_id);
+        return { ...station, arrivals, fetchedAt, error: null };
+      } catch (error) {
+        console.error(`[가는 길] 도착 정보 조회 실패 (station_id: ${station.station_id}):`, error.message);
+        return { ...station, arrivals: null, fetchedAt: null, error: error.status === 504 ? 'Bus API timeout' : 'Bus API unavailable' };
+      }
+    }));
+    
+    res.json({
+      quest_id: quest.id,
+      region: { city: quest.city, town: quest.town, village: quest.village },
+      origin, // source: quest(퀘스트 좌표) | region(지역 경계 중심)
+      count: results.length,
+      stations: results
+    });
+  } catch (error) {
+    console.error('Error fetching quest transit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== AWS S3 API ====================
+
+// 로컬 저장소 파일 제공 (STORAGE_DRIVER=local일 때 서명 URL 대상)
+app.get('/api/storage/:key(*)', async (req, res) => {
+  if (storage.driver !== 'local') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  
+  const key = req.params.key;
+  if (!storage.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired signature' });
+  }
+  
+  try {
+    if (!(await storage.headObject(key))) {
+      return res.status(404).json({ error: 'File not found', key });
+    }
+    res.sendFile(storage.resolvePath(key));
+  } catch (error) {
+    console.error('Local storage read error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 로컬 저장소 직접 업로드 (STORAGE_DRIVER=local일 때 POST /api/uploads/intent의 서명 URL 대상)
+app.put('/api/storage/:key(*)', express.raw({ type: () => true, limit: UPLOAD_MAX_SIZE }), handleRawBodyError, async (req, res) => {
+  if (storage.driver !== 'local') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  
+  const key = req.params.key;
+  const contentType = req.headers['content-type'];
+  const contentLength = req.headers['content-length'];
+  if (!storage.verifyUploadSignature(key, req.query.expires, req.query.signature, contentType, contentLength)) {
+    return res.status(403).json({ error: 'Invalid or expired signature' });
+  }
+  
+  try {
+    await storage.putObject(key, req.body, contentType);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Local storage write error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 퀘스트 이미지 업로드 (POST /api/quests/:id/image) - 에디터/관리자 전용
+// uploads/quests 폴더에 저장: uploads/quests/{quest_id}.{ext} (확장자는 파일 내용으로 결정)
+app.post('/api/quests/:id/image', authenticate, requireRole(ROLES.EDITOR, ROLES.ADMIN), upload.single('image'), handleMulterError, validateUploadedImage, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file uploaded' });
+    }
+
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    // 존재하는 퀘스트만 허용 (id가 키에 들어가므로 임의 문자열 차단)
+    const [questRows] = /^\d+$/.test(id) ? await pool.execute('SELECT id FROM quests WHERE id = ?', [id]) : [[]];
+    if (questRows.length === 0) {
+      return res.status(404).json({ error: `Quest not found with id: ${id}` });
+    }
+    
+    const imageKey = `uploads/quests/${questRows[0].id}.${req.file.detectedType.extension}`;
+
+    await storage.putObject(imageKey, req.file.buffer, req.file.detectedType.mime);
+    const fileUrl = storage.getObjectUrl(imageKey);
+
+    res.json({
+      success: true,
+      questId: id,
+      imageKey: imageKey,
+      url: fileUrl,
+      size: req.file.size
+    });
+  } catch (error) {
+    console.error('Quest image upload error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 사용자별 총점 조회 (user_id로 조회)
-app.get('/api/users/:user_id/score', async (req, res) => {
+// ==================== 사진 미션 검증 (EXIF) ====================
+
+const PHOTO_VERIFICATION_CONFIG = {
+  maxAgeHours: Number(process.env.PHOTO_MAX_AGE_HOURS) || 24,                 // 촬영 후 인정되는 시간
+  maxDistanceM: Number(process.env.PHOTO_MAX_DISTANCE_M) || 1000,             // 퀘스트 좌표와의 허용 거리 (radius_m이 더 크면 radius_m)
+  defaultUtcOffset: process.env.PHOTO_EXIF_DEFAULT_UTC_OFFSET || '+09:00',    // 시간대 정보가 없는 EXIF 시간의 기준 (KST)
+  autoApproveVerified: process.env.PHOTO_MODERATION_AUTO_APPROVE === 'true'   // EXIF 검증을 통과한 제출은 심사 없이 승인
+};
+const PHOTO_CLOCK_SKEW_MS = 10 * 60 * 1000; // 기기 시계 오차 허용 (미래 시간)
+
+// EXIF 날짜 문자열("2024:05:01 13:20:00") → Date (offset 예: "+09:00")
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  
+  const [, year, month, day, hour, minute, second] = match;
+  const utcOffset = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : PHOTO_VERIFICATION_CONFIG.defaultUtcOffset;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${utcOffset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// 사진 EXIF에서 촬영 시간과 GPS 좌표 추출 (없거나 읽을 수 없으면 null)
+async function readPhotoExif(buffer) {
+  const [tags, gps] = await Promise.all([
+    exifr.parse(buffer, {
+      pick: ['DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'OffsetTime'],
+      reviveValues: false
+    }).catch(() => null),
+    exifr.gps(buffer).catch(() => null)
+  ]);
+  
+  const takenAt = tags
+    ? parseExifDate(tags.DateTimeOriginal || tags.CreateDate, tags.OffsetTimeOriginal || tags.OffsetTime)
+    : null;
+  const location = gps ? parseCoordinates(gps.latitude, gps.longitude) : null;
+  
+  return {
+    takenAt,
+    latitude: location ? location.lat : null,
+    longitude: location ? location.lng : null
+  };
+}
+
+// 사진 미션 제출 검증 - 위치(퀘스트 좌표 또는 지역)와 촬영 시간 확인
+// 반환값: { status: 'verified' | 'rejected' | 'needs_review', reasons: [사유 코드] }
+function verifyPhotoSubmission(quest, exif, now = new Date()) {
+  const rejected = [];
+  const review = [];
+  
+  if (exif.latitude === null) {
+    review.push('gps_missing');
+  } else if (quest.latitude !== null && quest.latitude !== undefined) {
+    // 퀘스트 좌표가 있으면 거리로 확인
+    const distance = getDistanceMeters(exif.latitude, exif.longitude, Number(quest.latitude), Number(quest.longitude));
+    if (distance > Math.max(quest.radius_m || 0, PHOTO_VERIFICATION_CONFIG.maxDistanceM)) {
+      rejected.push('location_mismatch');
+    }
+  } else {
+    // 퀘스트 좌표가 없으면 촬영 위치의 지역이 퀘스트 지역(또는 하위 지역)인지 확인
+    const located = lookupRegionByCoordinates(exif.latitude, exif.longitude);
+    if (!located) {
+      rejected.push('outside_service_area');
+    } else if (getRegionAncestry(located.region.id).some(r => r.id === quest.region_id)) {
+      // 퀘스트 지역 안에서 촬영
+    } else if (!quest.region_id || getRegionAncestry(quest.region_id).some(r => r.id === located.region.id)) {
+      review.push('location_imprecise'); // 상위 지역까지만 확인됨 (세부 경계 데이터 없음)
+    } else {
+      rejected.push('location_mismatch');
+    }
+  }
+  
+  if (!exif.takenAt) {
+    review.push('timestamp_missing');
+  } else if (exif.takenAt.getTime() > now.getTime() + PHOTO_CLOCK_SKEW_MS) {
+    rejected.push('invalid_timestamp');
+  } else if (now.getTime() - exif.takenAt.getTime() > PHOTO_VERIFICATION_CONFIG.maxAgeHours * 60 * 60 * 1000) {
+    rejected.push('photo_too_old');
+  }
+  
+  const status = rejected.length > 0 ? 'rejected' : review.length > 0 ? 'needs_review' : 'verified';
+  return { status, reasons: [...rejected, ...review] };
+}
+
+// 승인된 사진 미션 점수 기록 (퀘스트 점수 + 점수 규칙 적용)
+// 이미 완료한 미션은 기록을 바꾸지 않음 (answered_at 포함 - 리더보드 기간/연속 정답 계산이 처음 완료 시간 기준)
+// 반환값: { scoreBreakdown (새로 기록한 경우만), unlockedAchievements }
+async function grantPhotoQuestScore(user_id, quest) {
+  const [existing] = await pool.execute(
+    'SELECT id FROM user_quest_scores WHERE user_id = ? AND quest_id = ?',
+    [user_id, quest.id]
+  );
+
+  if (existing.length > 0) {
+    console.log(`[사진 미션 기록] user_id: ${user_id}, quest_id: ${quest.id} 이미 완료한 미션 (기록 유지)`);
+    return { scoreBreakdown: null, unlockedAchievements: [] };
+  }
+
+  // user_answer는 CHAR(1)이므로 'PHOTO' 대신 'A' 사용
+  const { recorded, breakdown } = await recordQuestScore({
+    user_id,
+    quest,
+    userAnswer: 'A', // 사진 미션 완료는 'A'로 표시 (CHAR(1) 제약)
+    correctAnswer: 'A', // 승인된 사진 미션은 정답
+    isCorrect: true
+  });
+  console.log(`[사진 미션 기록] user_id: ${user_id}, quest_id: ${quest.id} ${recorded ? `저장 완료 (score: ${breakdown.total})` : '이미 기록됨'}`);
+
+  return {
+    scoreBreakdown: breakdown,
+    unlockedAchievements: recorded ? await evaluateAchievements({ user_id, quest, isCorrect: true }) : []
+  };
+}
+
+// 저장된 업로드 파일 후처리 (이미지 변형 생성, 사진 미션 검증, 업로드 히스토리 저장, 승인된 사진 미션 점수 기록)
+// POST /api/s3/upload와 POST /api/uploads/:id/complete에서 공통 사용
+async function processUploadedFile({ user_id, quest_id, fileName, key, buffer, size, contentType }) {
+  const fileUrl = storage.getObjectUrl(key);
+
+  // 썸네일/중간 크기 변형 생성 및 업로드 (실패해도 원본 업로드는 성공으로 처리)
+  const variantKeys = { thumbnail: null, medium: null };
+  const variants = await createImageVariants(buffer);
+  if (variants) {
+    try {
+      for (const [name, variantBuffer] of Object.entries(variants)) {
+        const variantKey = getImageVariantKey(key, name);
+        await storage.putObject(variantKey, variantBuffer, IMAGE_OUTPUT_TYPES[IMAGE_OUTPUT_FORMAT].contentType);
+        variantKeys[name] = variantKey;
+      }
+      console.log(`[이미지 처리] 변형 업로드 완료:`, variantKeys);
+    } catch (variantError) {
+      console.error('[이미지 처리] 변형 업로드 실패:', variantError.message);
+    }
+  }
+
+  // 사진 미션이면 EXIF(GPS/촬영 시간)로 제출 검증
+  let photoQuest = null;
+  let verification = null;
+  let exif = null;
+  if (quest_id) {
+    try {
+      const [questRows] = await pool.execute('SELECT * FROM quests WHERE id = ?', [quest_id]);
+      if (questRows.length > 0 && questRows[0].quest_type === 'photo') {
+        photoQuest = questRows[0];
+        exif = await readPhotoExif(buffer);
+        verification = verifyPhotoSubmission(photoQuest, exif);
+        console.log(`[사진 미션 검증] user_id: ${user_id}, quest_id: ${quest_id}, 결과: ${verification.status}`, verification.reasons);
+      }
+    } catch (verifyError) {
+      console.error('[사진 미션 검증 실패]:', verifyError.message);
+      verification = { status: 'needs_review', reasons: ['verification_error'] };
+    }
+  }
+
+  // 사진 미션은 심사 대기로 저장 (PHOTO_MODERATION_AUTO_APPROVE면 EXIF 검증을 통과한 제출은 바로 승인)
+  const moderationStatus = photoQuest
+    ? (PHOTO_VERIFICATION_CONFIG.autoApproveVerified && verification.status === 'verified' ? 'approved' : 'pending')
+    : null;
+
+  // 사용자별 업로드 히스토리 저장
+  let historyId = null;
   try {
-    const { user_id } = req.params;
-    
-    const [rows] = await pool.execute(
-      `SELECT 
-        COALESCE(SUM(score), 0) as total_score,
-        COUNT(*) as total_quests,
-        SUM(CASE WHEN score = 1 THEN 1 ELSE 0 END) as correct_count,
-        SUM(CASE WHEN score = 0 THEN 1 ELSE 0 END) as incorrect_count
-       FROM user_quest_scores
-       WHERE user_id = ?`,
-      [user_id]
+    // 히스토리 저장 (quest_id, 사진 미션 검증/심사 결과 포함)
+    const [historyResult] = await pool.execute(
+      `INSERT INTO user_upload_history 
+       (user_id, quest_id, file_name, file_key, thumbnail_key, medium_key, file_url, file_size, content_type, verification_status, verification_reason, exif_taken_at, exif_latitude, exif_longitude, moderation_status, moderated_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user_id, quest_id || null, fileName, key, variantKeys.thumbnail, variantKeys.medium, fileUrl, size, contentType,
+        verification ? verification.status : null,
+        verification && verification.reasons.length > 0 ? verification.reasons.join(',') : null,
+        exif && exif.takenAt ? exif.takenAt : null,
+        exif ? exif.latitude : null,
+        exif ? exif.longitude : null,
+        moderationStatus,
+        moderationStatus === 'approved' ? new Date() : null
+      ]
     );
+
+    historyId = historyResult.insertId;
+    console.log(`[업로드 히스토리] user_id: ${user_id}, quest_id: ${quest_id || 'N/A'}, file: ${fileName} 저장 완료`);
+  } catch (historyError) {
+    // 히스토리 저장 실패해도 업로드는 성공으로 처리
+    console.error('[업로드 히스토리 저장 실패]:', historyError.message, historyError.stack);
+  }
+
+  // 승인된 사진 미션만 user_quest_scores에 저장 (심사 대기는 관리자가 승인할 때 저장)
+  let scoreBreakdown = null;
+  let unlockedAchievements = [];
+  if (photoQuest && moderationStatus === 'approved') {
+    try {
+      ({ scoreBreakdown, unlockedAchievements } = await grantPhotoQuestScore(user_id, photoQuest));
+    } catch (scoreError) {
+      // 사진 미션 기록 저장 실패해도 업로드는 성공으로 처리
+      console.error('[사진 미션 기록 저장 실패]:', scoreError.message, scoreError.stack);
+    }
+  }
+
+  return {
+    historyId,
+    fileUrl,
+    variantKeys,
+    verification,
+    moderation: moderationStatus ? { status: moderationStatus } : null,
+    scoreBreakdown,
+    unlockedAchievements
+  };
+}
+
+// 응답용 변형 정보 (키 + Presigned URL)
+async function toVariantResponse(variantKeys) {
+  return {
+    thumbnail: variantKeys.thumbnail ? { key: variantKeys.thumbnail, url: await getPresignedImageUrl(variantKeys.thumbnail) } : null,
+    medium: variantKeys.medium ? { key: variantKeys.medium, url: await getPresignedImageUrl(variantKeys.medium) } : null
+  };
+}
+
+// 파일 업로드 (POST /api/s3/upload)
+// 토큰의 user_id 기준으로 사용자별 업로드 히스토리 저장
+app.post('/api/s3/upload', authenticate, upload.single('file'), handleMulterError, requireSameUser, validateUploadedImage, async (req, res) => {
+  console.log(`[S3 업로드] ========== 요청 시작 ==========`);
+  console.log(`[S3 업로드] 요청 URL: ${req.url}`);
+  console.log(`[S3 업로드] 요청 Method: ${req.method}`);
+  console.log(`[S3 업로드] 요청 Headers:`, {
+    'content-type': req.headers['content-type'],
+    'content-length': req.headers['content-length']
+  });
+  console.log(`[S3 업로드] 요청 Body (user_id, quest_id, fileName, folder):`, {
+    user_id: req.body.user_id,
+    quest_id: req.body.quest_id,
+    fileName: req.body.fileName,
+    folder: req.body.folder
+  });
+  console.log(`[S3 업로드] 파일 정보:`, {
+    file: req.file ? {
+      fieldname: req.file.fieldname,
+      originalname: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    } : '없음'
+  });
+  
+  try {
+    if (!req.file) {
+      console.error(`[S3 업로드] 파일이 없음 - 요청 body:`, redactBody(req.body));
+      console.error(`[S3 업로드] 요청 files:`, req.files);
+      return res.status(400).json({ 
+        error: 'No file uploaded',
+        details: '파일이 요청에 포함되지 않았습니다. multipart/form-data 형식으로 "file" 필드에 파일을 첨부해주세요.',
+        receivedBody: Object.keys(req.body),
+        receivedFiles: req.files ? Object.keys(req.files) : 'none'
+      });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error(`[S3 업로드] 저장소가 설정되지 않음`);
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    const user_id = req.auth.user_id; // 토큰에서 추출한 호출자 user_id
+
+    const quest_id = req.body.quest_id; // quest_id 받기 (선택사항)
+
+    // fileName은 히스토리 표시용으로만 사용하고, 저장 키는 서버에서 생성
+    const fileName = sanitizeUploadFileName(req.body.fileName || req.file.originalname);
+    if (!fileName) {
+      return res.status(400).json({ error: 'Invalid fileName', details: '파일명에 경로(/, \\, ..)를 포함할 수 없습니다.' });
+    }
+    if (req.body.folder && req.body.folder !== 'uploads') {
+      return res.status(400).json({ error: 'Invalid folder', details: '업로드 위치는 서버에서 결정합니다.' });
+    }
+
+    const quotaError = await checkUploadQuota(user_id, req.file.size);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.body);
+    }
+
+    const { mime } = req.file.detectedType;
+    const key = generateUploadKey(user_id, req.file.detectedType.extension);
+
+    await storage.putObject(key, req.file.buffer, mime);
+    const { fileUrl, variantKeys, verification, moderation, scoreBreakdown, unlockedAchievements } = await processUploadedFile({
+      user_id,
+      quest_id,
+      fileName,
+      key,
+      buffer: req.file.buffer,
+      size: req.file.size,
+      contentType: mime
+    });
+
+    console.log(`[S3 업로드] 업로드 성공 - user_id: ${user_id}, quest_id: ${quest_id || 'N/A'}, file: ${fileName}, url: ${fileUrl}`);
     
-    res.json(rows[0]);
+    res.json({
+      success: true,
+      user_id: user_id,
+      quest_id: quest_id || null,
+      fileName: fileName,
+      key: key,
+      url: fileUrl,
+      size: req.file.size,
+      variants: await toVariantResponse(variantKeys),
+      verification, // 사진 미션 EXIF 검증 결과 (심사 참고용)
+      moderation, // 사진 미션 심사 상태 { status: pending | approved } - 승인된 경우에만 점수 기록
+      scoreBreakdown, // 사진 미션 점수 계산 내역 (새로 완료한 경우에만)
+      unlockedAchievements // 이번 업로드로 새로 획득한 업적
+    });
   } catch (error) {
-    console.error('Error fetching user score:', error);
-    res.status(500).json({ error: error.message });
+    console.error('[S3 업로드] 에러 발생:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name,
+      code: error.code
+    });
+    res.status(500).json({ 
+      error: error.message,
+      details: 'S3 업로드 중 오류가 발생했습니다.',
+      code: error.code || 'UNKNOWN_ERROR'
+    });
   }
 });
 
-// 사용자별 퀘스트 기록 조회 (user_id로 조회)
-app.get('/api/users/:user_id/quests', async (req, res) => {
+// ==================== 직접 업로드 (Presigned URL) ====================
+// 파일은 클라이언트가 저장소에 직접 PUT하고, 서버는 URL 발급과 완료 후처리만 담당 (서버 메모리 사용 없음)
+
+const UPLOAD_INTENT_TTL = 15 * 60; // 업로드 URL 유효 시간 (초)
+
+// 업로드 URL 발급 (POST /api/uploads/intent)
+// body: { fileName, contentType, size, quest_id? } - Content-Type과 크기가 서명에 포함됨
+app.post('/api/uploads/intent', authenticate, requireSameUser, async (req, res) => {
   try {
-    let { user_id } = req.params;
+    const { contentType, size, quest_id } = req.body;
+    const fileName = sanitizeUploadFileName(req.body.fileName);
+    const errors = [];
     
-    // URL 디코딩 처리 (한글 user_id 지원)
-    try {
-      user_id = decodeURIComponent(user_id);
-    } catch (e) {
-      // 디코딩 실패 시 원본 사용
-      console.warn('Failed to decode user_id:', user_id);
+    if (!fileName) {
+      errors.push('fileName is required and cannot contain path segments (/, \\, ..)');
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > UPLOAD_MAX_SIZE) {
+      errors.push(`size must be an integer between 1 and ${UPLOAD_MAX_SIZE} bytes`);
     }
     
-    console.log(`[퀘스트 조회] user_id: ${user_id}`);
-    console.log(`[퀘스트 조회] user_id (hex): ${Buffer.from(user_id, 'utf8').toString('hex')}`);
-    
-    // 조회 전에 누락된 사진 미션 자동 동기화 (백그라운드로 실행, 실패해도 조회는 계속)
-    syncPhotoQuestsToScores().catch(err => {
-      console.warn('[퀘스트 조회] 사진 미션 자동 동기화 실패 (무시):', err.message);
-    });
-    
-    // quest_id를 기반으로 quests 테이블과 JOIN하여 city, town, village 가져오기
-    let [rows] = await pool.execute(
-      `SELECT 
-        uqs.id,
-        uqs.user_id,
-        uqs.quest_id,
-        uqs.answered_at as '문제 푼 시간',
-        COALESCE(q.city, uqs.city) as '시',
-        COALESCE(q.town, uqs.town) as '동',
-        COALESCE(q.village, uqs.village) as '리',
-        uqs.question as '푼 문제',
-        uqs.user_answer as '사용자가 제출한 정답',
-        uqs.correct_answer as '실제 정답',
-        uqs.score as '점수'
-       FROM user_quest_scores uqs
-       LEFT JOIN quests q ON uqs.quest_id = q.id
-       WHERE uqs.user_id = ?
-       ORDER BY uqs.answered_at DESC`,
-      [user_id]
-    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid upload intent', details: errors });
+    }
     
-    console.log(`[퀘스트 조회] 조회된 퀘스트 수: ${rows.length}개`);
+    // 완료 시 파일 내용(매직 바이트)이 이 형식과 같은지 다시 확인
+    if (!ALLOWED_UPLOAD_TYPES[contentType]) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        details: `허용 형식: ${Object.keys(ALLOWED_UPLOAD_TYPES).join(', ')}`
+      });
+    }
     
-    // 디버깅: 실제 DB 쿼리 결과 확인
-    if (rows.length === 0) {
-      console.warn(`[퀘스트 조회] 조회 결과가 0개입니다. 직접 쿼리로 확인합니다.`);
-      try {
-        const [debugRows] = await pool.execute(
-          `SELECT id, user_id, quest_id FROM user_quest_scores WHERE user_id = ? LIMIT 5`,
-          [user_id]
-        );
-        console.log(`[퀘스트 조회] 직접 쿼리 결과: ${debugRows.length}개`);
-        if (debugRows.length > 0) {
-          console.log(`[퀘스트 조회] 첫 번째 레코드:`, debugRows[0]);
-        }
-      } catch (debugError) {
-        console.error(`[퀘스트 조회] 디버깅 쿼리 실패:`, debugError.message);
-      }
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
     
-    // 디버깅: 조회된 퀘스트 정보 출력
-    if (rows.length > 0) {
-      console.log(`[퀘스트 조회] 첫 번째 퀘스트 샘플:`, {
-        id: rows[0].id,
-        quest_id: rows[0].quest_id,
-        user_id: rows[0].user_id,
-        question: rows[0]['푼 문제']?.substring(0, 50)
-      });
-    } else {
-      console.warn(`[퀘스트 조회] user_id '${user_id}'에 대한 퀘스트 기록이 없습니다.`);
-      
-      // 디버깅: user_quest_scores 테이블에 데이터가 있는지 확인
-      try {
-        const [allScores] = await pool.execute('SELECT COUNT(*) as count FROM user_quest_scores');
-        const [userScores] = await pool.execute('SELECT COUNT(*) as count FROM user_quest_scores WHERE user_id = ?', [user_id]);
-        console.log(`[퀘스트 조회] 디버깅 - 전체 기록 수: ${allScores[0].count}, ${user_id} 기록 수: ${userScores[0].count}`);
-      } catch (debugError) {
-        console.error('[퀘스트 조회] 디버깅 쿼리 실패:', debugError.message);
+    if (quest_id) {
+      const [questRows] = await pool.execute('SELECT id FROM quests WHERE id = ?', [quest_id]);
+      if (questRows.length === 0) {
+        return res.status(404).json({ error: `Quest not found with id: ${quest_id}` });
       }
     }
     
-    // 각 quest_id에 대해 user_upload_history에서 이미지 URL 조회
-    // 업로드된 이미지가 없으면 기본 이미지(seongsan0, seongsan1, seongsan2) 사용
-    const rowsWithImages = await Promise.all(
-      rows.map(async (row, index) => {
-        let imageUrl = null;
-        
-        // 1. 먼저 업로드된 이미지 조회 시도
-        if (row.quest_id) {
-          try {
-            // quest_id로 업로드 히스토리 조회 (quest_id 컬럼이 있으면 사용, 없으면 다른 방법)
-            const [uploadRows] = await pool.execute(
-              `SELECT file_url, file_key FROM user_upload_history 
-               WHERE user_id = ? AND quest_id = ? 
-               ORDER BY uploaded_at DESC LIMIT 1`,
-              [user_id, row.quest_id]
-            );
-            
-            if (uploadRows.length > 0) {
-              imageUrl = uploadRows[0].file_url;
-            }
-          } catch (uploadError) {
-            // quest_id 컬럼이 없을 수 있으므로 에러 무시하고 계속 진행
-            console.warn(`[퀘스트 조회] quest_id로 이미지 조회 실패 (quest_id 컬럼이 없을 수 있음): ${uploadError.message}`);
-            
-            // quest_id 없이 user_id만으로 조회 시도
-            try {
-              const [uploadRows] = await pool.execute(
-                `SELECT file_url, file_key FROM user_upload_history 
-                 WHERE user_id = ? 
-                 ORDER BY uploaded_at DESC LIMIT 1`,
-                [user_id]
-              );
-              
-              if (uploadRows.length > 0) {
-                imageUrl = uploadRows[0].file_url;
-              }
-            } catch (fallbackError) {
-              console.warn(`[퀘스트 조회] fallback 이미지 조회 실패: ${fallbackError.message}`);
-            }
-          }
-        }
-        
-        // 2. 업로드된 이미지가 없으면 기본 이미지 사용 (seongsan0, seongsan1, seongsan2)
-        if (!imageUrl && index < 3) {
-          imageUrl = await getSeongsanImageUrl(index);
-        }
-        
-        return {
-          ...row,
-          '업로드된 이미지 URL': imageUrl
-        };
-      })
-    );
+    const user_id = req.auth.user_id;
     
-    console.log(`[퀘스트 조회] 조회된 퀘스트 수: ${rows.length}개`);
+    // 발급 후 완료되지 않은 요청도 사용량에 포함 (URL을 여러 개 받아 한도를 우회하지 못하도록)
+    const quotaError = await checkUploadQuota(user_id, size);
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.body);
+    }
     
-    // 지역명을 한국어로 변환하고 이미지 URL 처리
-    const translatedRows = await Promise.all(
-      rowsWithImages.map(async (row) => {
-        // 업로드된 이미지 URL이 있으면 사용, 없으면 null
-        let imageUrl = row['업로드된 이미지 URL'] || null;
-        
-        // 업로드된 이미지가 있고 Presigned URL이 필요한 경우 (S3 private 버킷)
-        if (imageUrl && imageUrl.includes('s3.ap-northeast-2.amazonaws.com')) {
-          // file_key를 추출하여 Presigned URL 생성
-          try {
-            const fileKey = imageUrl.split('.s3.ap-northeast-2.amazonaws.com/')[1]?.split('?')[0];
-            if (fileKey) {
-              const command = new GetObjectCommand({
-                Bucket: S3_BUCKET_NAME,
-                Key: fileKey
-              });
-              imageUrl = await getSignedUrl(s3Client, command, { expiresIn: 300 });
-            }
-          } catch (urlError) {
-            console.warn(`[퀘스트 조회] Presigned URL 생성 실패: ${urlError.message}`);
-            // 실패해도 원본 URL 사용
-          }
-        }
-        
-        console.log(`[퀘스트 조회] quest_id ${row.quest_id}, 이미지 URL: ${imageUrl ? '있음' : '없음'}`);
-        
-        // 응답 객체 생성 (내부 필드 제거)
-        const responseRow = {
-          id: row.id,
-          user_id: row.user_id,
-          quest_id: row.quest_id,
-          '문제 푼 시간': row['문제 푼 시간'],
-          '시': translateRegionName(row['시'], 'city'),
-          '동': row['동'] ? translateRegionName(row['동'], 'town') : row['동'],
-          '리': row['리'] ? translateRegionName(row['리'], 'village') : row['리'],
-          '푼 문제': row['푼 문제'],
-          '사용자가 제출한 정답': row['사용자가 제출한 정답'],
-          '실제 정답': row['실제 정답'],
-          '점수': row['점수'],
-          '이미지 URL': imageUrl
-        };
-        
-        return responseRow;
-      })
+    const key = generateUploadKey(user_id, ALLOWED_UPLOAD_TYPES[contentType].extension);
+    
+    const [result] = await pool.execute(
+      `INSERT INTO upload_intents (user_id, quest_id, file_name, file_key, content_type, file_size, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [user_id, quest_id || null, fileName, key, contentType, size, UPLOAD_INTENT_TTL]
     );
     
-    console.log(`[퀘스트 조회] 최종 반환: ${translatedRows.length}개`);
-    res.json(translatedRows);
+    const signedUpload = await storage.getSignedUploadUrl(key, { contentType, contentLength: size, expiresIn: UPLOAD_INTENT_TTL });
+    console.log(`[직접 업로드] URL 발급 - intent_id: ${result.insertId}, user_id: ${user_id}, key: ${key}`);
+    
+    res.status(201).json({
+      id: result.insertId,
+      key,
+      upload: signedUpload, // { url, method: 'PUT', headers } - headers를 그대로 보내야 함
+      expiresIn: UPLOAD_INTENT_TTL,
+      completeEndpoint: `/api/uploads/${result.insertId}/complete`
+    });
   } catch (error) {
-    console.error('Error fetching user quests:', error);
+    console.error('Upload intent error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== 제주 버스 API 프록시 ====================
-
-// 제주 버스 도착 정보 조회 (GET /api/bus/arrival)
-app.get('/api/bus/arrival', async (req, res) => {
+// 업로드 완료 처리 (POST /api/uploads/:id/complete)
+// 저장소에 파일이 있는지 확인한 뒤 /api/s3/upload와 같은 후처리 (히스토리 저장, 사진 미션 검증/점수)
+app.post('/api/uploads/:id/complete', authenticate, async (req, res) => {
   try {
-    const { station_id } = req.query;
+    const { id } = req.params;
     
-    // 제주 버스 API 호출 (station_id가 있으면 쿼리 파라미터로 추가)
-    let busApiUrl = 'https://bus.jeju.go.kr/api/searchArrivalInfoList.do';
-    if (station_id) {
-      busApiUrl += `?station_id=${station_id}`;
+    const [intents] = await pool.execute(
+      'SELECT *, expires_at < NOW() as expired FROM upload_intents WHERE id = ?',
+      [id]
+    );
+    if (intents.length === 0) {
+      return res.status(404).json({ error: `Upload intent not found with id: ${id}` });
     }
     
-    // https 모듈을 사용하여 외부 API 호출 (SSL 인증서 문제 해결)
-    const https = require('https');
-    const { URL } = require('url');
+    const intent = intents[0];
+    if (intent.user_id !== req.auth.user_id) {
+      return res.status(403).json({ error: 'Forbidden: upload intent belongs to another user' });
+    }
+    if (intent.status === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed', uploadHistoryId: intent.upload_history_id });
+    }
+    if (intent.expired) {
+      return res.status(410).json({ error: 'Upload intent expired', details: '업로드 URL을 다시 발급받아주세요.' });
+    }
     
-    const parsedUrl = new URL(busApiUrl);
+    const object = await storage.headObject(intent.file_key);
+    if (!object) {
+      return res.status(409).json({ error: 'File not uploaded yet', key: intent.file_key });
+    }
+    if (Number(object.size) !== Number(intent.file_size)) {
+      return res.status(400).json({ error: 'Uploaded file size does not match', expected: Number(intent.file_size), actual: object.size });
+    }
     
-    const data = await new Promise((resolve, reject) => {
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Node.js)',
-          'Accept': 'application/json'
-        },
-        // SSL 인증서 검증 우회 (일부 외부 API에서 필요)
-        rejectUnauthorized: false
-      };
-      
-      const req = https.request(options, (response) => {
-        let responseData = '';
-        
-        response.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        
-        response.on('end', () => {
-          if (response.statusCode !== 200) {
-            reject(new Error(`HTTP ${response.statusCode}: ${responseData}`));
-            return;
-          }
-          
-          try {
-            const jsonData = JSON.parse(responseData);
-            resolve(jsonData);
-          } catch (e) {
-            reject(new Error('Failed to parse JSON: ' + e.message));
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        reject(new Error('Request failed: ' + error.message));
-      });
-      
-      req.setTimeout(10000, () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
+    // 업로드된 내용이 요청한 형식인지 매직 바이트로 확인 (다르면 파일 삭제)
+    const buffer = await storage.getObject(intent.file_key);
+    const detectedType = detectUploadType(buffer);
+    if (!detectedType || detectedType.mime !== intent.content_type) {
+      await storage.deleteObject(intent.file_key);
+      console.warn(`[직접 업로드] 형식 불일치로 삭제 - intent_id: ${id}, 요청: ${intent.content_type}, 실제: ${detectedType ? detectedType.mime : 'unknown'}`);
+      return res.status(415).json({
+        error: 'Uploaded file does not match contentType',
+        details: `허용 형식: ${Object.keys(ALLOWED_UPLOAD_TYPES).join(', ')}`
       });
-      
-      req.end();
-    });
-    
-    res.json({
-      success: true,
-      station_id: station_id || null,
-      data: data
-    });
-  } catch (error) {
-    console.error('Bus API proxy error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// ==================== AWS S3 API ====================
-
-// 퀘스트 이미지 업로드 (POST /api/quests/:id/image)
-// uploads 폴더에 저장: uploads/{quest_id}.{ext}
-app.post('/api/quests/:id/image', upload.single('image'), async (req, res) => {
-  try {
-    const { id } = req.params;
+    }
     
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file uploaded' });
+    // 동시에 완료 요청이 와도 한 번만 처리
+    const [claimed] = await pool.execute(
+      "UPDATE upload_intents SET status = 'completed', completed_at = NOW() WHERE id = ? AND status = 'pending'",
+      [id]
+    );
+    if (claimed.affectedRows === 0) {
+      return res.status(409).json({ error: 'Upload already completed' });
     }
-
-    if (!S3_BUCKET_NAME) {
-      return res.status(500).json({ error: 'S3 bucket not configured' });
+    
+    let processed;
+    try {
+      processed = await processUploadedFile({
+        user_id: intent.user_id,
+        quest_id: intent.quest_id,
+        fileName: intent.file_name,
+        key: intent.file_key,
+        buffer,
+        size: Number(intent.file_size),
+        contentType: intent.content_type
+      });
+    } catch (processError) {
+      // 후처리 실패 시 다시 완료 요청할 수 있도록 되돌림
+      await pool.execute("UPDATE upload_intents SET status = 'pending', completed_at = NULL WHERE id = ?", [id]);
+      throw processError;
     }
-
-    // 파일 확장자 추출
-    const originalName = req.file.originalname;
-    const fileExtension = originalName.split('.').pop().toLowerCase() || 'jpg';
     
-    // uploads 폴더에 저장: uploads/{quest_id}.{ext}
-    const imageKey = `uploads/${id}.${fileExtension}`;
-
-    const command = new PutObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: imageKey,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype
-    });
-
-    await s3Client.send(command);
-
-    // S3 URL 생성 (리전별 엔드포인트)
-    const region = process.env.AWS_REGION || 'ap-northeast-2';
-    const fileUrl = `https://${S3_BUCKET_NAME}.s3.${region}.amazonaws.com/${imageKey}`;
-
+    await pool.execute('UPDATE upload_intents SET upload_history_id = ? WHERE id = ?', [processed.historyId, id]);
+    console.log(`[직접 업로드] 완료 - intent_id: ${id}, user_id: ${intent.user_id}, key: ${intent.file_key}`);
+    
     res.json({
       success: true,
-      questId: id,
-      imageKey: imageKey,
-      url: fileUrl,
-      size: req.file.size
+      id: Number(id),
+      user_id: intent.user_id,
+      quest_id: intent.quest_id,
+      fileName: intent.file_name,
+      key: intent.file_key,
+      url: processed.fileUrl,
+      size: Number(intent.file_size),
+      variants: await toVariantResponse(processed.variantKeys),
+      verification: processed.verification,
+      moderation: processed.moderation,
+      scoreBreakdown: processed.scoreBreakdown,
+      unlockedAchievements: processed.unlockedAchievements
     });
   } catch (error) {
-    console.error('Quest image upload error:', error);
+    console.error('Upload complete error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Multer 에러 핸들러 미들웨어
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    console.error(`[Multer 에러] ${err.code}:`, err.message);
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ 
-        error: 'File too large',
-        details: '파일 크기는 10MB를 초과할 수 없습니다.',
-        maxSize: '10MB'
-      });
-    }
-    return res.status(400).json({ 
-      error: 'File upload error',
-      details: err.message,
-      code: err.code
-    });
-  }
-  if (err) {
-    console.error(`[업로드 에러]`, err);
-    return res.status(500).json({ 
-      error: 'Upload failed',
-      details: err.message
-    });
-  }
-  next();
+// ==================== 업로드 할당량 ====================
+
+// 사용자별 업로드 제한 (0이면 제한 없음) - 하루 기준은 한국 시간 0시
+const UPLOAD_QUOTA = {
+  dailyFiles: Number(process.env.UPLOAD_QUOTA_DAILY_FILES ?? 50),
+  dailyBytes: Number(process.env.UPLOAD_QUOTA_DAILY_BYTES ?? 200 * 1024 * 1024),
+  totalFiles: Number(process.env.UPLOAD_QUOTA_TOTAL_FILES ?? 1000),
+  totalBytes: Number(process.env.UPLOAD_QUOTA_TOTAL_BYTES ?? 1024 * 1024 * 1024)
 };
 
-// 파일 업로드 (POST /api/s3/upload)
-// user_id를 받아서 사용자별 업로드 히스토리 저장
-app.post('/api/s3/upload', upload.single('file'), handleMulterError, async (req, res) => {
-  console.log(`[S3 업로드] ========== 요청 시작 ==========`);
-  console.log(`[S3 업로드] 요청 URL: ${req.url}`);
-  console.log(`[S3 업로드] 요청 Method: ${req.method}`);
-  console.log(`[S3 업로드] 요청 Headers:`, {
-    'content-type': req.headers['content-type'],
-    'content-length': req.headers['content-length']
-  });
-  console.log(`[S3 업로드] 요청 Body (user_id, quest_id, fileName, folder):`, {
-    user_id: req.body.user_id,
-    quest_id: req.body.quest_id,
-    fileName: req.body.fileName,
-    folder: req.body.folder
-  });
-  console.log(`[S3 업로드] 파일 정보:`, {
-    file: req.file ? {
-      fieldname: req.file.fieldname,
-      originalname: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size
-    } : '없음'
-  });
+// 사용자 업로드 사용량 (user_upload_history.file_size 기준 + 아직 완료되지 않은 직접 업로드 요청)
+async function getUploadUsage(user_id) {
+  const dayStart = getLeaderboardWindowStart('daily');
+  const [rows] = await pool.execute(
+    `SELECT 
+      COUNT(*) as total_files,
+      COALESCE(SUM(file_size), 0) as total_bytes,
+      COALESCE(SUM(uploaded_at >= ?), 0) as daily_files,
+      COALESCE(SUM(CASE WHEN uploaded_at >= ? THEN file_size ELSE 0 END), 0) as daily_bytes
+     FROM (
+       SELECT file_size, uploaded_at FROM user_upload_history WHERE user_id = ?
+       UNION ALL
+       SELECT file_size, created_at FROM upload_intents WHERE user_id = ? AND status = 'pending' AND expires_at >= NOW()
+     ) uploads`,
+    [dayStart, dayStart, user_id, user_id]
+  );
   
-  try {
-    if (!req.file) {
-      console.error(`[S3 업로드] 파일이 없음 - 요청 body:`, req.body);
-      console.error(`[S3 업로드] 요청 files:`, req.files);
-      return res.status(400).json({ 
-        error: 'No file uploaded',
-        details: '파일이 요청에 포함되지 않았습니다. multipart/form-data 형식으로 "file" 필드에 파일을 첨부해주세요.',
-        receivedBody: Object.keys(req.body),
-        receivedFiles: req.files ? Object.keys(req.files) : 'none'
-      });
-    }
-
-    if (!S3_BUCKET_NAME) {
-      console.error(`[S3 업로드] S3 버킷이 설정되지 않음`);
-      return res.status(500).json({ error: 'S3 bucket not configured' });
-    }
+  return {
+    daily: { files: Number(rows[0].daily_files), bytes: Number(rows[0].daily_bytes) },
+    total: { files: Number(rows[0].total_files), bytes: Number(rows[0].total_bytes) },
+    resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+  };
+}
 
-    const user_id = req.body.user_id;
-    if (!user_id) {
-      console.error(`[S3 업로드] user_id가 없음 - 요청 body:`, req.body);
-      return res.status(400).json({ 
-        error: 'user_id is required',
-        details: '요청 body에 user_id를 포함해주세요.',
-        receivedBody: req.body
-      });
+// 새 업로드(size bytes)가 할당량 안인지 확인 - 초과하면 { status, body } (파일 수 초과 429, 용량 초과 413), 아니면 null
+async function checkUploadQuota(user_id, size) {
+  const usage = await getUploadUsage(user_id);
+  const checks = [
+    { limit: UPLOAD_QUOTA.dailyFiles, used: usage.daily.files, add: 1, status: 429, code: 'daily_file_limit' },
+    { limit: UPLOAD_QUOTA.totalFiles, used: usage.total.files, add: 1, status: 429, code: 'total_file_limit' },
+    { limit: UPLOAD_QUOTA.dailyBytes, used: usage.daily.bytes, add: size, status: 413, code: 'daily_byte_limit' },
+    { limit: UPLOAD_QUOTA.totalBytes, used: usage.total.bytes, add: size, status: 413, code: 'total_byte_limit' }
+  ];
+  
+  const exceeded = checks.find(check => check.limit > 0 && check.used + check.add > check.limit);
+  if (!exceeded) return null;
+  
+  console.warn(`[업로드 할당량] 초과 - user_id: ${user_id}, ${exceeded.code} (${exceeded.used} + ${exceeded.add} > ${exceeded.limit})`);
+  return {
+    status: exceeded.status,
+    body: {
+      error: 'Upload quota exceeded',
+      code: exceeded.code,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      resetsAt: exceeded.code.startsWith('daily') ? usage.resetsAt : null, // 누적 한도는 기존 업로드를 삭제해야 회복
+      details: '업로드 한도를 초과했습니다. GET /api/users/:user_id/storage에서 사용량을 확인하세요.'
     }
+  };
+}
 
-    const quest_id = req.body.quest_id; // quest_id 받기 (선택사항)
-
-    const fileName = req.body.fileName || `${Date.now()}-${req.file.originalname}`;
-    const folder = req.body.folder || 'uploads';
-
-    const key = `${folder}/${fileName}`;
-
-    const command = new PutObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: key,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype
-      // ACL은 버킷 정책으로 관리하는 것이 권장됨
-      // ACL: 'public-read' // 일부 리전에서는 ACL이 비활성화될 수 있음
+// 업로드 사용량 조회 (GET /api/users/:user_id/storage)
+app.get('/api/users/:user_id/storage', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const usage = await getUploadUsage(req.auth.user_id);
+    const remaining = (limit, used) => (limit > 0 ? Math.max(limit - used, 0) : null); // null: 제한 없음
+    
+    res.json({
+      user_id: req.auth.user_id,
+      daily: {
+        files: { used: usage.daily.files, limit: UPLOAD_QUOTA.dailyFiles || null, remaining: remaining(UPLOAD_QUOTA.dailyFiles, usage.daily.files) },
+        bytes: { used: usage.daily.bytes, limit: UPLOAD_QUOTA.dailyBytes || null, remaining: remaining(UPLOAD_QUOTA.dailyBytes, usage.daily.bytes) },
+        resetsAt: usage.resetsAt
+      },
+      total: {
+        files: { used: usage.total.files, limit: UPLOAD_QUOTA.totalFiles || null, remaining: remaining(UPLOAD_QUOTA.totalFiles, usage.total.files) },
+        bytes: { used: usage.total.bytes, limit: UPLOAD_QUOTA.totalBytes || null, remaining: remaining(UPLOAD_QUOTA.totalBytes, usage.total.bytes) }
+      }
     });
+  } catch (error) {
+    console.error('Storage usage fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await s3Client.send(command);
+// ==================== 업로드 관리 (업로드 ID 기준) ====================
 
-    // S3 URL 생성 (리전별 엔드포인트)
-    const region = process.env.AWS_REGION || 'ap-northeast-2';
-    const fileUrl = `https://${S3_BUCKET_NAME}.s3.${region}.amazonaws.com/${key}`;
+// 기본 이미지(uploads/seongsan0~2.jpeg)는 여러 기록에서 공유하므로 저장소에서 삭제하지 않음
+function isSharedImageKey(key) {
+  return /^uploads\/seongsan\d+\.jpeg$/.test(key);
+}
 
-    // 사용자별 업로드 히스토리 저장
-    try {
-      // 히스토리 저장 (quest_id 포함)
-      await pool.execute(
-        `INSERT INTO user_upload_history 
-         (user_id, quest_id, file_name, file_key, file_url, file_size, content_type) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [user_id, quest_id || null, fileName, key, fileUrl, req.file.size, req.file.mimetype]
-      );
+// 사진 미션 점수 회수 (트랜잭션 connection 사용) - 같은 미션의 다른 승인된 업로드가 남아 있으면 유지
+// 반환값: 회수한 점수 { questId, score } 또는 null
+async function revokePhotoQuestScore(connection, user_id, quest_id) {
+  const [remaining] = await connection.execute(
+    `SELECT COUNT(*) as count FROM user_upload_history 
+     WHERE user_id = ? AND quest_id = ? AND moderation_status = 'approved'`,
+    [user_id, quest_id]
+  );
+  if (Number(remaining[0].count) > 0) return null;
+  
+  const [scores] = await connection.execute(
+    `SELECT uqs.id, uqs.score FROM user_quest_scores uqs
+     JOIN quests q ON q.id = uqs.quest_id
+     WHERE uqs.user_id = ? AND uqs.quest_id = ? AND q.quest_type = 'photo'
+     FOR UPDATE`,
+    [user_id, quest_id]
+  );
+  if (scores.length === 0) return null;
+  
+  await connection.execute('DELETE FROM user_quest_scores WHERE id = ?', [scores[0].id]);
+  return { questId: quest_id, score: scores[0].score };
+}
 
-      console.log(`[업로드 히스토리] user_id: ${user_id}, quest_id: ${quest_id || 'N/A'}, file: ${fileName} 저장 완료`);
-    } catch (historyError) {
-      // 히스토리 저장 실패해도 업로드는 성공으로 처리
-      console.error('[업로드 히스토리 저장 실패]:', historyError.message, historyError.stack);
+// 업로드 삭제 - 히스토리 행 삭제와 사진 미션 점수 회수(revokeScore)를 한 트랜잭션으로 처리한 뒤 저장소 파일 삭제
+// 같은 미션의 다른 승인된 업로드가 남아 있으면 점수는 유지
+// 반환값: { deletedKeys, revokedScore }
+async function deleteUpload(uploadRow, { revokeScore }) {
+  let revokedScore = null;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute('DELETE FROM user_upload_history WHERE id = ?', [uploadRow.id]);
+    
+    if (revokeScore && uploadRow.quest_id) {
+      revokedScore = await revokePhotoQuestScore(connection, uploadRow.user_id, uploadRow.quest_id);
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  // 커밋 후 저장소 파일 삭제 (실패해도 기록은 이미 삭제됨 - 로그만 남김)
+  const deletedKeys = [];
+  for (const key of [uploadRow.file_key, uploadRow.thumbnail_key, uploadRow.medium_key].filter(Boolean)) {
+    if (isSharedImageKey(key)) continue;
+    try {
+      await storage.deleteObject(key);
+      deletedKeys.push(key);
+    } catch (storageError) {
+      console.error(`[업로드 삭제] 저장소 파일 삭제 실패 (key: ${key}):`, storageError.message);
     }
+  }
+  
+  console.log(`[업로드 삭제] upload_id: ${uploadRow.id}, user_id: ${uploadRow.user_id}, 점수 회수: ${revokedScore ? revokedScore.score : '없음'}`);
+  return { deletedKeys, revokedScore };
+}
 
-    // 사진 미션인 경우 user_quest_scores에도 저장
-    if (quest_id) {
-      try {
-        // quest 정보 조회 (사진 미션인지 확인)
-        const [questRows] = await pool.execute(
-          'SELECT * FROM quests WHERE id = ?',
-          [quest_id]
-        );
+// 호출자의 업로드 조회 - 없으면 404, 다른 사용자의 업로드면 403 응답 후 null
+async function findOwnedUpload(req, res) {
+  const [rows] = await pool.execute('SELECT * FROM user_upload_history WHERE id = ?', [req.params.id]);
+  if (rows.length === 0) {
+    res.status(404).json({ error: `Upload not found with id: ${req.params.id}` });
+    return null;
+  }
+  if (rows[0].user_id !== req.auth.user_id) {
+    res.status(403).json({ error: 'Forbidden: upload belongs to another user' });
+    return null;
+  }
+  return rows[0];
+}
 
-        if (questRows.length > 0) {
-          const quest = questRows[0];
-          const isPhotoQuest = quest.option_a === '사진 미션';
-
-          if (isPhotoQuest) {
-            // 사진 미션인 경우 user_quest_scores에 기록
-            // 사진 미션은 완료 시 자동으로 정답 처리 (1점)
-            // user_answer는 CHAR(1)이므로 'PHOTO' 대신 'A' 사용
-            const [result] = await pool.execute(
-              `INSERT INTO user_quest_scores 
-               (user_id, quest_id, city, town, village, question, user_answer, correct_answer, score, answered_at)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-               ON DUPLICATE KEY UPDATE 
-                 answered_at = NOW()`, // 중복 시 최신 업로드 시간으로 업데이트
-              [
-                user_id,
-                quest_id,
-                quest.city,
-                quest.town,
-                quest.village,
-                quest.question,
-                'A', // 사진 미션 완료는 'A'로 표시 (CHAR(1) 제약)
-                'A', // 사진 미션은 항상 정답
-                1 // 사진 미션 완료 시 1점
-              ]
-            );
-
-            if (result.affectedRows > 0) {
-              // MySQL의 ON DUPLICATE KEY UPDATE:
-              // - 새 레코드: affectedRows = 1, insertId > 0
-              // - 업데이트: affectedRows = 2 (MySQL 5.7+) 또는 1 (MySQL 8.0+), insertId = 0
-              if (result.insertId && result.insertId > 0) {
-                console.log(`[사진 미션 기록] user_id: ${user_id}, quest_id: ${quest_id} 저장 완료 (새 레코드, insertId: ${result.insertId})`);
-              } else {
-                console.log(`[사진 미션 기록] user_id: ${user_id}, quest_id: ${quest_id} 업데이트 완료 (answered_at 갱신, affectedRows: ${result.affectedRows})`);
-              }
-            } else {
-              console.warn(`[사진 미션 기록] user_id: ${user_id}, quest_id: ${quest_id} 저장 실패 (affectedRows: 0)`);
-            }
-          }
-        }
-      } catch (scoreError) {
-        // 사진 미션 기록 저장 실패해도 업로드는 성공으로 처리
-        console.error('[사진 미션 기록 저장 실패]:', scoreError.message, scoreError.stack);
-      }
-    }
+// 업로드 다운로드 URL (GET /api/uploads/:id/download) - 본인 업로드만
+app.get('/api/uploads/:id/download', authenticate, async (req, res) => {
+  try {
+    const uploadRow = await findOwnedUpload(req, res);
+    if (!uploadRow) return;
+    
+    res.json({
+      id: uploadRow.id,
+      fileName: uploadRow.file_name,
+      url: await storage.getSignedDownloadUrl(uploadRow.file_key, 3600), // 1시간 유효
+      expiresIn: 3600,
+      variants: await toVariantResponse({ thumbnail: uploadRow.thumbnail_key, medium: uploadRow.medium_key })
+    });
+  } catch (error) {
+    console.error('Upload download URL error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`[S3 업로드] 업로드 성공 - user_id: ${user_id}, quest_id: ${quest_id || 'N/A'}, file: ${fileName}, url: ${fileUrl}`);
+// 업로드 삭제 (DELETE /api/uploads/:id) - 본인 업로드만
+// ?revokeScore=true: 이 사진으로 받은 사진 미션 점수도 함께 회수
+app.delete('/api/uploads/:id', authenticate, async (req, res) => {
+  try {
+    const uploadRow = await findOwnedUpload(req, res);
+    if (!uploadRow) return;
+    
+    const { deletedKeys, revokedScore } = await deleteUpload(uploadRow, { revokeScore: req.query.revokeScore === 'true' });
     
     res.json({
       success: true,
-      user_id: user_id,
-      quest_id: quest_id || null,
-      fileName: fileName,
-      key: key,
-      url: fileUrl,
-      size: req.file.size
+      id: uploadRow.id,
+      deletedKeys,
+      revokedScore // { questId, score } 또는 null
     });
   } catch (error) {
-    console.error('[S3 업로드] 에러 발생:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code
-    });
-    res.status(500).json({ 
-      error: error.message,
-      details: 'S3 업로드 중 오류가 발생했습니다.',
-      code: error.code || 'UNKNOWN_ERROR'
-    });
+    console.error('Upload delete error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// 사용자별 업로드 히스토리 조회 (GET /api/s3/upload/history/:user_id)
-app.get('/api/s3/upload/history/:user_id', async (req, res) => {
+// 사용자별 업로드 히스토리 조회 (GET /api/s3/upload/history/:user_id) - 본인만 조회 가능 (Presigned 이미지 URL 포함)
+app.get('/api/s3/upload/history/:user_id', authenticate, requireSameUser, async (req, res) => {
   try {
     const { user_id } = req.params;
     
@@ -1290,21 +3836,35 @@ app.get('/api/s3/upload/history/:user_id', async (req, res) => {
         user_id,
         file_name,
         file_key,
+        thumbnail_key,
+        medium_key,
         file_url,
         file_size,
         content_type,
-        uploaded_at
+        uploaded_at,
+        quest_id,
+        verification_status,
+        moderation_status,
+        moderation_note,
+        moderated_at
        FROM user_upload_history
        WHERE user_id = ?
        ORDER BY uploaded_at DESC`,
       [user_id]
     );
 
+    // 목록에는 작은 변형의 Presigned URL 포함 (변형이 없으면 null)
+    const history = await Promise.all(rows.map(async row => ({
+      ...row,
+      thumbnailUrl: await getPresignedImageUrl(row.thumbnail_key),
+      mediumUrl: await getPresignedImageUrl(row.medium_key)
+    })));
+
     res.json({
       success: true,
       user_id: user_id,
-      count: rows.length,
-      history: rows
+      count: history.length,
+      history
     });
   } catch (error) {
     console.error('Upload history fetch error:', error);
@@ -1312,23 +3872,28 @@ app.get('/api/s3/upload/history/:user_id', async (req, res) => {
   }
 });
 
-// 파일 다운로드 URL 생성 (GET /api/s3/download/:key)
-app.get('/api/s3/download/:key(*)', async (req, res) => {
+// 파일 다운로드 URL 생성 (GET /api/s3/download/:key) - 이전 클라이언트 호환용
+// 호출자의 업로드(원본 또는 변형 키)만 허용, 새 클라이언트는 GET /api/uploads/:id/download 사용
+app.get('/api/s3/download/:key(*)', authenticate, async (req, res) => {
   try {
     const key = req.params.key;
 
-    if (!S3_BUCKET_NAME) {
-      return res.status(500).json({ error: 'S3 bucket not configured' });
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
 
-    // Presigned URL 생성 (임시 다운로드 URL)
-    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-    const command = new GetObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: key
-    });
+    const [rows] = await pool.execute(
+      `SELECT id FROM user_upload_history 
+       WHERE user_id = ? AND (file_key = ? OR thumbnail_key = ? OR medium_key = ?) 
+       LIMIT 1`,
+      [req.auth.user_id, key, key, key]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Upload not found', key });
+    }
 
-    const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 }); // 1시간 유효
+    // Presigned URL 생성 (임시 다운로드 URL)
+    const url = await storage.getSignedDownloadUrl(key, 3600); // 1시간 유효
 
     res.json({
       url: url,
@@ -1340,26 +3905,34 @@ app.get('/api/s3/download/:key(*)', async (req, res) => {
   }
 });
 
-// 파일 삭제 (DELETE /api/s3/delete/:key)
-app.delete('/api/s3/delete/:key(*)', async (req, res) => {
+// 파일 삭제 (DELETE /api/s3/delete/:key) - 관리자 전용
+// 업로드 히스토리에 기록된 파일이면 DELETE /api/uploads/:id와 같이 기록까지 삭제 (?revokeScore=true: 사진 미션 점수 회수)
+app.delete('/api/s3/delete/:key(*)', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const key = req.params.key;
 
-    if (!S3_BUCKET_NAME) {
-      return res.status(500).json({ error: 'S3 bucket not configured' });
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
 
-    const command = new DeleteObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: key
-    });
+    const [uploads] = await pool.execute('SELECT * FROM user_upload_history WHERE file_key = ?', [key]);
+    if (uploads.length === 0) {
+      // 기록이 없는 파일 (예: 퀘스트 이미지)은 저장소에서만 삭제
+      await storage.deleteObject(key);
+      return res.json({ success: true, message: 'File deleted successfully', key, deletedUploads: [] });
+    }
 
-    await s3Client.send(command);
+    const deletedUploads = [];
+    for (const uploadRow of uploads) {
+      deletedUploads.push({ id: uploadRow.id, ...(await deleteUpload(uploadRow, { revokeScore: req.query.revokeScore === 'true' })) });
+    }
+    console.log(`[업로드 삭제] 관리자 삭제 - key: ${key}, 관리자: ${req.auth.user_id}`);
 
     res.json({
       success: true,
       message: 'File deleted successfully',
-      key: key
+      key: key,
+      deletedUploads
     });
   } catch (error) {
     console.error('S3 delete error:', error);
@@ -1367,27 +3940,22 @@ app.delete('/api/s3/delete/:key(*)', async (req, res) => {
   }
 });
 
-// S3 uploads 폴더의 파일 목록 조회 (디버깅용)
-app.get('/api/s3/debug/uploads', async (req, res) => {
+// S3 uploads 폴더의 파일 목록 조회 (디버깅용) - 관리자 전용
+app.get('/api/s3/debug/uploads', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    if (!S3_BUCKET_NAME) {
-      return res.status(500).json({ error: 'S3 bucket not configured' });
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
 
-    const command = new ListObjectsV2Command({
-      Bucket: S3_BUCKET_NAME,
-      Prefix: 'uploads/' // uploads 폴더의 모든 파일 조회
-    });
-
-    const response = await s3Client.send(command);
+    const objects = await storage.listObjects('uploads/'); // uploads 폴더의 모든 파일 조회
     
-    const files = (response.Contents || []).map(item => ({
-      key: item.Key,
-      size: item.Size,
-      lastModified: item.LastModified,
-      urlEncoded: encodeURIComponent(item.Key),
+    const files = objects.map(item => ({
+      key: item.key,
+      size: item.size,
+      lastModified: item.lastModified,
+      urlEncoded: encodeURIComponent(item.key),
       // 성산으로 시작하는 파일만 필터링
-      isSeongsan: item.Key.includes('성산')
+      isSeongsan: item.key.includes('성산')
     }));
 
     // 성산으로 시작하는 파일만 필터링
@@ -1408,83 +3976,214 @@ app.get('/api/s3/debug/uploads', async (req, res) => {
   }
 });
 
-// 업로드 히스토리 테이블 초기화 함수
-async function initializeUploadHistoryTable() {
-  try {
-    await pool.execute(`
-      CREATE TABLE IF NOT EXISTS user_upload_history (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id VARCHAR(50) NOT NULL COMMENT '사용자 ID',
-        quest_id INT COMMENT '퀘스트 ID (사진 미션인 경우)',
-        file_name VARCHAR(255) NOT NULL COMMENT '파일명',
-        file_key VARCHAR(500) NOT NULL COMMENT 'S3 파일 키 (경로 포함)',
-        file_url TEXT NOT NULL COMMENT 'S3 파일 URL',
-        file_size BIGINT NOT NULL COMMENT '파일 크기 (bytes)',
-        content_type VARCHAR(100) COMMENT '파일 타입 (MIME type)',
-        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '업로드 시간',
-        INDEX idx_user_id (user_id),
-        INDEX idx_quest_id (quest_id),
-        INDEX idx_uploaded_at (uploaded_at)
-      ) COMMENT='사용자별 파일 업로드 히스토리'
-    `);
-    
-    // 기존 테이블에 quest_id 컬럼 추가 (컬럼 존재 여부 확인 후 추가)
-    try {
-      // 컬럼 존재 여부 확인
-      const [columns] = await pool.execute(`
-        SELECT COLUMN_NAME 
-        FROM INFORMATION_SCHEMA.COLUMNS 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'user_upload_history' 
-        AND COLUMN_NAME = 'quest_id'
-      `);
-      
-      if (columns.length === 0) {
-        // 컬럼이 없으면 추가
-        await pool.execute(`
-          ALTER TABLE user_upload_history 
-          ADD COLUMN quest_id INT COMMENT '퀘스트 ID (사진 미션인 경우)'
-        `);
-        console.log('[초기화] quest_id 컬럼 추가 완료');
-      } else {
-        console.log('[초기화] quest_id 컬럼 이미 존재함');
-      }
-      
-      // 인덱스 존재 여부 확인
-      const [indexes] = await pool.execute(`
-        SELECT INDEX_NAME 
-        FROM INFORMATION_SCHEMA.STATISTICS 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'user_upload_history' 
-        AND INDEX_NAME = 'idx_quest_id'
-      `);
-      
-      if (indexes.length === 0) {
-        // 인덱스가 없으면 추가
-        await pool.execute(`
-          ALTER TABLE user_upload_history 
-          ADD INDEX idx_quest_id (quest_id)
-        `);
-        console.log('[초기화] idx_quest_id 인덱스 추가 완료');
-      } else {
-        console.log('[초기화] idx_quest_id 인덱스 이미 존재함');
+// ==================== 사진 미션 심사 (관리자) ====================
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// 심사 목록 항목 (이미지는 Presigned URL, 변형이 있으면 중간 크기 사용)
+// forAdmin이 false면 플레이어용 - 심사자 ID 제외
+async function toPhotoSubmissionResponse(row, { forAdmin = true } = {}) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    quest: {
+      id: row.quest_id,
+      question: row.question,
+      region: { city: row.city, town: row.town, village: row.village },
+      location: row.latitude !== null ? { lat: Number(row.latitude), lng: Number(row.longitude), radius: row.radius_m || QUEST_ARRIVAL_RADIUS_M } : null
+    },
+    uploadedAt: row.uploaded_at,
+    imageUrl: await getPresignedImageUrl(row.medium_key || row.file_key),
+    thumbnailUrl: await getPresignedImageUrl(row.thumbnail_key),
+    verification: {
+      status: row.verification_status,
+      reasons: row.verification_reason ? row.verification_reason.split(',') : [],
+      exif: {
+        takenAt: row.exif_taken_at,
+        lat: row.exif_latitude !== null ? Number(row.exif_latitude) : null,
+        lng: row.exif_longitude !== null ? Number(row.exif_longitude) : null
       }
-    } catch (alterError) {
-      console.warn('[초기화] quest_id 컬럼/인덱스 추가 중 경고:', alterError.message);
+    },
+    moderation: {
+      status: row.moderation_status,
+      note: row.moderation_note,
+      ...(forAdmin ? { moderatedBy: row.moderated_by } : {}),
+      moderatedAt: row.moderated_at
+    }
+  };
+}
+
+// 내 사진 미션 제출과 심사 상태 (GET /api/users/:user_id/photo-submissions?status=pending|approved|rejected) - 최근 제출부터
+app.get('/api/users/:user_id/photo-submissions', authenticate, requireSameUser, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+    
+    let where = 'WHERE uuh.user_id = ? AND uuh.moderation_status IS NOT NULL';
+    const params = [req.auth.user_id];
+    if (status) {
+      where += ' AND uuh.moderation_status = ?';
+      params.push(status);
+    }
+    
+    const [rows] = await pool.execute(
+      `SELECT uuh.*, q.question, q.city, q.town, q.village, q.latitude, q.longitude, q.radius_m
+       FROM user_upload_history uuh
+       INNER JOIN quests q ON q.id = uuh.quest_id
+       ${where}
+       ORDER BY uuh.uploaded_at DESC, uuh.id DESC`,
+      params
+    );
+    
+    const submissions = await Promise.all(rows.map(row => toPhotoSubmissionResponse(row, { forAdmin: false })));
+    res.json({
+      user_id: req.auth.user_id,
+      count: submissions.length,
+      pendingCount: submissions.filter(submission => submission.moderation.status === 'pending').length,
+      submissions
+    });
+  } catch (error) {
+    console.error('Error fetching photo submissions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사진 미션 제출 목록 (GET /api/admin/photo-submissions?status=pending&quest_id=&user_id=&limit=&offset=)
+// status: pending(기본값) | approved | rejected | all - 오래된 제출부터
+app.get('/api/admin/photo-submissions', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${[...MODERATION_STATUSES, 'all'].join(', ')}` });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    let where = 'WHERE uuh.moderation_status IS NOT NULL';
+    const params = [];
+    if (status !== 'all') {
+      where += ' AND uuh.moderation_status = ?';
+      params.push(status);
+    }
+    if (req.query.quest_id) {
+      where += ' AND uuh.quest_id = ?';
+      params.push(req.query.quest_id);
+    }
+    if (req.query.user_id) {
+      where += ' AND uuh.user_id = ?';
+      params.push(req.query.user_id);
+    }
+    
+    const [rows] = await pool.query(
+      `SELECT uuh.*, q.question, q.city, q.town, q.village, q.latitude, q.longitude, q.radius_m
+       FROM user_upload_history uuh
+       INNER JOIN quests q ON q.id = uuh.quest_id
+       ${where}
+       ORDER BY uuh.uploaded_at ASC, uuh.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [counts] = await pool.query(
+      'SELECT moderation_status, COUNT(*) as count FROM user_upload_history WHERE moderation_status IS NOT NULL GROUP BY moderation_status'
+    );
+    
+    res.json({
+      status,
+      limit,
+      offset,
+      counts: Object.fromEntries(MODERATION_STATUSES.map(s => [s, Number((counts.find(c => c.moderation_status === s) || {}).count || 0)])),
+      submissions: await Promise.all(rows.map(toPhotoSubmissionResponse))
+    });
+  } catch (error) {
+    console.error('Photo submissions fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 사진 미션 심사 (승인: 점수 기록, 반려: 점수 회수) - 이미 결정된 제출도 다시 결정 가능
+// body: { note? } - 사용자 업로드 히스토리에 표시되는 메모 (반려 사유 등)
+async function moderatePhotoSubmission(req, res, decision) {
+  const { id } = req.params;
+  const note = req.body && req.body.note !== undefined && req.body.note !== null ? String(req.body.note).trim().slice(0, 500) : null;
+  
+  let connection = null;
+  let submission;
+  let revokedScore = null;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    const [rows] = /^\d+$/.test(id)
+      ? await connection.execute('SELECT * FROM user_upload_history WHERE id = ? AND moderation_status IS NOT NULL FOR UPDATE', [id])
+      : [[]];
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Photo submission not found' });
+    }
+    
+    submission = rows[0];
+    if (submission.moderation_status === decision) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Photo submission is already ${decision}` });
+    }
+    
+    await connection.execute(
+      'UPDATE user_upload_history SET moderation_status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW() WHERE id = ?',
+      [decision, note, req.auth.user_id, submission.id]
+    );
+    
+    // 반려 - 같은 트랜잭션에서 점수 회수 (다른 승인된 제출이 있으면 유지)
+    if (decision === 'rejected') {
+      revokedScore = await revokePhotoQuestScore(connection, submission.user_id, submission.quest_id);
     }
     
-    console.log('[초기화] user_upload_history 테이블 생성 완료');
+    await connection.commit();
   } catch (error) {
-    console.error('[초기화] user_upload_history 테이블 생성 실패:', error.message);
+    if (connection) await connection.rollback().catch(() => {});
+    console.error('Photo moderation error:', error);
+    return res.status(500).json({ error: error.message });
+  } finally {
+    if (connection) connection.release();
   }
+  
+  // 승인 - 점수 규칙(다른 기록 조회)을 적용하므로 커밋 후 기록, 실패하면 이전 상태로 되돌림
+  let granted = { scoreBreakdown: null, unlockedAchievements: [] };
+  if (decision === 'approved') {
+    try {
+      const [questRows] = await pool.execute('SELECT * FROM quests WHERE id = ?', [submission.quest_id]);
+      granted = await grantPhotoQuestScore(submission.user_id, questRows[0]);
+    } catch (scoreError) {
+      console.error('[사진 미션 심사] 점수 기록 실패 - 심사 상태 되돌림:', scoreError.message);
+      await pool.execute(
+        'UPDATE user_upload_history SET moderation_status = ?, moderation_note = ?, moderated_by = ?, moderated_at = ? WHERE id = ?',
+        [submission.moderation_status, submission.moderation_note, submission.moderated_by, submission.moderated_at, submission.id]
+      );
+      return res.status(500).json({ error: 'Failed to record score', details: scoreError.message });
+    }
+  }
+  
+  console.log(`[사진 미션 심사] upload_id: ${submission.id}, user_id: ${submission.user_id}, quest_id: ${submission.quest_id}, ${submission.moderation_status} → ${decision}, 심사자: ${req.auth.user_id}`);
+  res.json({
+    id: submission.id,
+    user_id: submission.user_id,
+    quest_id: submission.quest_id,
+    moderation: { status: decision, previousStatus: submission.moderation_status, note, moderatedBy: req.auth.user_id },
+    scoreBreakdown: granted.scoreBreakdown, // 승인으로 새로 기록한 점수 (이미 완료한 미션이면 null)
+    unlockedAchievements: granted.unlockedAchievements,
+    revokedScore // 반려로 회수한 점수 (없으면 null)
+  });
 }
 
+app.post('/api/admin/photo-submissions/:id/approve', authenticate, requireRole(ROLES.ADMIN), (req, res) => moderatePhotoSubmission(req, res, 'approved'));
+app.post('/api/admin/photo-submissions/:id/reject', authenticate, requireRole(ROLES.ADMIN), (req, res) => moderatePhotoSubmission(req, res, 'rejected'));
+
 // 홍길동23 사용자에게 초기 이미지 URL 히스토리 추가
 async function initializeHongHistory() {
   try {
     const user_id = '홍길동23';
-    const region = process.env.AWS_REGION || 'ap-northeast-2';
-    const bucket = S3_BUCKET_NAME || 'goormthon-3';
     
     // seongsan0.jpeg, seongsan1.jpeg, seongsan2.jpeg 이미지들
     const images = [
@@ -1495,7 +4194,7 @@ async function initializeHongHistory() {
     
     for (const img of images) {
       const fileKey = `uploads/${img.fileName}`;
-      const fileUrl = `https://${bucket}.s3.${region}.amazonaws.com/${fileKey}`;
+      const fileUrl = storage.getObjectUrl(fileKey);
       
       try {
         // 중복 체크 후 삽입
@@ -1538,27 +4237,28 @@ async function initializePhotoMissions() {
       { city: 'Seogwipo', town: 'Seogwi', village: null, question: '이중섭 거리에서 예술적 감성이 묻어나는 장소를 사진으로 남겨주세요.' },
       { city: 'Seogwipo', town: 'Seongsan', village: null, question: '성산일출봉이 독특한 각도로 보이는 숨은 포인트를 촬영해주세요.' },
       // Village 레벨
-      { city: 'Jeju', town: 'Aewol', village: 'Woljeong', question: '월정리 바다의 청량한 색감이 가장 잘 드러나는 장소를 찍어주세요.' },
+      { city: 'Jeju', town: 'Gujwa', village: 'Woljeong', question: '월정리 바다의 청량한 색감이 가장 잘 드러나는 장소를 찍어주세요.' },
       { city: 'Jeju', town: 'Gujwa', village: 'Sehwa', question: '세화오일장 주변에서 로컬의 일상과 예술이 어우러진 순간을 촬영해주세요.' },
       { city: 'Seogwipo', town: 'Seongsan', village: 'Seongsan', question: '성산리 골목 속에서 생활 풍경과 성산일출봉이 함께 보이는 장면을 담아주세요.' }
     ];
 
     for (const mission of photoMissions) {
       try {
-        // 중복 체크 (question과 option_a로 확인)
+        // 중복 체크 (quest_type과 question으로 확인)
         const [existing] = await pool.execute(
           `SELECT id FROM quests 
            WHERE city = ? AND COALESCE(town, '') = COALESCE(?, '') 
            AND COALESCE(village, '') = COALESCE(?, '') 
-           AND option_a = ? AND question = ?`,
-          [mission.city, mission.town || '', mission.village || '', '사진 미션', mission.question]
+           AND quest_type = ? AND question = ?`,
+          [mission.city, mission.town || '', mission.village || '', 'photo', mission.question]
         );
 
         if (existing.length === 0) {
+          const { region } = resolveRegion(mission.city, mission.town, mission.village);
           await pool.execute(
-            `INSERT INTO quests (city, town, village, question, option_a, option_b, option_c, option_d, correct_answer, score)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [mission.city, mission.town, mission.village, mission.question, '사진 미션', '사진 미션', '사진 미션', '사진 미션', 'A', 1]
+            `INSERT INTO quests (quest_type, region_id, city, town, village, question, score)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            ['photo', region ? region.id : null, mission.city, mission.town, mission.village, mission.question, 1]
           );
           console.log(`[사진 미션 초기화] ${mission.city}${mission.town ? ' ' + mission.town : ''}${mission.village ? ' ' + mission.village : ''} 추가 완료`);
         } else {
@@ -1574,13 +4274,6 @@ async function initializePhotoMissions() {
   }
 }
 
-// 서버 시작 시 테이블 초기화 및 초기 데이터 삽입
-(async () => {
-  await initializeUploadHistoryTable();
-  await initializeHongHistory();
-  await initializePhotoMissions();
-  await syncPhotoQuestsToScores();
-})();
 
 // 기존 user_upload_history에 있는 사진 미션을 user_quest_scores에 동기화
 async function syncPhotoQuestsToScores() {
@@ -1588,16 +4281,17 @@ async function syncPhotoQuestsToScores() {
     console.log('[초기화] 사진 미션 동기화 시작...');
     
     // user_upload_history에서 quest_id가 있고, 해당 quest가 사진 미션인 경우 조회
-    // COLLATE를 명시하여 collation 충돌 방지
+    // (user_id 컬럼 collation은 021-user-id-collation 마이그레이션으로 통일)
     const [uploadHistory] = await pool.execute(
       `SELECT DISTINCT uuh.user_id, uuh.quest_id, uuh.uploaded_at
        FROM user_upload_history uuh
        INNER JOIN quests q ON uuh.quest_id = q.id
        WHERE uuh.quest_id IS NOT NULL 
-         AND q.option_a COLLATE utf8mb4_unicode_ci = '사진 미션' COLLATE utf8mb4_unicode_ci
+         AND q.quest_type = 'photo'
+         AND uuh.moderation_status = 'approved'
          AND NOT EXISTS (
            SELECT 1 FROM user_quest_scores uqs 
-           WHERE uqs.user_id COLLATE utf8mb4_unicode_ci = uuh.user_id COLLATE utf8mb4_unicode_ci
+           WHERE uqs.user_id = uuh.user_id
              AND uqs.quest_id = uuh.quest_id
          )
        ORDER BY uuh.uploaded_at DESC`
@@ -1617,26 +4311,33 @@ async function syncPhotoQuestsToScores() {
           const quest = questRows[0];
           
           // user_quest_scores에 기록 (중복 방지)
-          // user_answer는 CHAR(1)이므로 'PHOTO' 대신 'A' 사용 (사진 미션은 완료 시 자동 정답 처리)
-          await pool.execute(
+          // user_answer는 CHAR(1)이므로 'PHOTO' 대신 'A' 사용 (승인된 사진 미션은 정답 처리)
+          // 과거 업로드 복구이므로 점수 규칙 가산점 없이 퀘스트 기본 점수만 기록
+          const breakdown = { base: quest.score, rules: [], total: quest.score };
+          const [insertResult] = await pool.execute(
             `INSERT INTO user_quest_scores 
-             (user_id, quest_id, city, town, village, question, user_answer, correct_answer, score, answered_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             (user_id, quest_id, region_id, city, town, village, question, user_answer, correct_answer, is_correct, score, score_breakdown, answered_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?)
              ON DUPLICATE KEY UPDATE 
                user_id = user_id`,
             [
               record.user_id,
               record.quest_id,
+              quest.region_id,
               quest.city,
               quest.town,
               quest.village,
               quest.question,
               'A', // 사진 미션 완료는 'A'로 표시 (CHAR(1) 제약)
               'A', // 사진 미션은 항상 정답
-              1,
+              breakdown.total,
+              JSON.stringify(breakdown),
               record.uploaded_at // 업로드 시간을 answered_at으로 사용
             ]
           );
+          if (insertResult.affectedRows > 0) {
+            await awardRegionStamps(record.user_id, quest, record.uploaded_at);
+          }
 
           console.log(`[초기화] 사진 미션 동기화 완료 - user_id: ${record.user_id}, quest_id: ${record.quest_id}`);
         }
@@ -1651,11 +4352,66 @@ async function syncPhotoQuestsToScores() {
   }
 }
 
+// 서버 시작 시 스키마 버전 확인 후 초기 데이터 삽입
+// 스키마 변경은 마이그레이션(node migrate.js up)에서만 수행하며, DB가 최신이 아니면 서버를 시작하지 않음
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`DB_HOST: ${process.env.DB_HOST || 'mysql'}`);
-  console.log(`DB_NAME: ${process.env.DB_NAME || 'mydb'}`);
-  console.log(`S3_BUCKET: ${S3_BUCKET_NAME || 'Not configured'}`);
-});
+async function startServer() {
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length > 0) {
+      console.error(`[초기화] 적용되지 않은 마이그레이션이 있습니다: ${status.pending.join(', ')}`);
+      console.error('[초기화] `npm run migrate`로 마이그레이션을 적용한 뒤 다시 시작해주세요.');
+      process.exit(1);
+    }
+    if (status.unknown.length > 0) {
+      console.warn(`[초기화] 코드에 없는 마이그레이션이 DB에 적용되어 있습니다: ${status.unknown.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('[초기화] 스키마 버전 확인 실패:', error.message);
+    process.exit(1);
+  }
+  
+  await loadRegionRegistry();
+  setInterval(loadRegionRegistry, REGION_CACHE_TTL).unref();
+  
+  await bootstrapAdminUsers();
+  
+  await initializeHongHistory();
+  await initializePhotoMissions();
+  await syncPhotoQuestsToScores();
+  
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`DB_HOST: ${process.env.DB_HOST || 'mysql'}`);
+    console.log(`DB_NAME: ${process.env.DB_NAME || 'mydb'}`);
+    console.log(`STORAGE: ${storage.description}`);
+  });
+}
+
+// node server.js로 실행할 때만 시작 (테스트에서는 require로 함수만 사용)
+if (require.main === module) {
+  startServer();
+}
 
+// 단위 테스트용 (test/)
+module.exports = {
+  app,
+  signToken,
+  verifyToken,
+  issueAttemptToken,
+  bootstrapAdminUsers,
+  grantPhotoQuestScore,
+  parseExifDate,
+  verifyPhotoSubmission,
+  SCORING_CONFIG,
+  SCORING_RULES,
+  calculateScore,
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  toPlayerQuest,
+  parseQuestTypeWeights,
+  loadRegionRegistry,
+  lookupRegionByCoordinates,
+  REGION_BOUNDARIES,
+  isPointInPolygon
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// 파일 저장소 (STORAGE_DRIVER: s3 | local)
+// 라우트는 S3 명령 대신 이 인터페이스만 사용:
+//   isConfigured(), putObject(key, body, contentType), getObject(key), headObject(key), deleteObject(key),
+//   listObjects(prefix), getObjectUrl(key), getSignedDownloadUrl(key, expiresIn),
+//   getSignedUploadUrl(key, { contentType, contentLength, expiresIn }) → { url, method, headers }
+
+// ==================== S3 (AWS 또는 MinIO 등 S3 호환 저장소) ====================
+
+function createS3Storage() {
+  const region = process.env.AWS_REGION || 'ap-northeast-2';
+  const bucket = process.env.AWS_S3_BUCKET_NAME || '';
+  // S3_ENDPOINT를 지정하면 S3 호환 저장소 사용 (예: http://minio:9000), 기본은 AWS 리전별 엔드포인트
+  const customEndpoint = process.env.S3_ENDPOINT || null;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(customEndpoint); // MinIO 등은 보통 path-style만 지원
+
+  const client = new S3Client({
+    region,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || ''
+    },
+    // 리전별 엔드포인트 명시적 설정
+    endpoint: customEndpoint || `https://s3.${region}.amazonaws.com`,
+    forcePathStyle,
+    // Presigned PUT URL에 빈 본문 체크섬이 포함되지 않도록 필요한 경우에만 체크섬 계산
+    requestChecksumCalculation: 'WHEN_REQUIRED'
+  });
+
+  return {
+    driver: 's3',
+    description: customEndpoint ? `s3 (${customEndpoint}/${bucket})` : `s3 (${bucket || 'Not configured'})`,
+
+    isConfigured() {
+      return Boolean(bucket);
+    },
+
+    async putObject(key, body, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+        // ACL은 버킷 정책으로 관리하는 것이 권장됨
+      }));
+    },
+
+    // 객체 내용 (Buffer)
+    async getObject(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    // 객체 정보 (없으면 null)
+    async headObject(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: response.ContentLength, contentType: response.ContentType || null, lastModified: response.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async listObjects(prefix) {
+      const response = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix }));
+      return (response.Contents || []).map(item => ({ key: item.Key, size: item.Size, lastModified: item.LastModified }));
+    },
+
+    // 서명 없는 객체 URL (user_upload_history.file_url에 저장)
+    getObjectUrl(key) {
+      if (customEndpoint) {
+        return `${customEndpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+      }
+      return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    },
+
+    // Presigned URL (private 버킷 다운로드용)
+    getSignedDownloadUrl(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    // 직접 업로드용 Presigned PUT URL - Content-Type/Content-Length가 서명에 포함되어 다른 값으로는 업로드 불가
+    async getSignedUploadUrl(key, { contentType, contentLength, expiresIn }) {
+      const command = new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType, ContentLength: contentLength });
+      const url = await getSignedUrl(client, command, {
+        expiresIn,
+        signableHeaders: new Set(['content-type', 'content-length'])
+      });
+      return { url, method: 'PUT', headers: { 'Content-Type': contentType, 'Content-Length': String(contentLength) } };
+    }
+  };
+}
+
+// ==================== 로컬 디스크 (개발/테스트용) ====================
+
+function createLocalStorage() {
+  const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+  // 서명 URL의 기준 주소 (이 서버의 /api/storage 라우트가 파일을 제공)
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, '');
+  // 개발 환경(NODE_ENV=development/test)에서만 공개된 기본 키 허용
+  const isDevelopment = ['development', 'test'].includes(process.env.NODE_ENV);
+  const secret = process.env.LOCAL_STORAGE_SECRET || process.env.AUTH_TOKEN_SECRET || (isDevelopment ? 'dev-only-insecure-secret' : null);
+  if (!secret) {
+    throw new Error('LOCAL_STORAGE_SECRET or AUTH_TOKEN_SECRET is required for the local storage driver (set NODE_ENV=development for local development)');
+  }
+
+  // 키를 저장소 루트 아래 경로로 변환 (루트 밖을 가리키는 키는 거부)
+  function resolvePath(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // 서명 대상: 다운로드는 "key:expires", 업로드는 "key:expires:PUT:contentType:contentLength"
+  function sign(...parts) {
+    return crypto.createHmac('sha256', secret).update(parts.join(':')).digest('base64url');
+  }
+
+  function isValidSignature(signature, expected) {
+    if (typeof signature !== 'string') return false;
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(signature);
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  function isExpired(expires) {
+    const expiresAt = Number(expires);
+    return !Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000);
+  }
+
+  return {
+    driver: 'local',
+    description: `local (${rootDir})`,
+    resolvePath,
+
+    isConfigured() {
+      return true;
+    },
+
+    async putObject(key, body) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async getObject(key) {
+      return fs.promises.readFile(resolvePath(key));
+    },
+
+    async headObject(key) {
+      try {
+        const stats = await fs.promises.stat(resolvePath(key));
+        return stats.isFile() ? { size: stats.size, contentType: null, lastModified: stats.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      const walk = async (dir) => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else {
+            const key = path.relative(rootDir, entryPath).split(path.sep).join('/');
+            if (key.startsWith(prefix)) {
+              const stats = await fs.promises.stat(entryPath);
+              objects.push({ key, size: stats.size, lastModified: stats.mtime });
+            }
+          }
+        }
+      };
+      await walk(rootDir);
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    getObjectUrl(key) {
+      return `${baseUrl}/api/storage/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async getSignedDownloadUrl(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${this.getObjectUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    async getSignedUploadUrl(key, { contentType, contentLength, expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = sign(key, expires, 'PUT', contentType, contentLength);
+      return {
+        url: `${this.getObjectUrl(key)}?expires=${expires}&signature=${signature}`,
+        method: 'PUT',
+        headers: { 'Content-Type': contentType, 'Content-Length': String(contentLength) }
+      };
+    },
+
+    // /api/storage 라우트에서 다운로드 서명 확인 (만료 또는 서명 불일치면 false)
+    verifySignature(key, expires, signature) {
+      return !isExpired(expires) && isValidSignature(signature, sign(key, Number(expires)));
+    },
+
+    // /api/storage 라우트에서 업로드 서명 확인 (Content-Type/Content-Length도 서명과 같아야 함)
+    verifyUploadSignature(key, expires, signature, contentType, contentLength) {
+      return !isExpired(expires) && isValidSignature(signature, sign(key, Number(expires), 'PUT', contentType, contentLength));
+    }
+  };
+}
+
+const STORAGE_DRIVERS = { s3: createS3Storage, local: createLocalStorage };
+
+const driverName = process.env.STORAGE_DRIVER || 's3';
+if (!STORAGE_DRIVERS[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER: ${driverName} (${Object.keys(STORAGE_DRIVERS).join(', ')})`);
+}
+
+const storage = STORAGE_DRIVERS[driverName]();
+
+module.exports = { storage };
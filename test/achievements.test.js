@@ -0,0 +1,90 @@
+// 업적 (ACHIEVEMENTS) 조건 및 획득 처리 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp, REGION_ROWS } = require('./helpers');
+const { app, signToken, ACHIEVEMENTS, evaluateAchievements, loadRegionRegistry } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const achievement = code => ACHIEVEMENTS.find(a => a.code === code);
+const seongsanQuest = { id: 1, town: 'Seongsan', quest_type: 'question' };
+const aewolQuest = { id: 2, town: 'Aewol', quest_type: 'question' };
+const photoQuest = { id: 3, town: 'Gujwa', quest_type: 'photo' };
+
+// 한국 시간(UTC+9) 기준 시각
+const kst = (hours, minutes = 0) => new Date(Date.UTC(2026, 0, 15, hours - 9, minutes));
+
+test('성산 일출: 한국 시간 05:00~08:00 사이 성산읍 정답', async () => {
+  const sunrise = achievement('seongsan_sunrise');
+  assert.equal(await sunrise.isUnlocked({ quest: seongsanQuest, isCorrect: true, answeredAt: kst(5, 0) }), true);
+  assert.equal(await sunrise.isUnlocked({ quest: seongsanQuest, isCorrect: true, answeredAt: kst(7, 59) }), true);
+  assert.equal(await sunrise.isUnlocked({ quest: seongsanQuest, isCorrect: true, answeredAt: kst(8, 0) }), false);
+  assert.equal(await sunrise.isUnlocked({ quest: seongsanQuest, isCorrect: false, answeredAt: kst(6) }), false);
+  assert.equal(await sunrise.isUnlocked({ quest: aewolQuest, isCorrect: true, answeredAt: kst(6) }), false);
+});
+
+test('애월 정복: 애월읍의 모든 퀘스트를 맞혔을 때', async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+  const aewol = achievement('aewol_all_correct');
+  
+  const calls = stubPool([[/COUNT\(uqs.id\) as correct/, () => [{ total: 3, correct: 3 }]]]);
+  assert.equal(await aewol.isUnlocked({ user_id: 'u1', quest: aewolQuest, isCorrect: true }), true);
+  assert.match(calls[0].sql, /uqs\.is_correct OR uqs\.score > 0/); // 진행도/지역 완료 보너스와 같은 기준
+  assert.deepEqual(calls[0].params, ['u1', [3]]);
+  
+  stubPool([[/COUNT\(uqs.id\) as correct/, () => [{ total: 3, correct: 2 }]]]);
+  assert.equal(await aewol.isUnlocked({ user_id: 'u1', quest: aewolQuest, isCorrect: true }), false);
+  
+  assert.equal(await aewol.isUnlocked({ user_id: 'u1', quest: seongsanQuest, isCorrect: true }), false);
+});
+
+test('7일 연속 탐험: 한국 날짜 기준 7일 연속 정답', async () => {
+  const streak = achievement('streak_7_days');
+  const answeredAt = kst(12);
+  const days = count => Array.from({ length: count }, (_, i) => ({ answered_at: new Date(answeredAt.getTime() - i * 24 * 60 * 60 * 1000) }));
+  
+  stubPool([[/SELECT answered_at FROM user_quest_scores/, () => days(7)]]);
+  assert.equal(await streak.isUnlocked({ user_id: 'u1', isCorrect: true, answeredAt }), true);
+  
+  stubPool([[/SELECT answered_at FROM user_quest_scores/, () => days(7).filter((_, i) => i !== 3)]]);
+  assert.equal(await streak.isUnlocked({ user_id: 'u1', isCorrect: true, answeredAt }), false);
+});
+
+test('조건을 만족한 미획득 업적만 새로 지급', async () => {
+  const calls = stubPool([
+    [/SELECT achievement_code FROM user_achievements/, () => [{ achievement_code: 'streak_7_days' }]],
+    [/q.quest_type = 'photo' AND uqs.score > 0/, () => [{ count: 5 }]],
+    [/INSERT IGNORE INTO user_achievements/, () => ({ affectedRows: 1 })]
+  ]);
+  const unlocked = await evaluateAchievements({ user_id: 'u1', quest: photoQuest, isCorrect: true });
+  
+  assert.deepEqual(unlocked.map(a => a.code), ['photo_missions_5']);
+  assert.ok(unlocked[0].earnedAt instanceof Date);
+  assert.ok(!calls.some(call => /SELECT answered_at/.test(call.sql))); // 이미 획득한 업적은 확인하지 않음
+  assert.deepEqual(calls.find(call => /INSERT IGNORE/.test(call.sql)).params, ['u1', 'photo_missions_5', photoQuest.id]);
+});
+
+test('동시 요청에서 이미 지급된 업적은 응답에서 제외', async () => {
+  stubPool([
+    [/SELECT achievement_code FROM user_achievements/, () => [{ achievement_code: 'streak_7_days' }]],
+    [/q.quest_type = 'photo' AND uqs.score > 0/, () => [{ count: 6 }]],
+    [/INSERT IGNORE INTO user_achievements/, () => ({ affectedRows: 0 })]
+  ]);
+  assert.deepEqual(await evaluateAchievements({ user_id: 'u1', quest: photoQuest, isCorrect: true }), []);
+});
+
+test('업적 목록은 획득 여부와 함께 본인만 조회', async () => {
+  const earnedAt = '2026-01-15T03:00:00.000Z';
+  stubPool([[/SELECT achievement_code, earned_at FROM user_achievements/, () => [{ achievement_code: 'seongsan_sunrise', earned_at: earnedAt }]]]);
+  const token = signToken({ typ: 'access', sub: 'u1' }, 60);
+  const { status, body } = await api.request('GET', '/api/users/u1/achievements', { token });
+  
+  assert.equal(status, 200);
+  assert.equal(body.earnedCount, 1);
+  assert.equal(body.totalCount, ACHIEVEMENTS.length);
+  assert.equal(body.achievements.find(a => a.code === 'seongsan_sunrise').earnedAt, earnedAt);
+  assert.equal(body.achievements.find(a => a.code === 'aewol_all_correct').earnedAt, null);
+});
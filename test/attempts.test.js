@@ -0,0 +1,145 @@
+// 문제 시도 시작/시도 토큰/제한 시간 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, mysqlError, startApp } = require('./helpers');
+const { app, signToken, verifyToken, issueAttemptToken } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+const timedQuest = {
+  id: 5, quest_type: 'question', city: 'Jeju', town: 'Gujwa', village: 'Woljeong', region_id: 7,
+  question: '월정리 해변의 특징은?', option_a: '흑사장', option_b: '백사장', option_c: '자갈', option_d: '절벽',
+  correct_answer: 'B', payload: null, score: 10, time_limit_ms: 30000, latitude: null, longitude: null
+};
+
+// quest_starts를 메모리로 흉내 (INSERT IGNORE는 처음 값 유지)
+function stubQuestStarts(handlers = [], { attemptCount = 0 } = {}) {
+  const starts = new Map();
+  const calls = stubPool([
+    [/SELECT \* FROM quests WHERE id = \?/, () => [timedQuest]],
+    [/SELECT COUNT\(\*\) as attemptCount FROM quest_attempts/, () => [{ attemptCount }]],
+    [/INSERT IGNORE INTO quest_starts/, ([user_id, quest_id, attempt, startedAt]) => {
+      const key = `${user_id}:${quest_id}:${attempt}`;
+      if (!starts.has(key)) starts.set(key, startedAt);
+      return { affectedRows: 1 };
+    }],
+    [/SELECT started_at FROM quest_starts/, ([user_id, quest_id, attempt]) => [{ started_at: starts.get(`${user_id}:${quest_id}:${attempt}`) }]],
+    ...handlers
+  ]);
+  return { starts, calls };
+}
+
+test('시도 토큰에는 사용자/퀘스트/1회용 id/시작 시간이 서명된다', () => {
+  const startedAt = Date.now() - 5000;
+  const first = issueAttemptToken('user-1', 42, startedAt);
+  const second = issueAttemptToken('user-1', 42);
+  const payload = verifyToken(first.token, 'attempt');
+  
+  assert.equal(payload.sub, 'user-1');
+  assert.equal(payload.qid, 42);
+  assert.equal(payload.st, startedAt);
+  assert.equal(first.startedAt.getTime(), startedAt);
+  assert.notEqual(payload.jti, verifyToken(second.token, 'attempt').jti);
+  assert.equal(verifyToken(first.token, 'access'), null);
+});
+
+test('시작하면 문제/선택지와 시도 토큰을 반환', async () => {
+  stubQuestStarts();
+  const { status, body } = await api.request('POST', '/api/quests/5/start', { token: accessToken('u1') });
+  
+  assert.equal(status, 200);
+  assert.equal(body.question, timedQuest.question);
+  assert.deepEqual(body.options, { A: '흑사장', B: '백사장', C: '자갈', D: '절벽' });
+  assert.equal(body.correct_answer, undefined);
+  assert.equal(body.timeLimitMs, 30000);
+  assert.equal(verifyToken(body.attemptToken.token, 'attempt').qid, 5);
+});
+
+test('같은 시도를 다시 시작해도 처음 시작 시간을 유지', async () => {
+  const { starts } = stubQuestStarts();
+  const firstStart = new Date(Date.now() - 60000);
+  starts.set('u1:5:1', firstStart);
+  
+  const { body } = await api.request('POST', '/api/quests/5/start', { token: accessToken('u1') });
+  assert.equal(verifyToken(body.attemptToken.token, 'attempt').st, firstStart.getTime());
+});
+
+test('주변 퀘스트 목록에는 문제 내용이 없음', async () => {
+  stubPool([[/ST_Distance_Sphere/, () => [{ ...timedQuest, latitude: 33.556, longitude: 126.797, distance_m: 120 }]]]);
+  const { status, body } = await api.request('GET', '/api/quests/nearby?lat=33.556&lng=126.798');
+  
+  assert.equal(status, 200);
+  assert.equal(body.quests[0].question, null);
+  assert.equal(body.quests[0].options, null);
+  assert.equal(body.quests[0].startEndpoint, '/api/quests/5/start');
+});
+
+test('랜덤 퀘스트는 로그인한 경우에만 시도를 시작하고 문제를 공개', async () => {
+  stubQuestStarts([[/FROM quests WHERE city = \? AND quest_type = \?/, () => [timedQuest]]]);
+  
+  const anonymous = await api.request('GET', '/api/quests/random?city=Jeju&type_weights=question:1');
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.body.question, null);
+  assert.equal(anonymous.body.attemptToken, null);
+  
+  const signedIn = await api.request('GET', '/api/quests/random?city=Jeju&type_weights=question:1', { token: accessToken('u1') });
+  assert.equal(signedIn.body.question, timedQuest.question);
+  assert.equal(verifyToken(signedIn.body.attemptToken.token, 'attempt').sub, 'u1');
+});
+
+test('제한 시간은 처음 시작한 시각부터 측정해 초과하면 오답', async () => {
+  const { calls } = stubQuestStarts([
+    [/FROM user_quest_scores WHERE user_id = \? AND quest_id = \?/, () => []],
+    [/DELETE FROM used_attempt_tokens/, () => ({ affectedRows: 0 })],
+    [/INSERT INTO quest_attempts/, () => ({ insertId: 1 })],
+    [/INSERT INTO used_attempt_tokens/, () => ({ affectedRows: 1 })],
+    [/INSERT INTO user_quest_scores/, () => ({ affectedRows: 1 })],
+    [/UPDATE quest_attempts SET score/, () => ({ affectedRows: 1 })],
+    [/SELECT achievement_code FROM user_achievements/, () => []]
+  ], { attemptCount: 0 });
+  
+  // 재시작으로 받은 토큰이어도 st는 처음 시작 시간 (60초 전)
+  const attemptToken = issueAttemptToken('u1', 5, Date.now() - 60000).token;
+  const { status, body } = await api.request('POST', '/api/quests/5/check', { token: accessToken('u1'), body: { answer: 'B', attemptToken } });
+  
+  assert.equal(status, 200);
+  assert.equal(body.timedOut, true);
+  assert.equal(body.correct, false);
+  assert.equal(body.score, 0);
+  assert.ok(body.elapsedMs >= 60000);
+  assert.ok(calls.some(call => call.sql === 'COMMIT'));
+  
+  const scoreInsert = calls.find(call => /INSERT INTO user_quest_scores/.test(call.sql));
+  assert.deepEqual(scoreInsert.params.slice(9, 10).concat(scoreInsert.params.slice(13, 14)), [false, true]); // is_correct, timed_out
+});
+
+test('시도 토큰이 없거나 다른 퀘스트의 토큰이면 거부', async () => {
+  stubQuestStarts([[/FROM user_quest_scores WHERE user_id = \? AND quest_id = \?/, () => []]]);
+  
+  const missing = await api.request('POST', '/api/quests/5/check', { token: accessToken('u1'), body: { answer: 'B' } });
+  assert.equal(missing.status, 400);
+  
+  const otherQuest = await api.request('POST', '/api/quests/5/check', {
+    token: accessToken('u1'),
+    body: { answer: 'B', attemptToken: issueAttemptToken('u1', 6).token }
+  });
+  assert.equal(otherQuest.status, 403);
+});
+
+test('이미 사용한 토큰이면 시도 기록을 되돌리고 409', async () => {
+  const { calls } = stubQuestStarts([
+    [/FROM user_quest_scores WHERE user_id = \? AND quest_id = \?/, () => []],
+    [/DELETE FROM used_attempt_tokens/, () => ({ affectedRows: 0 })],
+    [/INSERT INTO quest_attempts/, () => ({ insertId: 1 })],
+    [/INSERT INTO used_attempt_tokens/, () => { throw mysqlError('ER_DUP_ENTRY'); }]
+  ]);
+  const attemptToken = issueAttemptToken('u1', 5).token;
+  const { status } = await api.request('POST', '/api/quests/5/check', { token: accessToken('u1'), body: { answer: 'B', attemptToken } });
+  
+  assert.equal(status, 409);
+  assert.ok(calls.some(call => call.sql === 'ROLLBACK'));
+  assert.ok(!calls.some(call => call.sql === 'COMMIT'));
+});
@@ -0,0 +1,113 @@
+// 세션 토큰 발급/검증 및 사용자 범위 라우트 인증 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, signToken, verifyToken } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+
+test('서명한 토큰은 같은 타입으로 검증된다', () => {
+  const token = signToken({ typ: 'access', sub: 'user-1' }, 60);
+  const payload = verifyToken(token, 'access');
+  assert.equal(payload.sub, 'user-1');
+  assert.equal(payload.exp - payload.iat, 60);
+});
+
+test('다른 타입으로 검증하면 null', () => {
+  const token = signToken({ typ: 'refresh', sub: 'user-1' }, 60);
+  assert.equal(verifyToken(token, 'access'), null);
+});
+
+test('payload나 서명이 바뀐 토큰은 null', () => {
+  const token = signToken({ typ: 'access', sub: 'user-1' }, 60);
+  const [, signature] = token.split('.');
+  const forgedBody = Buffer.from(JSON.stringify({ typ: 'access', sub: 'admin', exp: 9999999999 })).toString('base64url');
+  assert.equal(verifyToken(`${forgedBody}.${signature}`, 'access'), null);
+  assert.equal(verifyToken(`${token}x`, 'access'), null);
+  assert.equal(verifyToken('not-a-token', 'access'), null);
+  assert.equal(verifyToken(undefined, 'access'), null);
+});
+
+test('만료된 토큰은 null', () => {
+  const token = signToken({ typ: 'access', sub: 'user-1' }, -1);
+  assert.equal(verifyToken(token, 'access'), null);
+});
+
+test('사용자 생성 시 세션 토큰 발급', async () => {
+  stubPool([
+    [/SELECT COUNT\(\*\) as count FROM users/, () => [{ count: 0 }]],
+    [/INSERT INTO users/, () => ({ insertId: 7 })]
+  ]);
+  const { status, body } = await api.request('POST', '/api/users', { body: { name: '지현' } });
+  
+  assert.equal(status, 200);
+  assert.match(body.user_id, /^지현\d{2}$/);
+  assert.equal(verifyToken(body.accessToken, 'access').sub, body.user_id);
+  assert.equal(verifyToken(body.refreshToken, 'refresh').sub, body.user_id);
+});
+
+test('refresh token으로 새 토큰 발급 (삭제된 사용자는 거부)', async () => {
+  const refreshToken = signToken({ typ: 'refresh', sub: 'u1' }, 60);
+  
+  stubPool([[/SELECT user_id FROM users/, () => [{ user_id: 'u1' }]]]);
+  const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.equal(verifyToken(refreshed.body.accessToken, 'access').sub, 'u1');
+  
+  stubPool([[/SELECT user_id FROM users/, () => []]]);
+  assert.equal((await api.request('POST', '/api/auth/refresh', { body: { refreshToken } })).status, 401);
+  
+  // access token으로는 갱신 불가
+  assert.equal((await api.request('POST', '/api/auth/refresh', { body: { refreshToken: accessToken('u1') } })).status, 401);
+});
+
+test('사용자 범위 라우트는 토큰이 없으면 401, 다른 사용자면 403', async () => {
+  stubPool([[/FROM user_achievements/, () => []]]);
+  
+  assert.equal((await api.request('GET', '/api/users/u1/achievements')).status, 401);
+  assert.equal((await api.request('GET', '/api/users/u1/achievements', { token: 'garbage' })).status, 401);
+  assert.equal((await api.request('GET', '/api/users/u1/achievements', { token: accessToken('u2') })).status, 403);
+  assert.equal((await api.request('GET', '/api/users/u1/achievements', { token: accessToken('u1') })).status, 200);
+});
+
+test('요청 로그에 토큰을 남기지 않음', async () => {
+  const refreshToken = signToken({ typ: 'refresh', sub: 'u1' }, 60);
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args);
+  try {
+    stubPool([[/SELECT user_id FROM users/, () => [{ user_id: 'u1' }]]]);
+    await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  } finally {
+    console.log = originalLog;
+  }
+  
+  const requestLog = logged.find(([message]) => String(message).startsWith('[요청 로그] POST /api/auth/refresh'));
+  assert.ok(requestLog);
+  assert.equal(requestLog[1].body.refreshToken, '[REDACTED]');
+  assert.ok(!JSON.stringify(logged).includes(refreshToken));
+});
+
+test('GET으로는 사용자를 만들지 않음', async () => {
+  const calls = stubPool([]);
+  const { status, headers } = await api.request('GET', '/api/users/create?name=지현');
+  
+  assert.equal(status, 405);
+  assert.equal(headers.get('allow'), 'POST');
+  assert.equal(calls.length, 0);
+});
+
+test('사용자 점수는 본인만 조회', async () => {
+  stubPool([[/FROM user_quest_scores/, () => [{ total_score: 12, total_quests: 2, correct_count: 1, incorrect_count: 1 }]]]);
+  
+  assert.equal((await api.request('GET', '/api/users/u1/score')).status, 401);
+  assert.equal((await api.request('GET', '/api/users/u1/score', { token: accessToken('u2') })).status, 403);
+  
+  const { status, body } = await api.request('GET', '/api/users/u1/score', { token: accessToken('u1') });
+  assert.equal(status, 200);
+  assert.equal(body.total_score, 12);
+});
@@ -0,0 +1,113 @@
+// 버스 도착 정보 프록시 테스트 - BUS_API_BASE_URL을 로컬 가짜 업스트림으로 지정
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp } = require('./helpers');
+
+// station_id별 가짜 업스트림 응답 { status, body, delayMs } 및 호출 기록
+const upstreamResponses = {};
+const upstreamCalls = [];
+const upstream = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const stationId = url.searchParams.get('station_id') || '';
+  upstreamCalls.push({ path: url.pathname, stationId });
+  
+  const { status = 200, body = [], delayMs = 0 } = upstreamResponses[stationId] || {};
+  setTimeout(() => {
+    if (res.destroyed) return;
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }, delayMs);
+});
+
+let api;
+before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  process.env.BUS_API_BASE_URL = `http://127.0.0.1:${upstream.address().port}/`;
+  process.env.BUS_API_TIMEOUT_MS = '200';
+  const { app } = require('../server');
+  api = await startApp(app);
+});
+after(async () => {
+  await api.close();
+  upstream.closeAllConnections();
+  await new Promise(resolve => upstream.close(resolve));
+});
+
+const callsFor = stationId => upstreamCalls.filter(call => call.stationId === stationId).length;
+
+const arrivalItems = [
+  { ROUTE_ID: 405320212, ROUTE_NUM: 201, ROUTE_SUB_NM: '성산', PREDICT_TRAV_TM: '7', REMAIN_STATION: '3', CURR_STATION_NM: '세화리' },
+  { ROUTE_ID: 405320101, ROUTE_NUM: 101, ROUTE_SUB_NM: '제주버스터미널', PREDICT_TRAV_TM: '2', REMAIN_STATION: '1', CURR_STATION_NM: '월정리' },
+  { ROUTE_ID: 405320999, ROUTE_NUM: 260, ROUTE_SUB_NM: null, PREDICT_TRAV_TM: '', REMAIN_STATION: null, CURR_STATION_NM: null }
+];
+
+test('v2는 업스트림 응답을 도착 예정 순으로 정리하고 캐시', async () => {
+  upstreamResponses['405000101'] = { body: { data: arrivalItems } };
+  
+  const first = await api.request('GET', '/api/v2/bus/arrival?station_id=405000101');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.cached, false);
+  assert.equal(first.body.count, 3);
+  assert.deepEqual(first.body.arrivals[0], { routeId: '405320101', route: '101', destination: '제주버스터미널', etaMinutes: 2, stopsRemaining: 1, currentStation: '월정리' });
+  assert.deepEqual(first.body.arrivals.map(arrival => arrival.route), ['101', '201', '260']);
+  assert.equal(first.body.arrivals[2].etaMinutes, null);
+  assert.equal(first.body.data, undefined);
+  
+  const second = await api.request('GET', '/api/v2/bus/arrival?station_id=405000101');
+  assert.equal(second.body.cached, true);
+  assert.equal(callsFor('405000101'), 1);
+  assert.equal(upstreamCalls[0].path, '/api/searchArrivalInfoList.do');
+});
+
+test('같은 정류소 동시 요청은 업스트림을 한 번만 호출', async () => {
+  upstreamResponses['405000102'] = { body: arrivalItems, delayMs: 50 };
+  
+  const responses = await Promise.all([1, 2, 3].map(() => api.request('GET', '/api/v2/bus/arrival?station_id=405000102')));
+  assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+  assert.equal(callsFor('405000102'), 1);
+});
+
+test('v2는 숫자가 아닌 station_id를 업스트림 호출 없이 거부', async () => {
+  const callCount = upstreamCalls.length;
+  assert.equal((await api.request('GET', '/api/v2/bus/arrival')).status, 400);
+  assert.equal((await api.request('GET', '/api/v2/bus/arrival?station_id=1%26admin%3D1')).status, 400);
+  assert.equal(upstreamCalls.length, callCount);
+});
+
+test('v1은 station_id 없이도 호출되며 업스트림 원본과 지원 중단 헤더를 함께 반환', async () => {
+  upstreamResponses[''] = { body: { list: arrivalItems.slice(0, 1) } };
+  
+  const { status, headers, body } = await api.request('GET', '/api/bus/arrival');
+  assert.equal(status, 200);
+  assert.equal(headers.get('deprecation'), 'true');
+  assert.match(headers.get('link'), /\/api\/v2\/bus\/arrival/);
+  assert.equal(body.station_id, null);
+  assert.deepEqual(body.data, { list: arrivalItems.slice(0, 1) });
+  assert.equal(body.arrivals[0].route, '201');
+});
+
+test('업스트림 오류는 502, 알 수 없는 응답 형식도 502', async () => {
+  upstreamResponses['405000103'] = { status: 500, body: 'Internal Server Error' };
+  const failed = await api.request('GET', '/api/v2/bus/arrival?station_id=405000103');
+  assert.equal(failed.status, 502);
+  assert.equal(failed.body.error, 'Bus API unavailable');
+  assert.match(failed.body.details, /HTTP 500/);
+  
+  upstreamResponses['405000104'] = { body: { message: 'maintenance' } };
+  const unexpected = await api.request('GET', '/api/v2/bus/arrival?station_id=405000104');
+  assert.equal(unexpected.status, 502);
+  assert.match(unexpected.body.details, /Unexpected upstream payload/);
+});
+
+test('업스트림이 제한 시간 안에 응답하지 않으면 504이며 실패는 캐시하지 않음', async () => {
+  upstreamResponses['405000105'] = { body: arrivalItems, delayMs: 500 };
+  const timedOut = await api.request('GET', '/api/v2/bus/arrival?station_id=405000105');
+  assert.equal(timedOut.status, 504);
+  assert.equal(timedOut.body.error, 'Bus API timeout');
+  
+  upstreamResponses['405000105'] = { body: arrivalItems };
+  const retried = await api.request('GET', '/api/v2/bus/arrival?station_id=405000105');
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.cached, false);
+});
@@ -0,0 +1,81 @@
+// 테스트 공통 설정 - server.js를 불러오기 전에 환경 변수를 지정하고, DB 풀을 가짜 응답으로 바꿈
+process.env.NODE_ENV = 'test';
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+
+const { pool } = require('../db');
+
+// 서버 로그는 TEST_LOGS=1일 때만 출력 (테스트 결과 출력과 섞이지 않도록)
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// handlers: [[정규식, (params, sql) => rows], ...] - SQL에 처음 일치하는 핸들러의 결과를 [rows] 형태로 반환
+// 핸들러가 에러를 던지면 쿼리 실패로 처리, 일치하는 핸들러가 없으면 에러 (예상하지 못한 쿼리를 놓치지 않도록)
+// 트랜잭션(getConnection)도 같은 핸들러를 사용하며, calls에 BEGIN/COMMIT/ROLLBACK이 기록됨
+function stubPool(handlers) {
+  const calls = [];
+  const run = async (sql, params = []) => {
+    calls.push({ sql, params });
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) throw new Error(`Unexpected query: ${sql}`);
+    return [handler[1](params, sql)];
+  };
+  pool.execute = run;
+  pool.query = run;
+  pool.getConnection = async () => ({
+    execute: run,
+    query: run,
+    beginTransaction: async () => { calls.push({ sql: 'BEGIN', params: [] }); },
+    commit: async () => { calls.push({ sql: 'COMMIT', params: [] }); },
+    rollback: async () => { calls.push({ sql: 'ROLLBACK', params: [] }); },
+    release: () => {}
+  });
+  return calls;
+}
+
+// MySQL 에러 (code로 분기하는 코드 테스트용)
+function mysqlError(code, message = code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// app을 임의 포트로 띄우고 요청 함수 반환 - 테스트가 끝나면 close() 호출
+async function startApp(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  
+  // request(method, path, { token, body, headers }) → { status, headers, body }
+  async function request(method, urlPath, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) {
+      init.headers['content-type'] = init.headers['content-type'] || 'application/json';
+      init.body = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const response = await fetch(baseUrl + urlPath, init);
+    const text = await response.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch (e) { /* JSON이 아닌 응답은 문자열 그대로 */ }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+  
+  return { baseUrl, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// 테스트에서 사용하는 지역 레지스트리 (migrations/004-regions.js + 018-woljeong-in-gujwa.js 적용 결과)
+const REGION_ROWS = [
+  { id: 1, parent_id: null, level: 'city', code: 'Jeju', name_ko: '제주시', name_en: 'Jeju-si' },
+  { id: 2, parent_id: null, level: 'city', code: 'Seogwipo', name_ko: '서귀포시', name_en: 'Seogwipo-si' },
+  { id: 3, parent_id: 1, level: 'town', code: 'Aewol', name_ko: '애월읍', name_en: 'Aewol-eup' },
+  { id: 4, parent_id: 1, level: 'town', code: 'Gujwa', name_ko: '구좌읍', name_en: 'Gujwa-eup' },
+  { id: 5, parent_id: 2, level: 'town', code: 'Seogwi', name_ko: '서귀동', name_en: 'Seogwi-dong' },
+  { id: 6, parent_id: 2, level: 'town', code: 'Seongsan', name_ko: '성산읍', name_en: 'Seongsan-eup' },
+  { id: 7, parent_id: 4, level: 'village', code: 'Woljeong', name_ko: '월정리', name_en: 'Woljeong-ri' },
+  { id: 8, parent_id: 4, level: 'village', code: 'Sehwa', name_ko: '세화리', name_en: 'Sehwa-ri' },
+  { id: 9, parent_id: 6, level: 'village', code: 'Seongsan', name_ko: '성산리', name_en: 'Seongsan-ri' }
+];
+
+module.exports = { pool, stubPool, mysqlError, startApp, REGION_ROWS };
@@ -0,0 +1,72 @@
+// 리더보드 테스트 (순위 응답, 지역 필터, 호출자 순위)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp, REGION_ROWS } = require('./helpers');
+const { app, signToken, loadRegionRegistry } = require('../server');
+
+let api;
+before(async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+  api = await startApp(app);
+});
+after(() => api.close());
+
+const rankedRows = [
+  { user_id: 'alice', name: 'Alice', total_score: '12', answered_count: 5, reached_at: '2025-01-02T00:00:00.000Z', user_rank: 1 },
+  { user_id: 'bob', name: 'Bob', total_score: '9', answered_count: 4, reached_at: '2025-01-01T00:00:00.000Z', user_rank: 2 }
+];
+
+function stubLeaderboard() {
+  return stubPool([
+    [/SELECT COUNT\(\*\) as total FROM ranked/, () => [{ total: 2 }]],
+    [/WHERE ranked.user_id = \?/, params => rankedRows.filter(row => row.user_id === params[params.length - 1])],
+    [/FROM ranked/, () => rankedRows]
+  ]);
+}
+
+test('점수 순위와 전체 인원을 반환', async () => {
+  const calls = stubLeaderboard();
+  const { status, body } = await api.request('GET', '/api/leaderboard?limit=10');
+  
+  assert.equal(status, 200);
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.entries.map(entry => [entry.rank, entry.user_id, entry.totalScore]), [[1, 'alice', 12], [2, 'bob', 9]]);
+  assert.equal(body.me, null);
+  assert.ok(!/region_id IN/.test(calls[0].sql));
+  assert.deepEqual(calls[0].params, [10, 0]);
+});
+
+test('지역 필터는 하위 지역을 포함한 region_id로 집계', async () => {
+  const calls = stubLeaderboard();
+  const { status } = await api.request('GET', '/api/leaderboard?city=Jeju&town=Gujwa');
+  
+  assert.equal(status, 200);
+  assert.match(calls[0].sql, /AND region_id IN \(\?\)/);
+  assert.ok(!/\btown = \?/.test(calls[0].sql));
+  assert.deepEqual(calls[0].params[0], [4, 7, 8]);
+});
+
+test('등록되지 않은 지역이면 400', async () => {
+  stubLeaderboard();
+  const unknown = await api.request('GET', '/api/leaderboard?city=Jeju&town=Hallim');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'Invalid region');
+  
+  const missingCity = await api.request('GET', '/api/leaderboard?town=Gujwa');
+  assert.equal(missingCity.status, 400);
+});
+
+test('토큰이 있으면 호출자 순위를 함께 반환', async () => {
+  stubLeaderboard();
+  const token = signToken({ typ: 'access', sub: 'bob' }, 60);
+  const { body } = await api.request('GET', '/api/leaderboard?limit=1', { token });
+  
+  assert.equal(body.me.rank, 2);
+  assert.equal(body.me.user_id, 'bob');
+});
+
+test('잘못된 window는 400', async () => {
+  stubLeaderboard();
+  assert.equal((await api.request('GET', '/api/leaderboard?window=monthly')).status, 400);
+});
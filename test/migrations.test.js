@@ -0,0 +1,146 @@
+// 마이그레이션 실행기 및 마이그레이션 테스트 (가짜 connection으로 실행한 SQL 확인)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pool, stubPool } = require('./helpers');
+const { getMigrationStatus, runMigrations } = require('../migrate');
+const userIdCollation = require('../migrations/021-user-id-collation');
+const woljeongInGujwa = require('../migrations/018-woljeong-in-gujwa');
+const regionUniqueKey = require('../migrations/022-region-unique-key');
+
+const MIGRATION_VERSIONS = fs.readdirSync(path.join(__dirname, '..', 'migrations'))
+  .filter(file => /^\d{3}-[\w-]+\.js$/.test(file))
+  .map(file => path.basename(file, '.js'))
+  .sort();
+
+// 실행기용 가짜 풀 - schema_migrations에 applied가 기록된 상태
+function stubMigrationPool(applied, handlers = []) {
+  return stubPool([
+    [/GET_LOCK/, () => [{ acquired: 1 }]],
+    [/RELEASE_LOCK/, () => [{}]],
+    [/CREATE TABLE IF NOT EXISTS schema_migrations/, () => ({})],
+    [/SELECT version FROM schema_migrations/, () => applied.map(version => ({ version }))],
+    ...handlers
+  ]);
+}
+
+test('마이그레이션 파일 이름은 NNN-설명.js 형식이며 번호가 겹치지 않음', () => {
+  assert.ok(MIGRATION_VERSIONS.length > 0);
+  const numbers = MIGRATION_VERSIONS.map(version => version.slice(0, 3));
+  assert.equal(new Set(numbers).size, numbers.length);
+  assert.equal(MIGRATION_VERSIONS[0], '001-baseline');
+});
+
+test('상태 조회는 대기 중인 마이그레이션과 파일이 없는 적용 기록을 구분', async () => {
+  stubMigrationPool([...MIGRATION_VERSIONS.slice(0, -1), '999-removed']);
+  const status = await getMigrationStatus(pool);
+  
+  assert.deepEqual(status.pending, [MIGRATION_VERSIONS[MIGRATION_VERSIONS.length - 1]]);
+  assert.deepEqual(status.unknown, ['999-removed']);
+});
+
+test('down은 마지막으로 적용된 마이그레이션만 되돌리고 기록 삭제', async () => {
+  const calls = stubMigrationPool(MIGRATION_VERSIONS, [
+    [/INFORMATION_SCHEMA/, () => []],
+    [/^ALTER TABLE/, () => ({})],
+    [/DELETE FROM schema_migrations/, () => ({ affectedRows: 1 })]
+  ]);
+  const last = MIGRATION_VERSIONS[MIGRATION_VERSIONS.length - 1];
+  
+  assert.deepEqual(await runMigrations(pool, 'down'), [last]);
+  const deleted = calls.filter(({ sql }) => /DELETE FROM schema_migrations/.test(sql));
+  assert.deepEqual(deleted.map(({ params }) => params), [[last]]);
+  assert.match(calls[calls.length - 1].sql, /RELEASE_LOCK/);
+});
+
+test('잠금을 얻지 못하면 마이그레이션을 실행하지 않음', async () => {
+  const calls = stubPool([[/GET_LOCK/, () => [{ acquired: 0 }]]]);
+  await assert.rejects(runMigrations(pool, 'up'), /migration lock/);
+  assert.equal(calls.length, 1);
+});
+
+test('초기화/시드 SQL은 기준 스키마만 담고 마이그레이션 컬럼을 포함하지 않음', () => {
+  const sqlDir = path.join(__dirname, '..', 'k8s', 'mysql', 'base');
+  for (const file of ['init.sql', 'create-quests-table.sql', 'quest-data.sql']) {
+    const sql = fs.readFileSync(path.join(sqlDir, file), 'utf8');
+    for (const column of ['role', 'quest_type', 'payload', 'region_id']) {
+      assert.ok(!new RegExp(`\\b${column}\\b`).test(sql), `${file}에 ${column}이 있음`);
+    }
+  }
+});
+
+// 마이그레이션용 가짜 connection (SQL 패턴별 결과, 실행한 SQL 기록)
+function fakeConnection(handlers) {
+  const executed = [];
+  return {
+    executed,
+    escape: value => `'${String(value).replace(/'/g, "\\'")}'`,
+    query: async (sql, params = []) => {
+      executed.push({ sql, params });
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      return [handler ? handler[1](params) : []];
+    }
+  };
+}
+
+// 지역 레지스트리 조회 결과 (woljeongParentId: 월정리 7의 상위 지역 - 적용 전 애월읍 3, 적용 후 구좌읍 4)
+const findWoljeongRegion = woljeongParentId => ([level, code, parentId]) => {
+  const regions = { 'city.Jeju.null': 1, 'town.Aewol.1': 3, 'town.Gujwa.1': 4, [`village.Woljeong.${woljeongParentId}`]: 7 };
+  const id = regions[`${level}.${code}.${parentId}`];
+  return id ? [{ id }] : [];
+};
+
+test('월정리 이동은 레지스트리와 퀘스트만 수정하고 풀이 기록은 그대로 둠', async () => {
+  const conn = fakeConnection([[/SELECT id FROM regions/, findWoljeongRegion(3)]]);
+  await woljeongInGujwa.up(conn);
+  
+  const updates = conn.executed.filter(({ sql }) => /^UPDATE/.test(sql));
+  assert.equal(updates.length, 2);
+  assert.deepEqual(updates[0].params, [4, 7]);
+  assert.match(updates[1].sql, /^UPDATE quests SET town = \?, region_id = \?/);
+  assert.deepEqual(updates[1].params, ['Gujwa', 7, 'Jeju', 'Woljeong', 'Aewol', 'Gujwa']);
+  assert.ok(!conn.executed.some(({ sql }) => /user_quest_scores/.test(sql)));
+});
+
+test('월정리 이동 되돌리기는 애월읍 아래로 복원', async () => {
+  const conn = fakeConnection([[/SELECT id FROM regions/, findWoljeongRegion(4)]]);
+  await woljeongInGujwa.down(conn);
+  
+  const updates = conn.executed.filter(({ sql }) => /^UPDATE/.test(sql));
+  assert.deepEqual(updates.map(({ params }) => params), [[3, 7], ['Aewol', 7, 'Jeju', 'Woljeong', 'Gujwa', 'Aewol']]);
+  assert.ok(!conn.executed.some(({ sql }) => /user_quest_scores/.test(sql)));
+});
+
+test('user_id collation이 다른 컬럼만 정의를 유지한 채 변경', async () => {
+  const columns = {
+    'users.user_id': { COLUMN_TYPE: 'varchar(50)', IS_NULLABLE: 'NO', COLUMN_DEFAULT: null, COLUMN_COMMENT: '고유 사용자 ID', COLLATION_NAME: 'utf8mb4_0900_ai_ci' },
+    'user_quest_scores.user_id': { COLUMN_TYPE: 'varchar(50)', IS_NULLABLE: 'NO', COLUMN_DEFAULT: null, COLUMN_COMMENT: '사용자 ID', COLLATION_NAME: 'utf8mb4_unicode_ci' },
+    'user_upload_history.moderated_by': { COLUMN_TYPE: 'varchar(50)', IS_NULLABLE: 'YES', COLUMN_DEFAULT: null, COLUMN_COMMENT: "심사한 관리자's id", COLLATION_NAME: 'utf8mb4_general_ci' }
+  };
+  const conn = fakeConnection([[/INFORMATION_SCHEMA.COLUMNS/, ([table, column]) => (columns[`${table}.${column}`] ? [columns[`${table}.${column}`]] : [])]]);
+  await userIdCollation.up(conn);
+  
+  const alters = conn.executed.filter(({ sql }) => /^ALTER TABLE/.test(sql)).map(({ sql }) => sql.replace(/\s+/g, ' '));
+  assert.deepEqual(alters, [
+    "ALTER TABLE users MODIFY user_id varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '고유 사용자 ID'",
+    "ALTER TABLE user_upload_history MODIFY moderated_by varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL COMMENT '심사한 관리자\\'s id'"
+  ]);
+});
+
+test('지역 중복 방지 키는 city의 NULL parent_id를 0으로 바꾼 컬럼으로 다시 만듦', async () => {
+  const conn = fakeConnection([[/INDEX_NAME = \?/, ([, index]) => (index === 'unique_region' ? [{ INDEX_NAME: index }] : [])]]);
+  await regionUniqueKey.up(conn);
+  
+  const alters = conn.executed.filter(({ sql }) => /^ALTER TABLE/.test(sql)).map(({ sql }) => sql);
+  assert.equal(alters.length, 3);
+  assert.match(alters[0], /ADD COLUMN parent_key INT AS \(COALESCE\(parent_id, 0\)\) STORED/);
+  assert.equal(alters[1], 'ALTER TABLE regions ADD UNIQUE KEY unique_region_key (level, parent_key, code)');
+  assert.equal(alters[2], 'ALTER TABLE regions DROP INDEX unique_region');
+});
+
+test('중복된 city가 이미 있으면 지역 키 마이그레이션을 중단', async () => {
+  const conn = fakeConnection([[/HAVING COUNT\(\*\) > 1/, () => [{ level: 'city', code: 'Jeju', ids: '1,10' }]]]);
+  await assert.rejects(regionUniqueKey.up(conn), /city Jeju \(id: 1,10\)/);
+  assert.ok(!conn.executed.some(({ sql }) => /^ALTER TABLE/.test(sql)));
+});
@@ -0,0 +1,110 @@
+// 사진 미션 심사 (제출 목록, 승인/반려) 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, signToken } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+const ROLE_BY_USER = { admin1: 'admin', player1: 'player' };
+
+const submissionRow = {
+  id: 21, user_id: 'player1', quest_id: 12, file_key: 'uploads/users/abc/1-a.jpg', thumbnail_key: null, medium_key: null,
+  uploaded_at: '2025-01-01T00:00:00.000Z', verification_status: 'unverified', verification_reason: 'missing_gps',
+  exif_taken_at: null, exif_latitude: null, exif_longitude: null,
+  moderation_status: 'pending', moderation_note: null, moderated_by: null, moderated_at: null,
+  question: '월정리 해변에서 사진 찍기', city: 'Jeju', town: 'Gujwa', village: 'Woljeong', latitude: null, longitude: null, radius_m: null
+};
+
+// requireRole의 역할 조회 + 심사 대상 제출 조회
+function stubModeration(submission, handlers = []) {
+  return stubPool([
+    [/SELECT role FROM users WHERE user_id = \?/, ([user_id]) => (ROLE_BY_USER[user_id] ? [{ role: ROLE_BY_USER[user_id] }] : [])],
+    [/FROM user_upload_history WHERE id = \? AND moderation_status IS NOT NULL FOR UPDATE/, () => (submission ? [submission] : [])],
+    [/UPDATE user_upload_history SET moderation_status/, () => ({ affectedRows: 1 })],
+    ...handlers
+  ]);
+}
+
+test('제출 목록은 관리자만 조회하며 상태별 개수를 함께 반환', async () => {
+  const calls = stubModeration(null, [
+    [/FROM user_upload_history uuh/, () => [submissionRow]],
+    [/GROUP BY moderation_status/, () => [{ moderation_status: 'pending', count: 4 }, { moderation_status: 'approved', count: 2 }]]
+  ]);
+  
+  assert.equal((await api.request('GET', '/api/admin/photo-submissions', { token: accessToken('player1') })).status, 403);
+  assert.equal((await api.request('GET', '/api/admin/photo-submissions?status=lost', { token: accessToken('admin1') })).status, 400);
+  
+  const { status, body } = await api.request('GET', '/api/admin/photo-submissions', { token: accessToken('admin1') });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'pending');
+  assert.deepEqual(body.counts, { pending: 4, approved: 2, rejected: 0 });
+  assert.equal(body.submissions[0].id, 21);
+  assert.deepEqual(body.submissions[0].verification.reasons, ['missing_gps']);
+  
+  const list = calls.find(({ sql }) => /FROM user_upload_history uuh/.test(sql));
+  assert.deepEqual(list.params, ['pending', 50, 0]);
+});
+
+test('승인은 심사 상태를 커밋한 뒤 사진 미션 점수를 기록', async () => {
+  const calls = stubModeration(submissionRow, [
+    [/SELECT \* FROM quests WHERE id = \?/, () => [{ id: 12, quest_type: 'photo', score: 3 }]],
+    [/SELECT id FROM user_quest_scores WHERE user_id = \? AND quest_id = \?/, () => [{ id: 40 }]]
+  ]);
+  
+  const { status, body } = await api.request('POST', '/api/admin/photo-submissions/21/approve', { token: accessToken('admin1'), body: { note: ' 좋은 사진 ' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.moderation, { status: 'approved', previousStatus: 'pending', note: '좋은 사진', moderatedBy: 'admin1' });
+  assert.equal(body.scoreBreakdown, null);
+  
+  const update = calls.find(({ sql }) => /UPDATE user_upload_history SET moderation_status/.test(sql));
+  assert.deepEqual(update.params, ['approved', '좋은 사진', 'admin1', 21]);
+  const commitIndex = calls.findIndex(({ sql }) => sql === 'COMMIT');
+  assert.ok(commitIndex > -1 && commitIndex < calls.findIndex(({ sql }) => /FROM quests WHERE id/.test(sql)));
+});
+
+test('이미 같은 결정이면 409, 없는 제출이면 404', async () => {
+  const approvedCalls = stubModeration({ ...submissionRow, moderation_status: 'approved' });
+  const repeated = await api.request('POST', '/api/admin/photo-submissions/21/approve', { token: accessToken('admin1') });
+  assert.equal(repeated.status, 409);
+  assert.ok(approvedCalls.some(({ sql }) => sql === 'ROLLBACK'));
+  assert.ok(!approvedCalls.some(({ sql }) => /^UPDATE/.test(sql)));
+  
+  stubModeration(null);
+  assert.equal((await api.request('POST', '/api/admin/photo-submissions/99/reject', { token: accessToken('admin1') })).status, 404);
+  assert.equal((await api.request('POST', '/api/admin/photo-submissions/abc/reject', { token: accessToken('admin1') })).status, 404);
+});
+
+test('반려는 같은 트랜잭션에서 점수를 회수', async () => {
+  const calls = stubModeration({ ...submissionRow, moderation_status: 'approved' }, [
+    [/moderation_status = 'approved'/, () => [{ count: 0 }]],
+    [/FROM user_quest_scores uqs/, () => [{ id: 40, score: 3 }]],
+    [/DELETE FROM user_quest_scores/, () => ({ affectedRows: 1 })]
+  ]);
+  
+  const { status, body } = await api.request('POST', '/api/admin/photo-submissions/21/reject', { token: accessToken('admin1'), body: { note: '미션 장소가 아님' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.revokedScore, { questId: 12, score: 3 });
+  assert.equal(body.moderation.previousStatus, 'approved');
+  
+  const deleteIndex = calls.findIndex(({ sql }) => /DELETE FROM user_quest_scores/.test(sql));
+  assert.ok(deleteIndex > calls.findIndex(({ sql }) => sql === 'BEGIN'));
+  assert.ok(deleteIndex < calls.findIndex(({ sql }) => sql === 'COMMIT'));
+});
+
+test('승인 후 점수 기록이 실패하면 이전 심사 상태로 되돌림', async () => {
+  const calls = stubModeration(submissionRow, [
+    [/SELECT \* FROM quests WHERE id = \?/, () => { throw new Error('connection lost'); }]
+  ]);
+  
+  const { status, body } = await api.request('POST', '/api/admin/photo-submissions/21/approve', { token: accessToken('admin1') });
+  assert.equal(status, 500);
+  assert.equal(body.error, 'Failed to record score');
+  
+  const updates = calls.filter(({ sql }) => /UPDATE user_upload_history SET moderation_status/.test(sql));
+  assert.equal(updates.length, 2);
+  assert.deepEqual(updates[1].params, ['pending', null, null, null, 21]);
+});
@@ -0,0 +1,52 @@
+// 사진 미션 EXIF 검증 및 승인된 사진 미션 점수 기록 테스트
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, REGION_ROWS } = require('./helpers');
+const { loadRegionRegistry, parseExifDate, verifyPhotoSubmission, grantPhotoQuestScore } = require('../server');
+
+before(async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+});
+
+const now = new Date('2026-05-01T06:00:00Z');
+const woljeongQuest = { id: 3, quest_type: 'photo', region_id: 7, latitude: '33.5560000', longitude: '126.7960000', radius_m: null, score: 5, city: 'Jeju', town: 'Gujwa', village: 'Woljeong' };
+const exifAt = (lat, lng, takenAt = new Date(now.getTime() - 60 * 60 * 1000)) => ({ latitude: lat, longitude: lng, takenAt });
+
+test('EXIF 날짜는 시간대가 없으면 기본 시간대(+09:00)로 해석', () => {
+  assert.equal(parseExifDate('2026:05:01 15:00:00').toISOString(), '2026-05-01T06:00:00.000Z');
+  assert.equal(parseExifDate('2026:05:01 15:00:00', '+00:00').toISOString(), '2026-05-01T15:00:00.000Z');
+  assert.equal(parseExifDate('not a date'), null);
+});
+
+test('퀘스트 좌표 근처에서 최근 촬영한 사진은 verified', () => {
+  assert.deepEqual(verifyPhotoSubmission(woljeongQuest, exifAt(33.5565, 126.7962), now), { status: 'verified', reasons: [] });
+});
+
+test('멀리서 찍었거나 오래된 사진은 rejected', () => {
+  assert.deepEqual(verifyPhotoSubmission(woljeongQuest, exifAt(33.25, 126.56), now).reasons, ['location_mismatch']);
+  const old = exifAt(33.5565, 126.7962, new Date(now.getTime() - 48 * 60 * 60 * 1000));
+  assert.deepEqual(verifyPhotoSubmission(woljeongQuest, old, now), { status: 'rejected', reasons: ['photo_too_old'] });
+});
+
+test('GPS/촬영 시간이 없으면 needs_review', () => {
+  const result = verifyPhotoSubmission(woljeongQuest, { latitude: null, longitude: null, takenAt: null }, now);
+  assert.equal(result.status, 'needs_review');
+  assert.deepEqual(result.reasons, ['gps_missing', 'timestamp_missing']);
+});
+
+test('좌표가 없는 퀘스트는 촬영 위치의 지역으로 확인', () => {
+  const regionQuest = { ...woljeongQuest, latitude: null, longitude: null };
+  assert.equal(verifyPhotoSubmission(regionQuest, exifAt(33.552, 126.797), now).status, 'verified');
+  assert.deepEqual(verifyPhotoSubmission(regionQuest, exifAt(33.52, 126.855), now).reasons, ['location_mismatch']); // 세화리
+  assert.deepEqual(verifyPhotoSubmission(regionQuest, exifAt(37.5665, 126.978), now).reasons, ['outside_service_area']);
+});
+
+test('이미 완료한 사진 미션은 기록(answered_at 포함)을 바꾸지 않음', async () => {
+  const calls = stubPool([[/SELECT id FROM user_quest_scores WHERE user_id = \? AND quest_id = \?/, () => [{ id: 11 }]]]);
+  const granted = await grantPhotoQuestScore('u1', woljeongQuest);
+  
+  assert.deepEqual(granted, { scoreBreakdown: null, unlockedAchievements: [] });
+  assert.equal(calls.length, 1);
+  assert.ok(!calls.some(call => /UPDATE|INSERT/.test(call.sql)));
+});
@@ -0,0 +1,52 @@
+// 퀘스트 작성 API와 지역 추가 API 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, mysqlError, startApp, REGION_ROWS } = require('./helpers');
+const { app, signToken, loadRegionRegistry } = require('../server');
+
+let api;
+before(async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+  api = await startApp(app);
+});
+after(() => api.close());
+
+const editorToken = signToken({ typ: 'access', sub: 'editor1' }, 60);
+const photoQuestRow = {
+  id: 5, quest_type: 'photo', region_id: 7, city: 'Jeju', town: 'Gujwa', village: 'Woljeong',
+  latitude: null, longitude: null, radius_m: null, question: '월정리 해변에서 사진 찍기',
+  option_a: null, option_b: null, option_c: null, option_d: null, correct_answer: null,
+  payload: { locationHint: '해변 카페 거리' }, score: 3, time_limit_ms: null
+};
+
+test('전체 수정(PUT)에서 quest_type을 생략하면 기존 타입 유지', async () => {
+  const calls = stubPool([
+    [/SELECT role FROM users/, () => [{ role: 'editor' }]],
+    [/FROM quests WHERE id = \?/, () => [photoQuestRow]],
+    [/UPDATE quests/, () => ({ affectedRows: 1 })]
+  ]);
+  const { status } = await api.request('PUT', '/api/quests/5', {
+    token: editorToken,
+    body: { city: 'Jeju', town: 'Gujwa', village: 'Woljeong', question: '월정리 해변 사진', score: 4 }
+  });
+  
+  assert.equal(status, 200);
+  const update = calls.find(call => /UPDATE quests/.test(call.sql));
+  assert.equal(update.params[0], 'photo');
+  assert.equal(update.params[8], '월정리 해변 사진');
+});
+
+test('이미 있는 지역을 추가하면 409', async () => {
+  stubPool([
+    [/SELECT role FROM users/, () => [{ role: 'editor' }]],
+    [/INSERT INTO regions/, () => { throw mysqlError('ER_DUP_ENTRY'); }]
+  ]);
+  const { status, body } = await api.request('POST', '/api/regions', {
+    token: editorToken,
+    body: { level: 'city', code: 'Jeju', nameKo: '제주시', nameEn: 'Jeju-si' }
+  });
+  
+  assert.equal(status, 409);
+  assert.equal(body.error, 'Region already exists');
+});
@@ -0,0 +1,71 @@
+// 퀘스트 타입별 플레이어 응답 (toPlayerQuest) 및 quest_type 제약 마이그레이션 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, toPlayerQuest } = require('../server');
+const questTypeCheck = require('../migrations/020-quest-type-check');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const base = { id: 1, city: 'Jeju', town: 'Gujwa', village: 'Woljeong', latitude: null, longitude: null, score: 3, time_limit_ms: null };
+const photoQuest = { ...base, quest_type: 'photo', question: '월정리 해변에서 사진 찍기', payload: { locationHint: '해변 카페 거리' } };
+const questionQuest = { ...base, id: 2, quest_type: 'question', question: '월정리는 어느 읍?', option_a: '애월', option_b: '구좌', option_c: '성산', option_d: '한림', correct_answer: 'B' };
+
+test('사진 미션은 지시사항과 장소 힌트를 반환', () => {
+  const quest = toPlayerQuest(photoQuest);
+  assert.equal(quest.type, 'photo');
+  assert.equal(quest.instruction, photoQuest.question);
+  assert.equal(quest.locationHint, '해변 카페 거리');
+  assert.equal(quest.uploadEndpoint, '/api/s3/upload');
+});
+
+test('문제 퀘스트는 정답을 포함하지 않음', () => {
+  const quest = toPlayerQuest(questionQuest, { revealContent: true });
+  assert.deepEqual(quest.options, { A: '애월', B: '구좌', C: '성산', D: '한림' });
+  assert.equal(quest.correct_answer, undefined);
+});
+
+test('알 수 없는 타입은 null', () => {
+  assert.equal(toPlayerQuest({ ...base, quest_type: 'video' }), null);
+});
+
+test('알 수 없는 타입의 행이 있어도 주변 퀘스트 목록은 나머지를 반환', async () => {
+  const located = { latitude: '33.556', longitude: '126.796', distance_m: 10 };
+  stubPool([[/ST_Distance_Sphere/, () => [{ ...photoQuest, ...located }, { ...base, id: 9, quest_type: 'video', ...located }]]]);
+  const { status, body } = await api.request('GET', '/api/quests/nearby?lat=33.556&lng=126.796');
+  
+  assert.equal(status, 200);
+  assert.equal(body.count, 1);
+  assert.deepEqual(body.quests.map(q => q.id), [1]);
+});
+
+// 마이그레이션용 가짜 connection (SQL 패턴별 결과, 실행한 SQL 기록)
+function fakeConnection(handlers) {
+  const executed = [];
+  return {
+    executed,
+    query: async (sql, params) => {
+      executed.push(sql);
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      return [handler ? handler[1](params) : []];
+    }
+  };
+}
+
+test('quest_type 제약 마이그레이션은 알 수 없는 타입이 있으면 중단', async () => {
+  const conn = fakeConnection([[/WHERE quest_type NOT IN/, () => [{ id: 9, quest_type: 'video' }]]]);
+  await assert.rejects(questTypeCheck.up(conn), /9\(video\)/);
+  assert.ok(!conn.executed.some(sql => /ADD CONSTRAINT/.test(sql)));
+});
+
+test('quest_type 제약 마이그레이션은 한 번만 추가', async () => {
+  const fresh = fakeConnection([]);
+  await questTypeCheck.up(fresh);
+  assert.ok(fresh.executed.some(sql => /ADD CONSTRAINT chk_quests_quest_type CHECK \(quest_type IN \('question', 'photo'\)\)/.test(sql)));
+  
+  const applied = fakeConnection([[/CONSTRAINT_TYPE = 'CHECK'/, () => [{ CONSTRAINT_NAME: 'chk_quests_quest_type' }]]]);
+  await questTypeCheck.up(applied);
+  assert.equal(applied.executed.length, 1);
+});
@@ -0,0 +1,79 @@
+// 랜덤 퀘스트 선택 (타입 비율, 개인화, 상위 지역 확장) 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, signToken, parseQuestTypeWeights } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+const photoQuest = { id: 9, quest_type: 'photo', city: 'Jeju', town: 'Gujwa', village: 'Sehwa', question: '세화 해변 사진', payload: null, score: 5 };
+
+test('타입별 비율을 숫자로 파싱한다', () => {
+  assert.deepEqual(parseQuestTypeWeights('question:3,photo:1'), { question: 3, photo: 1 });
+  assert.deepEqual(parseQuestTypeWeights(' question : 0.5 , photo : 0 '), { question: 0.5, photo: 0 });
+  assert.deepEqual(parseQuestTypeWeights('photo:2'), { photo: 2 });
+});
+
+test('알 수 없는 타입이나 잘못된 비율이면 null', () => {
+  assert.equal(parseQuestTypeWeights('video:1'), null);
+  assert.equal(parseQuestTypeWeights('question:abc'), null);
+  assert.equal(parseQuestTypeWeights('question:-1,photo:1'), null);
+  assert.equal(parseQuestTypeWeights('question'), null);
+  assert.equal(parseQuestTypeWeights(''), null);
+});
+
+test('모든 비율이 0이면 null', () => {
+  assert.equal(parseQuestTypeWeights('question:0,photo:0'), null);
+});
+
+test('잘못된 type_weights는 400', async () => {
+  stubPool([]);
+  const { status } = await api.request('GET', '/api/quests/random?city=Jeju&type_weights=video:1');
+  assert.equal(status, 400);
+});
+
+test('user_id는 같은 사용자의 토큰이 필요', async () => {
+  stubPool([]);
+  assert.equal((await api.request('GET', '/api/quests/random?city=Jeju&user_id=u1')).status, 401);
+  assert.equal((await api.request('GET', '/api/quests/random?city=Jeju&user_id=u1', { token: accessToken('u2') })).status, 403);
+});
+
+test('개인화하면 푼 퀘스트를 제외하고 리 → 읍/면/동 순서로 범위를 넓힘', async () => {
+  const calls = stubPool([
+    [/FROM quests WHERE city = \? AND quest_type = \?/, (params, sql) => (/AND village = \?/.test(sql) ? [] : [photoQuest])]
+  ]);
+  const { status, body } = await api.request('GET', '/api/quests/random?city=Jeju&town=Gujwa&village=Woljeong&user_id=u1&type_weights=photo:1', { token: accessToken('u1') });
+  
+  assert.equal(status, 200);
+  assert.equal(body.id, 9);
+  assert.equal(body.servedLevel, 'town');
+  assert.deepEqual(body.exhaustedLevels, ['village']);
+  assert.match(calls[0].sql, /NOT EXISTS \(SELECT 1 FROM user_quest_scores/);
+  assert.match(calls[0].sql, /moderation_status = 'pending'/);
+});
+
+test('시 전체를 완료하면 completed와 심사 대기 수를 반환', async () => {
+  stubPool([
+    [/FROM quests WHERE city = \? AND quest_type = \?/, () => []],
+    [/SELECT COUNT\(\*\) as count FROM quests WHERE city = \?/, () => [{ count: 4 }]],
+    [/moderation_status = 'pending'/, () => [{ count: 1 }]]
+  ]);
+  const { status, body } = await api.request('GET', '/api/quests/random?city=Jeju&user_id=u1', { token: accessToken('u1') });
+  
+  assert.equal(status, 200);
+  assert.equal(body.completed, true);
+  assert.equal(body.pendingReviewCount, 1);
+});
+
+test('개인화하지 않으면 퀘스트가 없을 때 404', async () => {
+  stubPool([
+    [/FROM quests WHERE city = \? AND quest_type = \?/, () => []],
+    [/SELECT DISTINCT city FROM quests/, () => [{ city: 'Jeju' }]]
+  ]);
+  const { status, body } = await api.request('GET', '/api/quests/random?city=Seogwipo');
+  assert.equal(status, 404);
+  assert.deepEqual(body.availableCities, ['Jeju']);
+});
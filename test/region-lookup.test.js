@@ -0,0 +1,80 @@
+// 좌표 → 지역 역조회 (lookupRegionByCoordinates), 주변 퀘스트 및 경계 데이터 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp, REGION_ROWS } = require('./helpers');
+const { app, loadRegionRegistry, lookupRegionByCoordinates, REGION_BOUNDARIES, isPointInPolygon } = require('../server');
+
+let api;
+before(async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+  api = await startApp(app);
+});
+after(() => api.close());
+
+const pick = result => result && { city: result.city, town: result.town, village: result.village, regionId: result.region.id };
+
+test('가장 하위 레벨 경계의 지역을 반환', () => {
+  assert.deepEqual(pick(lookupRegionByCoordinates(33.552, 126.797)), { city: 'Jeju', town: 'Gujwa', village: 'Woljeong', regionId: 7 });
+  assert.deepEqual(pick(lookupRegionByCoordinates(33.52, 126.855)), { city: 'Jeju', town: 'Gujwa', village: 'Sehwa', regionId: 8 });
+  assert.deepEqual(pick(lookupRegionByCoordinates(33.43, 126.38)), { city: 'Jeju', town: 'Aewol', village: null, regionId: 3 });
+  assert.deepEqual(pick(lookupRegionByCoordinates(33.255, 126.56)), { city: 'Seogwipo', town: 'Seogwi', village: null, regionId: 5 });
+});
+
+test('읍/면/동 경계 밖이면 시 단위로 반환', () => {
+  assert.deepEqual(pick(lookupRegionByCoordinates(33.5, 126.6)), { city: 'Jeju', town: null, village: null, regionId: 1 });
+});
+
+test('어느 경계에도 속하지 않으면 null', () => {
+  assert.equal(lookupRegionByCoordinates(37.5665, 126.978), null); // 서울
+});
+
+test('레지스트리에 없는 경계는 무시하고 상위 경계 사용', () => {
+  const boundary = { level: 'village', city: 'Jeju', town: 'Aewol', village: 'Unknown', polygon: [[126.35, 33.42], [126.35, 33.44], [126.37, 33.44], [126.37, 33.42]] };
+  REGION_BOUNDARIES.push(boundary);
+  try {
+    assert.deepEqual(pick(lookupRegionByCoordinates(33.43, 126.36)), { city: 'Jeju', town: 'Aewol', village: null, regionId: 3 });
+  } finally {
+    REGION_BOUNDARIES.splice(REGION_BOUNDARIES.indexOf(boundary), 1);
+  }
+});
+
+test('리 경계는 상위 읍/면/동 경계 안에 있음', () => {
+  for (const boundary of REGION_BOUNDARIES.filter(b => b.level === 'village')) {
+    const town = REGION_BOUNDARIES.find(b => b.level === 'town' && b.city === boundary.city && b.town === boundary.town);
+    assert.ok(town, `${boundary.village}의 상위 경계(${boundary.town})가 없습니다`);
+    
+    for (const [lng, lat] of boundary.polygon) {
+      assert.ok(isPointInPolygon(lat, lng, town.polygon), `${boundary.village} (${lng}, ${lat})가 ${boundary.town} 경계 밖입니다`);
+    }
+  }
+});
+
+test('GET /api/regions/lookup은 좌표 검증 후 지역 정보를 반환', async () => {
+  assert.equal((await api.request('GET', '/api/regions/lookup?lat=91&lng=126.8')).status, 400);
+  assert.equal((await api.request('GET', '/api/regions/lookup?lat=37.5665&lng=126.978')).status, 404);
+  
+  const { status, body } = await api.request('GET', '/api/regions/lookup?lat=33.552&lng=126.797');
+  assert.equal(status, 200);
+  assert.deepEqual(body.region, { id: 7, level: 'village', code: 'Woljeong', name: { ko: '월정리', en: 'Woljeong-ri' } });
+});
+
+test('주변 퀘스트는 거리와 도착 여부를 포함', async () => {
+  const calls = stubPool([[/ST_Distance_Sphere/, () => [
+    { id: 1, quest_type: 'photo', city: 'Jeju', town: 'Gujwa', village: 'Woljeong', question: '월정리 해변', payload: null, score: 5, latitude: '33.5560000', longitude: '126.7960000', radius_m: 150, distance_m: 120.4 },
+    { id: 2, quest_type: 'photo', city: 'Jeju', town: 'Gujwa', village: 'Sehwa', question: '세화 해변', payload: null, score: 5, latitude: '33.5250000', longitude: '126.8600000', radius_m: null, distance_m: 2400.7 }
+  ]]]);
+  const { status, body } = await api.request('GET', '/api/quests/nearby?lat=33.556&lng=126.797&radius=3000');
+  
+  assert.equal(status, 200);
+  assert.deepEqual(body.quests.map(q => [q.id, q.distance, q.arrived]), [[1, 120, true], [2, 2401, false]]);
+  assert.deepEqual(body.quests[0].location, { lat: 33.556, lng: 126.796, radius: 150 });
+  assert.deepEqual(calls[0].params.slice(-2), [3000, 20]); // 반경, 기본 limit
+});
+
+test('주변 퀘스트 반경/타입 검증', async () => {
+  stubPool([]);
+  assert.equal((await api.request('GET', '/api/quests/nearby?lat=33.5&lng=126.8&radius=60000')).status, 400);
+  assert.equal((await api.request('GET', '/api/quests/nearby?lat=33.5&lng=126.8&type=video')).status, 400);
+  assert.equal((await api.request('GET', '/api/quests/nearby?lng=126.8')).status, 400);
+});
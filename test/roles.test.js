@@ -0,0 +1,78 @@
+// 역할 기반 권한 (requireRole), 사용자 목록 공개 범위, 최초 관리자 지정 테스트
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, signToken, bootstrapAdminUsers } = require('../server');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+const ROLE_BY_USER = { admin1: 'admin', editor1: 'editor', player1: 'player' };
+const userRow = { id: 1, user_id: 'player1', name: 'player', age: null, gender: null, email: 'player@example.com', role: 'player', created_at: null };
+
+// requireRole의 역할 조회 + 라우트별 쿼리
+function stubRoles(handlers = []) {
+  return stubPool([
+    [/SELECT role FROM users WHERE user_id = \?/, ([user_id]) => (ROLE_BY_USER[user_id] ? [{ role: ROLE_BY_USER[user_id] }] : [])],
+    ...handlers
+  ]);
+}
+
+test('사용자 목록은 관리자만 조회', async () => {
+  stubRoles([[/FROM users ORDER BY id DESC/, () => [userRow]]]);
+  
+  assert.equal((await api.request('GET', '/api/users')).status, 401);
+  assert.equal((await api.request('GET', '/api/users', { token: accessToken('player1') })).status, 403);
+  assert.equal((await api.request('GET', '/api/users', { token: accessToken('editor1') })).status, 403);
+  
+  const { status, body } = await api.request('GET', '/api/users', { token: accessToken('admin1') });
+  assert.equal(status, 200);
+  assert.equal(body[0].email, 'player@example.com');
+});
+
+test('삭제된 사용자의 토큰은 역할 확인에서 401', async () => {
+  stubRoles();
+  assert.equal((await api.request('GET', '/api/users', { token: accessToken('ghost') })).status, 401);
+});
+
+test('사용자 조회는 본인에게만 email 포함', async () => {
+  stubRoles([[/FROM users WHERE user_id = \?/, () => [userRow]]]);
+  
+  const anonymous = await api.request('GET', '/api/users/by-id/player1');
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.body.email, undefined);
+  assert.equal(anonymous.body.name, 'player');
+  
+  const other = await api.request('GET', '/api/users/by-id/player1', { token: accessToken('editor1') });
+  assert.equal(other.body.email, undefined);
+  
+  const self = await api.request('GET', '/api/users/by-id/player1', { token: accessToken('player1') });
+  assert.equal(self.body.email, 'player@example.com');
+});
+
+test('역할 변경은 관리자만, 허용된 역할만', async () => {
+  const calls = stubRoles([[/UPDATE users SET role = \?/, () => ({ affectedRows: 1 })]]);
+  
+  assert.equal((await api.request('PATCH', '/api/users/player1/role', { token: accessToken('editor1'), body: { role: 'admin' } })).status, 403);
+  assert.equal((await api.request('PATCH', '/api/users/player1/role', { token: accessToken('admin1'), body: { role: 'owner' } })).status, 400);
+  
+  const { status, body } = await api.request('PATCH', '/api/users/player1/role', { token: accessToken('admin1'), body: { role: 'editor' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { user_id: 'player1', role: 'editor' });
+  assert.deepEqual(calls.find(call => /UPDATE users/.test(call.sql)).params, ['editor', 'player1']);
+});
+
+test('퀘스트 관리 API는 에디터/관리자만', async () => {
+  stubRoles([[/FROM quests WHERE 1=1/, () => []]]);
+  assert.equal((await api.request('GET', '/api/quests', { token: accessToken('player1') })).status, 403);
+  assert.equal((await api.request('GET', '/api/quests', { token: accessToken('editor1') })).status, 200);
+});
+
+test('ADMIN_USER_IDS의 사용자를 관리자로 지정 (없는 사용자는 건너뜀)', async () => {
+  const calls = stubPool([[/UPDATE users SET role = \? WHERE user_id = \?/, ([, user_id]) => ({ affectedRows: user_id === 'missing' ? 0 : 1, changedRows: 1 })]]);
+  await bootstrapAdminUsers(['admin1', 'missing']);
+  
+  assert.deepEqual(calls.map(call => call.params), [['admin', 'admin1'], ['admin', 'missing']]);
+});
@@ -0,0 +1,96 @@
+// 점수 규칙 (SCORING_RULES) 및 점수 계산 테스트
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, REGION_ROWS } = require('./helpers');
+const { SCORING_CONFIG, SCORING_RULES, calculateScore, loadRegionRegistry } = require('../server');
+
+const rule = name => SCORING_RULES.find(r => r.name === name);
+const quest = { id: 10, score: 10, region_id: 7, town: 'Gujwa', quest_type: 'question' };
+const defaults = { ...SCORING_CONFIG };
+
+beforeEach(() => {
+  Object.assign(SCORING_CONFIG, defaults);
+});
+
+test('빠른 정답 가산점은 기준 시간 이내에만 지급', async () => {
+  const speed = rule('speedBonus');
+  assert.deepEqual(await speed.apply({ elapsedMs: 3000 }), {
+    points: SCORING_CONFIG.speedBonus,
+    detail: { elapsedMs: 3000, thresholdMs: SCORING_CONFIG.speedBonusMs }
+  });
+  assert.equal(await speed.apply({ elapsedMs: SCORING_CONFIG.speedBonusMs + 1 }), null);
+  assert.equal(await speed.apply({ elapsedMs: null }), null);
+});
+
+test('가산점을 0으로 설정하면 규칙이 적용되지 않음', async () => {
+  SCORING_CONFIG.speedBonus = 0;
+  SCORING_CONFIG.firstSolverBonus = 0;
+  SCORING_CONFIG.streakBonusRate = 0;
+  assert.equal(await rule('speedBonus').apply({ elapsedMs: 1000 }), null);
+  assert.equal(await rule('firstSolverBonus').apply({ user_id: 'u1', quest }), null);
+  assert.equal(await rule('streakMultiplier').apply({ user_id: 'u1' }, 10), null);
+});
+
+test('재시도 감점은 두 번째 시도부터 배율 적용', async () => {
+  const decay = rule('attemptDecay');
+  assert.equal(await decay.apply({ attemptNumber: 1 }, 10), null);
+  assert.deepEqual(await decay.apply({ attemptNumber: 3 }, 10), {
+    points: Math.round(10 * SCORING_CONFIG.attemptScoreDecay ** 2) - 10,
+    detail: { attemptNumber: 3, multiplier: SCORING_CONFIG.attemptScoreDecay ** 2 }
+  });
+});
+
+test('연속 정답 배율은 직전 연속 정답 수만큼 증가', async () => {
+  stubPool([[/FROM user_quest_scores WHERE user_id = \? ORDER BY/, () => [{ score: 5 }, { score: 3 }, { score: 0 }, { score: 7 }]]]);
+  const applied = await rule('streakMultiplier').apply({ user_id: 'u1' }, 10);
+  assert.equal(applied.detail.streak, 3);
+  assert.equal(applied.detail.multiplier, 1 + 2 * SCORING_CONFIG.streakBonusRate);
+  assert.equal(applied.points, Math.round(10 * applied.detail.multiplier) - 10);
+});
+
+test('최초 정답자 보너스는 다른 정답자가 없을 때만', async () => {
+  const calls = stubPool([[/COUNT\(\*\) as count FROM user_quest_scores/, () => [{ count: 0 }]]]);
+  assert.deepEqual(await rule('firstSolverBonus').apply({ user_id: 'u1', quest }), { points: SCORING_CONFIG.firstSolverBonus, detail: null });
+  assert.deepEqual(calls[0].params, [quest.id, 'u1']);
+  
+  stubPool([[/COUNT\(\*\) as count FROM user_quest_scores/, () => [{ count: 2 }]]]);
+  assert.equal(await rule('firstSolverBonus').apply({ user_id: 'u1', quest }), null);
+});
+
+test('지역 완료 보너스는 완료한 지역 레벨마다 지급', async () => {
+  stubPool([[/FROM regions/, () => REGION_ROWS]]);
+  await loadRegionRegistry();
+  
+  // 월정리/구좌읍은 남은 퀘스트가 없고 제주시는 남아 있음
+  stubPool([[/SELECT COUNT\(\*\) as remaining/, ([scopeIds]) => [{ remaining: scopeIds.includes(3) ? 1 : 0 }]]]);
+  const applied = await rule('regionCompletionBonus').apply({ user_id: 'u1', quest });
+  assert.equal(applied.points, SCORING_CONFIG.regionCompletionBonus * 2);
+  assert.deepEqual(applied.detail.regions.map(r => r.code), ['Woljeong', 'Gujwa']);
+});
+
+test('오답은 규칙을 적용하지 않고 0점', async () => {
+  const calls = stubPool([]);
+  assert.deepEqual(await calculateScore({ user_id: 'u1', quest, isCorrect: false }), { base: 0, rules: [], total: 0 });
+  assert.equal(calls.length, 0);
+});
+
+test('정답은 퀘스트 점수에 규칙별 가산점을 더함', async () => {
+  SCORING_CONFIG.regionCompletionBonus = 0;
+  stubPool([
+    [/ORDER BY answered_at DESC/, () => []],
+    [/COUNT\(\*\) as count FROM user_quest_scores/, () => [{ count: 1 }]]
+  ]);
+  const breakdown = await calculateScore({ user_id: 'u1', quest, isCorrect: true, attemptNumber: 2, elapsedMs: 1000 });
+  
+  assert.deepEqual(breakdown.rules.map(r => r.rule), ['speedBonus', 'attemptDecay']);
+  assert.equal(breakdown.base, 10);
+  assert.equal(breakdown.total, Math.round((10 + SCORING_CONFIG.speedBonus) * SCORING_CONFIG.attemptScoreDecay));
+});
+
+test('실패한 규칙은 건너뛰고 기본 점수는 유지', async () => {
+  SCORING_CONFIG.regionCompletionBonus = 0;
+  stubPool([]); // 모든 쿼리 실패
+  const breakdown = await calculateScore({ user_id: 'u1', quest, isCorrect: true });
+  assert.equal(breakdown.total, 10);
+  assert.deepEqual(breakdown.rules, []);
+});
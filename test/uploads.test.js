@@ -0,0 +1,196 @@
+// 업로드 API 테스트 (파일 내용 검증, 업로드 키, 본인 업로드 다운로드/삭제, 할당량)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPool, startApp } = require('./helpers');
+const { app, signToken } = require('../server');
+const { storage } = require('../storage');
+
+let api;
+before(async () => { api = await startApp(app); });
+after(() => api.close());
+
+const accessToken = user_id => signToken({ typ: 'access', sub: user_id }, 60);
+
+// AWS 없이 테스트하도록 s3 드라이버 메서드를 대체 (삭제한 키는 deletedKeys에 기록)
+const deletedKeys = [];
+Object.assign(storage, {
+  isConfigured: () => true,
+  getSignedDownloadUrl: async (key, expiresIn) => `https://storage.test/${key}?expires=${expiresIn}`,
+  getSignedUploadUrl: async (key, { contentType, contentLength }) => ({
+    url: `https://storage.test/${key}`,
+    method: 'PUT',
+    headers: { 'Content-Type': contentType, 'Content-Length': String(contentLength) }
+  }),
+  deleteObject: async key => { deletedKeys.push(key); }
+});
+
+test('이미지가 아닌 파일은 선언된 mimetype과 관계없이 415', async () => {
+  const form = new FormData();
+  form.append('file', new Blob(['<script>alert(1)</script>'], { type: 'image/jpeg' }), 'photo.jpg');
+  const response = await fetch(`${api.baseUrl}/api/s3/upload`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${accessToken('player1')}` },
+    body: form
+  });
+  
+  assert.equal(response.status, 415);
+  assert.equal((await response.json()).error, 'Unsupported file type');
+});
+
+test('직접 업로드 요청은 경로가 포함된 파일명과 허용되지 않는 형식을 거부', async () => {
+  stubPool([]);
+  const token = accessToken('player1');
+  
+  const traversal = await api.request('POST', '/api/uploads/intent', { token, body: { fileName: '../../quests/1.jpg', contentType: 'image/jpeg', size: 1000 } });
+  assert.equal(traversal.status, 400);
+  
+  const svg = await api.request('POST', '/api/uploads/intent', { token, body: { fileName: 'photo.svg', contentType: 'image/svg+xml', size: 1000 } });
+  assert.equal(svg.status, 415);
+});
+
+test('업로드 키는 클라이언트 파일명 대신 사용자별 경로와 무작위 이름으로 생성', async () => {
+  const calls = stubPool([
+    [/FROM \(/, () => [{ total_files: 0, total_bytes: 0, daily_files: 0, daily_bytes: 0 }]],
+    [/INSERT INTO upload_intents/, () => ({ insertId: 31 })]
+  ]);
+  const { status, body } = await api.request('POST', '/api/uploads/intent', {
+    token: accessToken('player1'),
+    body: { fileName: 'my photo.jpeg', contentType: 'image/jpeg', size: 2048 }
+  });
+  
+  assert.equal(status, 201);
+  assert.match(body.key, /^uploads\/users\/[0-9a-f]{16}\/\d+-[0-9a-f]{12}\.jpg$/);
+  assert.equal(body.upload.headers['Content-Length'], '2048');
+  assert.equal(body.completeEndpoint, '/api/uploads/31/complete');
+  
+  const insert = calls.find(({ sql }) => /INSERT INTO upload_intents/.test(sql));
+  assert.deepEqual(insert.params.slice(0, 3), ['player1', null, 'my photo.jpeg']);
+});
+
+test('직접 업로드 본문이 10MB를 넘으면 JSON 413', async () => {
+  const { status, headers, body } = await api.request('PUT', '/api/storage/uploads/users/abc/1-a.jpg?expires=0&signature=x', {
+    headers: { 'content-type': 'image/jpeg' },
+    body: Buffer.alloc(10 * 1024 * 1024 + 1)
+  });
+  
+  assert.equal(status, 413);
+  assert.match(headers.get('content-type'), /application\/json/);
+  assert.equal(body.error, 'File too large');
+  assert.equal(body.maxSize, '10MB');
+});
+
+const uploadRow = {
+  id: 7, user_id: 'player1', quest_id: 12, file_name: 'sunrise.jpg',
+  file_key: 'uploads/users/abc/1-a.jpg', thumbnail_key: 'uploads/users/abc/1-a-thumbnail.webp', medium_key: null
+};
+
+test('업로드 다운로드는 본인 업로드만 허용', async () => {
+  stubPool([[/FROM user_upload_history WHERE id = \?/, ([id]) => (Number(id) === 7 ? [uploadRow] : [])]]);
+  
+  assert.equal((await api.request('GET', '/api/uploads/8/download', { token: accessToken('player1') })).status, 404);
+  assert.equal((await api.request('GET', '/api/uploads/7/download', { token: accessToken('player2') })).status, 403);
+  
+  const { status, body } = await api.request('GET', '/api/uploads/7/download', { token: accessToken('player1') });
+  assert.equal(status, 200);
+  assert.equal(body.url, 'https://storage.test/uploads/users/abc/1-a.jpg?expires=3600');
+  assert.equal(body.variants.thumbnail.key, uploadRow.thumbnail_key);
+  assert.equal(body.variants.medium, null);
+});
+
+test('업로드 삭제는 기록 삭제와 점수 회수를 한 트랜잭션으로 처리한 뒤 파일 삭제', async () => {
+  deletedKeys.length = 0;
+  const calls = stubPool([
+    [/SELECT \* FROM user_upload_history WHERE id = \?/, () => [uploadRow]],
+    [/DELETE FROM user_upload_history/, () => ({ affectedRows: 1 })],
+    [/moderation_status = 'approved'/, () => [{ count: 0 }]],
+    [/FROM user_quest_scores uqs/, () => [{ id: 40, score: 3 }]],
+    [/DELETE FROM user_quest_scores/, () => ({ affectedRows: 1 })]
+  ]);
+  
+  assert.equal((await api.request('DELETE', '/api/uploads/7?revokeScore=true', { token: accessToken('player2') })).status, 403);
+  assert.equal(deletedKeys.length, 0);
+  
+  const { status, body } = await api.request('DELETE', '/api/uploads/7?revokeScore=true', { token: accessToken('player1') });
+  assert.equal(status, 200);
+  assert.deepEqual(body.revokedScore, { questId: 12, score: 3 });
+  assert.deepEqual(body.deletedKeys, [uploadRow.file_key, uploadRow.thumbnail_key]);
+  assert.deepEqual(deletedKeys, body.deletedKeys);
+  
+  const statements = calls.map(({ sql }) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+  assert.deepEqual(statements.slice(statements.indexOf('BEGIN')), ['BEGIN', 'DELETE FROM', 'SELECT COUNT(*)', 'SELECT uqs.id,', 'DELETE FROM', 'COMMIT']);
+});
+
+test('같은 미션의 승인된 다른 사진이 남아 있으면 점수를 회수하지 않음', async () => {
+  const calls = stubPool([
+    [/SELECT \* FROM user_upload_history WHERE id = \?/, () => [uploadRow]],
+    [/DELETE FROM user_upload_history/, () => ({ affectedRows: 1 })],
+    [/moderation_status = 'approved'/, () => [{ count: 1 }]]
+  ]);
+  
+  const { status, body } = await api.request('DELETE', '/api/uploads/7?revokeScore=true', { token: accessToken('player1') });
+  assert.equal(status, 200);
+  assert.equal(body.revokedScore, null);
+  assert.ok(!calls.some(({ sql }) => /user_quest_scores/.test(sql)));
+});
+
+test('기록 삭제가 실패하면 롤백하고 저장소 파일은 지우지 않음', async () => {
+  deletedKeys.length = 0;
+  const calls = stubPool([
+    [/SELECT \* FROM user_upload_history WHERE id = \?/, () => [uploadRow]],
+    [/DELETE FROM user_upload_history/, () => { throw new Error('lock wait timeout'); }]
+  ]);
+  
+  const { status } = await api.request('DELETE', '/api/uploads/7', { token: accessToken('player1') });
+  assert.equal(status, 500);
+  assert.ok(calls.some(({ sql }) => sql === 'ROLLBACK'));
+  assert.equal(deletedKeys.length, 0);
+});
+
+test('기존 키 기반 다운로드는 본인 업로드의 키만 허용', async () => {
+  const calls = stubPool([[/FROM user_upload_history\s+WHERE user_id = \?/, ([user_id]) => (user_id === 'player1' ? [{ id: 7 }] : [])]]);
+  
+  assert.equal((await api.request('GET', `/api/s3/download/${uploadRow.file_key}`, { token: accessToken('player2') })).status, 404);
+  const { status, body } = await api.request('GET', `/api/s3/download/${uploadRow.file_key}`, { token: accessToken('player1') });
+  assert.equal(status, 200);
+  assert.equal(body.url, 'https://storage.test/uploads/users/abc/1-a.jpg?expires=3600');
+  assert.deepEqual(calls[calls.length - 1].params, ['player1', uploadRow.file_key, uploadRow.file_key, uploadRow.file_key]);
+});
+
+// 사용량 집계 쿼리 결과 (기본 한도: 하루 50개/200MB, 누적 1000개/1GB)
+const MB = 1024 * 1024;
+function stubUsage(usage, handlers = []) {
+  return stubPool([
+    [/FROM \(/, () => [{ total_files: 0, total_bytes: 0, daily_files: 0, daily_bytes: 0, ...usage }]],
+    ...handlers
+  ]);
+}
+
+test('사용량 조회는 하루/누적 사용량과 남은 양을 반환', async () => {
+  const calls = stubUsage({ total_files: 12, total_bytes: 30 * MB, daily_files: 3, daily_bytes: 5 * MB });
+  
+  assert.equal((await api.request('GET', '/api/users/player2/storage', { token: accessToken('player1') })).status, 403);
+  
+  const { status, body } = await api.request('GET', '/api/users/player1/storage', { token: accessToken('player1') });
+  assert.equal(status, 200);
+  assert.deepEqual(body.daily.files, { used: 3, limit: 50, remaining: 47 });
+  assert.deepEqual(body.total.bytes, { used: 30 * MB, limit: 1024 * MB, remaining: 994 * MB });
+  assert.ok(body.daily.resetsAt);
+  assert.match(calls[0].sql, /FROM upload_intents WHERE user_id = \? AND status = 'pending'/);
+});
+
+test('하루 파일 수 한도를 넘으면 429, 용량 한도를 넘으면 413', async () => {
+  const token = accessToken('player1');
+  const intent = { fileName: 'photo.jpg', contentType: 'image/jpeg', size: 5 * MB };
+  
+  stubUsage({ daily_files: 50, total_files: 50 });
+  const files = await api.request('POST', '/api/uploads/intent', { token, body: intent });
+  assert.equal(files.status, 429);
+  assert.equal(files.body.code, 'daily_file_limit');
+  assert.ok(files.body.resetsAt);
+  
+  stubUsage({ daily_files: 1, daily_bytes: 10 * MB, total_files: 300, total_bytes: 1020 * MB });
+  const bytes = await api.request('POST', '/api/uploads/intent', { token, body: intent });
+  assert.equal(bytes.status, 413);
+  assert.equal(bytes.body.code, 'total_byte_limit');
+  assert.equal(bytes.body.resetsAt, null);
+});